@@ -3,6 +3,7 @@
 
 (function () {
   var statusEl = document.getElementById('status');
+  var gatewayStatusEl = document.getElementById('gatewayStatus');
   var authGroupEl = document.getElementById('authGroup');
   var authChoiceEl = document.getElementById('authChoice');
   var logEl = document.getElementById('log');
@@ -42,10 +43,29 @@
     authGroupEl.onchange();
   }
 
-  function httpJson(url, opts) {
+  var csrfMeta = document.querySelector('meta[name="csrf-token"]');
+  var csrfToken = csrfMeta ? csrfMeta.getAttribute('content') : '';
+
+  // fetch() wrapper: sends the session cookie and, for state-changing requests, the CSRF token.
+  // An expired session sends the browser back to the login page.
+  function apiFetch(url, opts) {
     opts = opts || {};
     opts.credentials = 'same-origin';
+    var method = (opts.method || 'GET').toUpperCase();
+    if (method !== 'GET' && method !== 'HEAD') {
+      opts.headers = opts.headers || {};
+      opts.headers['x-csrf-token'] = csrfToken;
+    }
     return fetch(url, opts).then(function (res) {
+      if (res.status === 401) {
+        window.location.href = '/install/login?next=' + encodeURIComponent(window.location.pathname);
+      }
+      return res;
+    });
+  }
+
+  function httpJson(url, opts) {
+    return apiFetch(url, opts).then(function (res) {
       if (!res.ok) {
         return res.text().then(function (t) {
           throw new Error('HTTP ' + res.status + ': ' + (t || res.statusText));
@@ -55,13 +75,132 @@
     });
   }
 
+  function formatDuration(ms) {
+    if (ms === null || ms === undefined) return '-';
+    var s = Math.floor(ms / 1000);
+    if (s < 60) return s + 's';
+    if (s < 3600) return Math.floor(s / 60) + 'm ' + (s % 60) + 's';
+    return Math.floor(s / 3600) + 'h ' + Math.floor((s % 3600) / 60) + 'm';
+  }
+
+  function renderGateway(g) {
+    if (!gatewayStatusEl) return;
+    if (!g) {
+      gatewayStatusEl.textContent = '';
+      return;
+    }
+    var text = 'Gateway: ' + g.state;
+    if (g.pid) text += ' (pid ' + g.pid + ', up ' + formatDuration(g.uptimeMs) + ')';
+    if (g.restarts) text += ' | auto-restarts: ' + g.restarts;
+    if (g.nextRestartAt) text += ' | next restart at ' + g.nextRestartAt;
+    if (g.crashLoop) text += ' | crash loop detected, restart manually';
+    var exits = g.exits || [];
+    for (var i = 0; i < exits.length && i < 5; i++) {
+      var e = exits[i];
+      text += '\n  exit ' + e.at + ' code=' + e.code + ' signal=' + e.signal +
+        ' uptime=' + formatDuration(e.uptimeMs) + (e.expected ? ' (requested)' : '');
+    }
+    gatewayStatusEl.style.whiteSpace = 'pre-wrap';
+    gatewayStatusEl.textContent = text;
+  }
+
+  // Install-time channel forms, built from the registry entries the server reports for this build.
+  var channelFormsEl = document.getElementById('channelForms');
+  var channelFormList = null;
+
+  function channelFieldId(channel, field) {
+    return 'ch-' + channel.name + '-' + field.key;
+  }
+
+  function renderChannelForms(forms) {
+    if (!channelFormsEl || channelFormList) return;
+    channelFormList = forms;
+    channelFormsEl.innerHTML = '';
+    if (!forms.length) {
+      channelFormsEl.innerHTML = '<div class="muted">No channels reported by this OpenClaw build.</div>';
+      return;
+    }
+    for (var i = 0; i < forms.length; i++) {
+      var ch = forms[i];
+      var box = document.createElement('div');
+      var title = document.createElement('h3');
+      title.textContent = ch.label + ' (optional)';
+      box.appendChild(title);
+      if (ch.help) {
+        var help = document.createElement('div');
+        help.className = 'muted';
+        help.textContent = ch.help;
+        box.appendChild(help);
+      }
+      for (var k = 0; k < ch.fields.length; k++) {
+        var f = ch.fields[k];
+        var label = document.createElement('label');
+        var input;
+        if (f.options) {
+          input = document.createElement('select');
+          for (var o = 0; o < f.options.length; o++) {
+            var opt = document.createElement('option');
+            opt.value = f.options[o];
+            opt.textContent = f.options[o] || '(default)';
+            if (f.options[o] === f.default) opt.selected = true;
+            input.appendChild(opt);
+          }
+        } else {
+          input = document.createElement('input');
+          input.type = f.type === 'checkbox' ? 'checkbox' : f.secret ? 'password' : 'text';
+          if (f.placeholder) input.placeholder = f.placeholder;
+        }
+        input.id = channelFieldId(ch, f);
+        label.htmlFor = input.id;
+        if (f.type === 'checkbox') {
+          input.style.width = 'auto';
+          label.style.display = 'flex';
+          label.style.gap = '0.5rem';
+          label.appendChild(input);
+          label.appendChild(document.createTextNode(f.label));
+          box.appendChild(label);
+        } else {
+          label.textContent = f.label;
+          box.appendChild(label);
+          box.appendChild(input);
+        }
+        if (f.help) {
+          var fh = document.createElement('div');
+          fh.className = 'muted';
+          fh.style.marginTop = '0.25rem';
+          fh.textContent = f.help;
+          box.appendChild(fh);
+        }
+      }
+      channelFormsEl.appendChild(box);
+    }
+  }
+
+  function collectChannelValues() {
+    var out = {};
+    var forms = channelFormList || [];
+    for (var i = 0; i < forms.length; i++) {
+      var values = {};
+      for (var k = 0; k < forms[i].fields.length; k++) {
+        var f = forms[i].fields[k];
+        var el = document.getElementById(channelFieldId(forms[i], f));
+        if (!el) continue;
+        values[f.key] = f.type === 'checkbox' ? el.checked : el.value;
+      }
+      out[forms[i].name] = values;
+    }
+    return out;
+  }
+
   function refreshStatus() {
     setStatus('Loading...');
     return httpJson('/install/api/status').then(function (j) {
       var ver = (j.openclawVersion || j.moltbotVersion) ? (' | ' + (j.openclawVersion || j.moltbotVersion)) : '';
       var note = (j.openclawMissing || j.moltbotMissing) ? ' (openclaw binary missing in this environment)' : '';
       setStatus((j.configured ? 'Installed — Open Control UI above' : 'Not installed — run installer below') + ver + note);
+      renderGateway(j.gateway);
       renderAuth(j.authGroups || []);
+      renderChannelForms(j.channelForms || []);
       if (j.warnings && j.warnings.length) {
         for (var i = 0; i < j.warnings.length; i++) {
           logEl.textContent += '\n' + j.warnings[i] + '\n';
@@ -77,10 +216,7 @@
       flow: document.getElementById('flow').value,
       authChoice: authChoiceEl.value,
       authSecret: document.getElementById('authSecret').value,
-      telegramToken: document.getElementById('telegramToken').value,
-      discordToken: document.getElementById('discordToken').value,
-      slackBotToken: document.getElementById('slackBotToken').value,
-      slackAppToken: document.getElementById('slackAppToken').value
+      channels: collectChannelValues()
     };
 
     logEl.textContent =
@@ -88,29 +224,109 @@
       'Selected auth method: ' + String(payload.authChoice || '(none)') + '\n' +
       'Flow: ' + String(payload.flow || '(none)') + '\n';
 
-    fetch('/install/api/run', {
+    var stepMarks = { running: '...', ok: 'ok', failed: 'FAILED', skipped: 'skipped' };
+    var handleEvent = function (ev) {
+      if (ev.type === 'output') {
+        logEl.textContent += ev.text;
+      } else if (ev.type === 'step') {
+        var line = '\n== ' + ev.label + ': ' + (stepMarks[ev.status] || ev.status);
+        if (ev.status !== 'running' && ev.code !== null && ev.code !== undefined) line += ' (exit ' + ev.code + ')';
+        logEl.textContent += line + '\n';
+      } else if (ev.type === 'done') {
+        logEl.textContent += '\n' + (ev.ok ? 'Install finished.' : 'Install failed.') + '\n';
+      }
+      logEl.scrollTop = logEl.scrollHeight;
+    };
+
+    apiFetch('/install/api/run', {
       method: 'POST',
-      credentials: 'same-origin',
-      headers: { 'content-type': 'application/json' },
+      headers: { 'content-type': 'application/json', 'accept': 'application/x-ndjson' },
       body: JSON.stringify(payload)
     }).then(function (res) {
-      return res.text();
-    }).then(function (text) {
-      var j;
-      try { j = JSON.parse(text); } catch (_e) { j = { ok: false, output: text }; }
-      logEl.textContent += (j.output || JSON.stringify(j, null, 2));
+      var ct = res.headers.get('content-type') || '';
+      if (ct.indexOf('application/x-ndjson') === -1 || !res.body || !res.body.getReader) {
+        // Older server or no streaming support in this browser: wait for the whole response.
+        return res.text().then(function (text) {
+          var j;
+          try { j = JSON.parse(text); } catch (_e) { j = { ok: false, output: text }; }
+          logEl.textContent += (j.output || JSON.stringify(j, null, 2));
+        });
+      }
+      var reader = res.body.getReader();
+      var decoder = new TextDecoder();
+      var buf = '';
+      var pump = function () {
+        return reader.read().then(function (r) {
+          if (r.done) {
+            if (buf.trim()) handleEvent(JSON.parse(buf));
+            return;
+          }
+          buf += decoder.decode(r.value, { stream: true });
+          var lines = buf.split('\n');
+          buf = lines.pop();
+          for (var i = 0; i < lines.length; i++) {
+            if (!lines[i].trim()) continue;
+            try { handleEvent(JSON.parse(lines[i])); } catch (_e) { logEl.textContent += lines[i] + '\n'; }
+          }
+          return pump();
+        });
+      };
+      return pump();
+    }).then(function () {
+      loadConfig();
+      refreshChannels();
       return refreshStatus();
     }).catch(function (e) {
       logEl.textContent += '\nError: ' + String(e) + '\n';
     });
   };
 
+  // Restart gateway (also clears crash-loop state)
+  var gatewayRestartLink = document.getElementById('gatewayRestart');
+  if (gatewayRestartLink) {
+    gatewayRestartLink.onclick = function (ev) {
+      ev.preventDefault();
+      logEl.textContent += '\nRestarting gateway...\n';
+      apiFetch('/install/api/gateway/restart', { method: 'POST' })
+        .then(function (r) { return r.json(); })
+        .then(function (j) {
+          logEl.textContent += (j.ok ? 'Gateway restarted.' : ('Restart failed: ' + (j.output || ''))) + '\n';
+          return refreshStatus();
+        })
+        .catch(function (e) { logEl.textContent += 'Error: ' + String(e) + '\n'; });
+    };
+  }
+
+  // Rotate gateway token
+  var tokenRotateLink = document.getElementById('tokenRotate');
+  if (tokenRotateLink) {
+    tokenRotateLink.onclick = function (ev) {
+      ev.preventDefault();
+      var grace = prompt('Rotate the gateway token? Existing Control UI sessions will reconnect.\n\nKeep the old token working for how many seconds? (0 = revoke immediately)', '0');
+      if (grace === null) return;
+      logEl.textContent += '\nRotating gateway token...\n';
+      httpJson('/install/api/token/rotate', {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ graceSeconds: Number(grace) || 0 })
+      }).then(function (j) {
+        var link = document.getElementById('controlUiLink');
+        if (link && j.dashboardUrl) link.href = j.dashboardUrl;
+        logEl.textContent += 'Token rotated at ' + j.rotatedAt +
+          (j.graceUntil ? ' (old token accepted until ' + j.graceUntil + ')' : '') + '.\n' +
+          (j.envTokenOverridden ? 'Note: RENDER_GATEWAY_TOKEN is now stale; the rotated token stored on disk takes precedence.\n' : '') +
+          (j.output ? j.output + '\n' : '');
+        return refreshStatus();
+      }).catch(function (e) { logEl.textContent += 'Error: ' + String(e) + '\n'; });
+    };
+  }
+
   // Run doctor
   var doctorBtn = document.getElementById('doctorBtn');
   if (doctorBtn) {
     doctorBtn.onclick = function () {
       logEl.textContent += '\nRunning doctor...\n';
-      fetch('/install/api/doctor', { method: 'POST', credentials: 'same-origin' })
+      apiFetch('/install/api/doctor', { method: 'POST' })
         .then(function (r) { return r.json(); })
         .then(function (j) {
           logEl.textContent += (j.output || JSON.stringify(j, null, 2)) + '\n';
@@ -130,40 +346,524 @@
     };
   }
 
-  // Pairing approve helper
-  var pairingBtn = document.getElementById('pairingApprove');
-  if (pairingBtn) {
-    pairingBtn.onclick = function () {
-      var channel = prompt('Enter channel (telegram or discord):');
-      if (!channel) return;
-      channel = channel.trim().toLowerCase();
-      if (channel !== 'telegram' && channel !== 'discord') {
-        alert('Channel must be "telegram" or "discord"');
-        return;
+  // Pairing inbox: pending requests (approve/reject) and approved senders (revoke) for every channel.
+  // Reject and revoke restart the gateway, so they apply to the checked rows in one request.
+  var pairingPendingEl = document.getElementById('pairingPending');
+  var pairingApprovedEl = document.getElementById('pairingApproved');
+  var pairingStateEl = document.getElementById('pairingState');
+  var PAIRING_RESTART_NOTE = '\n\nThis restarts the gateway once: open dashboard and channel connections drop for a few seconds.';
+
+  function pairingCheckbox(row, item) {
+    var box = document.createElement('input');
+    box.type = 'checkbox';
+    box.style.width = 'auto';
+    box.pairingItem = item;
+    row.insertCell().appendChild(box);
+  }
+
+  function checkedPairingItems(table) {
+    var out = [];
+    var boxes = table.querySelectorAll('input[type=checkbox]');
+    for (var i = 0; i < boxes.length; i++) if (boxes[i].checked) out.push(boxes[i].pairingItem);
+    return out;
+  }
+
+  function pairingAction(path, body, label) {
+    return httpJson('/install/api/pairing/' + path, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify(body)
+    }).then(function (j) { logEl.textContent += '\n' + (j.output || label) + '\n'; })
+      .catch(function (e) { logEl.textContent += '\nError: ' + String(e) + '\n'; })
+      .then(refreshPairing);
+  }
+
+  function renderPairing(j) {
+    pairingPendingEl.innerHTML = '';
+    pairingApprovedEl.innerHTML = '';
+    var pending = 0;
+    var approved = 0;
+    var errors = [];
+    for (var i = 0; i < j.channels.length; i++) {
+      var ch = j.channels[i];
+      if (ch.error) errors.push(ch.channel + ': ' + ch.error);
+      for (var p = 0; p < ch.pending.length; p++) {
+        (function (channel, r) {
+          pending++;
+          var row = pairingPendingEl.insertRow();
+          pairingCheckbox(row, { channel: channel, code: r.code });
+          row.insertCell().textContent = channel;
+          row.insertCell().textContent = r.user + (r.user !== r.id ? ' (' + r.id + ')' : '');
+          row.insertCell().textContent = r.code;
+          row.insertCell().textContent = r.ageMs === null ? '-' : formatDuration(r.ageMs) + ' ago';
+          var actions = row.insertCell();
+          actions.style.textAlign = 'right';
+          actions.appendChild(backupAction('Approve', function () {
+            pairingAction('approve', { channel: channel, code: r.code }, 'Approved.');
+          }));
+        })(ch.channel, ch.pending[p]);
       }
-      var code = prompt('Enter pairing code (e.g. 3EY4PUYS):');
-      if (!code) return;
-      logEl.textContent += '\nApproving pairing for ' + channel + '...\n';
-      fetch('/install/api/pairing/approve', {
-        method: 'POST',
-        credentials: 'same-origin',
-        headers: { 'content-type': 'application/json' },
-        body: JSON.stringify({ channel: channel, code: code.trim() })
-      }).then(function (r) { return r.text(); })
-        .then(function (t) { logEl.textContent += t + '\n'; })
-        .catch(function (e) { logEl.textContent += 'Error: ' + String(e) + '\n'; });
+      for (var a = 0; a < ch.approved.length; a++) {
+        (function (channel, id) {
+          approved++;
+          var row = pairingApprovedEl.insertRow();
+          pairingCheckbox(row, { channel: channel, id: id });
+          row.insertCell().textContent = channel;
+          row.insertCell().textContent = id;
+        })(ch.channel, ch.approved[a]);
+      }
+    }
+    if (!pending) pairingPendingEl.insertRow().insertCell().textContent = 'No pending requests.';
+    if (!approved) pairingApprovedEl.insertRow().insertCell().textContent = 'No approved senders.';
+    if (pairingStateEl) {
+      pairingStateEl.textContent = (j.channels.length ? 'Channels: ' + j.channels.map(function (c) { return c.channel; }).join(', ') : 'No channels configured.') +
+        (errors.length ? ' | ' + errors.join('; ') : '');
+    }
+  }
+
+  function refreshPairing() {
+    if (!pairingPendingEl) return;
+    if (pairingStateEl) pairingStateEl.textContent = 'Loading...';
+    return httpJson('/install/api/pairing').then(renderPairing).catch(function (e) {
+      if (pairingStateEl) pairingStateEl.textContent = 'Error: ' + String(e);
+    });
+  }
+
+  var pairingRefreshBtn = document.getElementById('pairingRefresh');
+  if (pairingRefreshBtn) pairingRefreshBtn.onclick = refreshPairing;
+
+  var pairingRejectBtn = document.getElementById('pairingReject');
+  if (pairingRejectBtn) {
+    pairingRejectBtn.onclick = function () {
+      var items = checkedPairingItems(pairingPendingEl);
+      if (!items.length) return alert('Select the requests to reject first.');
+      if (!confirm('Reject ' + items.length + ' pairing request(s)?' + PAIRING_RESTART_NOTE)) return;
+      pairingAction('reject', { items: items }, 'Rejected.');
+    };
+  }
+
+  var pairingRevokeBtn = document.getElementById('pairingRevoke');
+  if (pairingRevokeBtn) {
+    pairingRevokeBtn.onclick = function () {
+      var items = checkedPairingItems(pairingApprovedEl);
+      if (!items.length) return alert('Select the senders to revoke first.');
+      if (!confirm('Revoke ' + items.length + ' sender(s)? They will need to pair again.' + PAIRING_RESTART_NOTE)) return;
+      pairingAction('revoke', { items: items }, 'Revoked.');
     };
   }
 
   document.getElementById('reset').onclick = function () {
-    if (!confirm('Reset install? This deletes the config file so onboarding can run again.')) return;
+    if (!confirm('Reset install? The config file is archived (restorable below) and the gateway is stopped so onboarding can run again.')) return;
     logEl.textContent = 'Resetting...\n';
-    fetch('/install/api/reset', { method: 'POST', credentials: 'same-origin' })
+    apiFetch('/install/api/reset', { method: 'POST' })
       .then(function (res) { return res.text(); })
-      .then(function (t) { logEl.textContent += t + '\n'; return refreshStatus(); })
+      .then(function (t) { logEl.textContent += t + '\n'; refreshArchives(); return refreshStatus(); })
       .catch(function (e) { logEl.textContent += 'Error: ' + String(e) + '\n'; });
   };
 
+  // Configs archived by reset, newest first, each restorable.
+  var archiveTableEl = document.getElementById('archiveTable');
+  var archiveStateEl = document.getElementById('archiveState');
+
+  function renderArchives(j) {
+    archiveTableEl.innerHTML = '';
+    if (!j.archives.length) archiveTableEl.insertRow().insertCell().textContent = 'No archived configs.';
+    for (var i = 0; i < j.archives.length; i++) {
+      (function (a) {
+        var row = archiveTableEl.insertRow();
+        row.insertCell().textContent = a.archivedAt ? new Date(a.archivedAt).toLocaleString() : a.id;
+        row.insertCell().textContent = a.size === null ? '' : formatBytes(a.size);
+        var actions = row.insertCell();
+        actions.style.textAlign = 'right';
+        actions.appendChild(backupAction('Restore', function () {
+          var msg = 'Restore the config archived ' + row.cells[0].textContent + ' and restart the gateway?';
+          if (j.configured) msg += ' The current config will be archived first.';
+          if (!confirm(msg)) return;
+          logEl.textContent += '\nRestoring ' + a.id + '...\n';
+          httpJson('/install/api/reset/archives/' + encodeURIComponent(a.id) + '/restore', { method: 'POST' })
+            .then(function (r) { logEl.textContent += r.output + '\n'; })
+            .catch(function (e) { logEl.textContent += 'Error: ' + String(e) + '\n'; })
+            .then(function () { refreshArchives(); refreshStatus(); loadConfig(); });
+        }));
+      })(j.archives[i]);
+    }
+    if (archiveStateEl) archiveStateEl.textContent = j.configured ? 'A config is currently installed.' : 'No config installed.';
+  }
+
+  function refreshArchives() {
+    if (!archiveTableEl) return;
+    return httpJson('/install/api/reset/archives').then(renderArchives).catch(function (e) {
+      if (archiveStateEl) archiveStateEl.textContent = 'Error: ' + String(e);
+    });
+  }
+
+  var archiveRefreshBtn = document.getElementById('archiveRefresh');
+  if (archiveRefreshBtn) archiveRefreshBtn.onclick = refreshArchives;
+
+  var factoryResetBtn = document.getElementById('factoryReset');
+  if (factoryResetBtn) {
+    factoryResetBtn.onclick = function () {
+      var body = {
+        confirm: document.getElementById('factoryConfirm').value.trim(),
+        wipeCredentials: document.getElementById('factoryWipeCredentials').checked,
+        wipeWorkspace: document.getElementById('factoryWipeWorkspace').checked
+      };
+      logEl.textContent = 'Factory reset...\n';
+      httpJson('/install/api/factory-reset', {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify(body)
+      }).then(function (r) {
+        logEl.textContent += r.output + '\n';
+        document.getElementById('factoryConfirm').value = '';
+      }).catch(function (e) { logEl.textContent += 'Error: ' + String(e) + '\n'; })
+        .then(function () { refreshArchives(); refreshStatus(); loadConfig(); });
+    };
+  }
+
+  // Config editor: load (secrets masked), review the validated diff, then save or undo.
+  var configEditorEl = document.getElementById('configEditor');
+  var configStateEl = document.getElementById('configState');
+  var configReviewPanelEl = document.getElementById('configReviewPanel');
+  var configDiffEl = document.getElementById('configDiff');
+  var configHash = null;
+  var configPending = null;
+
+  function setConfigState(text) {
+    if (configStateEl) configStateEl.textContent = text;
+  }
+
+  function hideConfigReview() {
+    configPending = null;
+    if (configReviewPanelEl) configReviewPanelEl.style.display = 'none';
+  }
+
+  function configErrorText(j) {
+    var lines = [j.output || 'Request failed.'];
+    if (j.errors) for (var i = 0; i < j.errors.length; i++) lines.push('  - ' + j.errors[i]);
+    if (j.details) lines.push('', j.details);
+    return lines.join('\n');
+  }
+
+  function describeConfigChanges(changes) {
+    var lines = [];
+    for (var i = 0; i < changes.length; i++) {
+      var c = changes[i];
+      if (c.op === 'remove') lines.push('- ' + c.path + ' = ' + JSON.stringify(c.before));
+      else if (c.op === 'add') lines.push('+ ' + c.path + ' = ' + JSON.stringify(c.after));
+      else lines.push('~ ' + c.path + ': ' + JSON.stringify(c.before) + ' -> ' + JSON.stringify(c.after));
+    }
+    return lines.join('\n');
+  }
+
+  function loadConfig() {
+    if (!configEditorEl) return;
+    hideConfigReview();
+    return apiFetch('/install/api/config')
+      .then(function (r) { return r.json(); })
+      .then(function (j) {
+        if (!j.ok) {
+          configHash = null;
+          configEditorEl.value = '';
+          setConfigState(j.output || 'Config unavailable.');
+          return;
+        }
+        configHash = j.hash;
+        configEditorEl.value = JSON.stringify(j.config, null, 2);
+        setConfigState(j.path + (j.history.length ? ' | ' + j.history.length + ' previous version(s)' : ''));
+      })
+      .catch(function (e) { setConfigState('Error: ' + String(e)); });
+  }
+
+  function putConfig(config, dryRun) {
+    return apiFetch('/install/api/config', {
+      method: 'PUT',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ config: config, baseHash: configHash, dryRun: dryRun })
+    }).then(function (r) { return r.json(); });
+  }
+
+  var configReviewBtn = document.getElementById('configReview');
+  if (configReviewBtn) {
+    configReviewBtn.onclick = function () {
+      hideConfigReview();
+      var parsed;
+      try {
+        parsed = JSON.parse(configEditorEl.value);
+      } catch (e) {
+        setConfigState('Not valid JSON: ' + e.message);
+        return;
+      }
+      setConfigState('Validating...');
+      putConfig(parsed, true).then(function (j) {
+        if (!j.ok) {
+          setConfigState('Validation failed.');
+          configDiffEl.textContent = configErrorText(j);
+          configReviewPanelEl.style.display = '';
+          document.getElementById('configSave').style.display = 'none';
+          return;
+        }
+        if (!j.changes.length) {
+          setConfigState('No changes.');
+          return;
+        }
+        configPending = parsed;
+        configDiffEl.textContent = describeConfigChanges(j.changes) +
+          '\n\n' + (j.restartRequired ? 'Saving restarts the gateway.' : 'The gateway picks these up without a restart.');
+        document.getElementById('configSave').style.display = '';
+        configReviewPanelEl.style.display = '';
+        setConfigState(j.changes.length + ' change(s) validated.');
+      }).catch(function (e) { setConfigState('Error: ' + String(e)); });
+    };
+  }
+
+  var configSaveBtn = document.getElementById('configSave');
+  if (configSaveBtn) {
+    configSaveBtn.onclick = function () {
+      if (!configPending) return;
+      configSaveBtn.disabled = true;
+      setConfigState('Saving...');
+      putConfig(configPending, false).then(function (j) {
+        if (!j.ok) {
+          configDiffEl.textContent = configErrorText(j);
+          setConfigState('Save failed.');
+          return;
+        }
+        logEl.textContent += '\nConfig saved (' + j.changes.length + ' change(s))' + (j.restarted ? ', gateway restarted' : '') + '.\n';
+        refreshStatus();
+        refreshChannels();
+        return loadConfig();
+      }).catch(function (e) { setConfigState('Error: ' + String(e)); })
+        .then(function () { configSaveBtn.disabled = false; });
+    };
+  }
+
+  var configDiscardBtn = document.getElementById('configDiscard');
+  if (configDiscardBtn) configDiscardBtn.onclick = hideConfigReview;
+
+  var configLoadBtn = document.getElementById('configLoad');
+  if (configLoadBtn) configLoadBtn.onclick = loadConfig;
+
+  var configUndoBtn = document.getElementById('configUndo');
+  if (configUndoBtn) {
+    configUndoBtn.onclick = function () {
+      if (!confirm('Restore the previous version of openclaw.json?')) return;
+      apiFetch('/install/api/config/undo', { method: 'POST' })
+        .then(function (r) { return r.json(); })
+        .then(function (j) {
+          if (!j.ok) {
+            setConfigState(j.output || 'Undo failed.');
+            return;
+          }
+          logEl.textContent += '\nRestored previous config (' + j.changes.length + ' change(s))' + (j.restarted ? ', gateway restarted' : '') + '.\n';
+          refreshStatus();
+          refreshChannels();
+          return loadConfig();
+        })
+        .catch(function (e) { setConfigState('Error: ' + String(e)); });
+    };
+  }
+
+  // Channel management: list configured channels, add/edit (JSON), enable/disable and remove.
+  var channelTableEl = document.getElementById('channelTable');
+  var channelNameEl = document.getElementById('channelName');
+  var channelConfigEl = document.getElementById('channelConfig');
+  var channelRestartEl = document.getElementById('channelRestart');
+  var channelSaveBtn = document.getElementById('channelSave');
+  var channelStateEl = document.getElementById('channelState');
+  var channelEditing = null;
+
+  function setChannelState(text) {
+    if (channelStateEl) channelStateEl.textContent = text;
+  }
+
+  function channelRequest(url, method, body) {
+    body = body || {};
+    body.restart = !channelRestartEl || channelRestartEl.checked;
+    return apiFetch(url, {
+      method: method,
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify(body)
+    }).then(function (r) { return r.json(); })
+      .then(function (j) {
+        if (!j.ok) {
+          setChannelState(configErrorText(j));
+          return j;
+        }
+        setChannelState(j.name + ': ' + j.changes.length + ' change(s)' + (j.restarted ? ', gateway restarted' : j.restartRequired ? ', restart the gateway to apply' : '') + '.');
+        loadConfig();
+        refreshStatus();
+        refreshPairing();
+        return refreshChannels().then(function () { return j; });
+      })
+      .catch(function (e) { setChannelState('Error: ' + String(e)); });
+  }
+
+  var channelTemplates = {};
+
+  // Starting point for a new channel: the registry fields with their defaults, or {} for channels
+  // the installer has no form for.
+  function channelTemplate(name) {
+    var form = channelTemplates[name];
+    var cfg = {};
+    if (!form) return cfg;
+    for (var i = 0; i < form.fields.length; i++) {
+      var f = form.fields[i];
+      if (f.type === 'checkbox') continue;
+      var v = f.options ? f.default : '';
+      if (f.options && !v) continue;
+      var keys = f.key.split('.');
+      var cur = cfg;
+      for (var k = 0; k < keys.length - 1; k++) cur = cur[keys[k]] = cur[keys[k]] || {};
+      cur[keys[keys.length - 1]] = v;
+    }
+    return cfg;
+  }
+
+  function newChannel() {
+    channelEditing = null;
+    channelNameEl.disabled = false;
+    channelConfigEl.value = JSON.stringify(channelTemplate(channelNameEl.value), null, 2);
+    channelSaveBtn.textContent = 'Add channel';
+  }
+
+  function editChannel(c) {
+    channelEditing = c.name;
+    channelNameEl.innerHTML = '';
+    var opt = document.createElement('option');
+    opt.value = c.name;
+    opt.textContent = c.name;
+    channelNameEl.appendChild(opt);
+    channelNameEl.disabled = true;
+    channelConfigEl.value = JSON.stringify(c.config, null, 2);
+    channelSaveBtn.textContent = 'Save ' + c.name;
+  }
+
+  function renderChannels(j) {
+    channelTableEl.innerHTML = '';
+    if (!j.ok) {
+      channelTableEl.insertRow().insertCell().textContent = j.output || 'Channels unavailable.';
+      return;
+    }
+    if (!j.channels.length) channelTableEl.insertRow().insertCell().textContent = 'No channels configured.';
+    for (var i = 0; i < j.channels.length; i++) {
+      (function (c) {
+        var row = channelTableEl.insertRow();
+        row.insertCell().textContent = c.name;
+        row.insertCell().textContent = (c.enabled ? 'enabled' : 'disabled') + (c.supported ? '' : ' (not supported by this openclaw build)');
+        var actions = row.insertCell();
+        actions.style.textAlign = 'right';
+        actions.appendChild(backupAction('Edit', function () { editChannel(c); }));
+        actions.appendChild(backupAction(c.enabled ? 'Disable' : 'Enable', function () {
+          channelRequest('/install/api/channels/' + encodeURIComponent(c.name), 'PUT', { enabled: !c.enabled });
+        }));
+        actions.appendChild(backupAction('Remove', function () {
+          if (!confirm('Remove the ' + c.name + ' channel from openclaw.json?')) return;
+          var restart = !channelRestartEl || channelRestartEl.checked;
+          apiFetch('/install/api/channels/' + encodeURIComponent(c.name) + (restart ? '' : '?restart=0'), { method: 'DELETE' })
+            .then(function (r) { return r.json(); })
+            .then(function (r) {
+              setChannelState(r.ok ? c.name + ' removed' + (r.restarted ? ', gateway restarted.' : '.') : configErrorText(r));
+              if (channelEditing === c.name) newChannel();
+              loadConfig();
+              return refreshChannels();
+            })
+            .catch(function (e) { setChannelState('Error: ' + String(e)); });
+        }));
+      })(j.channels[i]);
+    }
+    channelTemplates = {};
+    for (var f = 0; f < (j.forms || []).length; f++) channelTemplates[j.forms[f].name] = j.forms[f];
+    if (!channelEditing) {
+      var selected = channelNameEl.value;
+      channelNameEl.innerHTML = '';
+      for (var k = 0; k < j.available.length; k++) {
+        var opt = document.createElement('option');
+        opt.value = j.available[k];
+        opt.textContent = channelTemplates[j.available[k]] ? channelTemplates[j.available[k]].label : j.available[k];
+        if (j.available[k] === selected) opt.selected = true;
+        channelNameEl.appendChild(opt);
+      }
+      if (!selected || channelNameEl.value !== selected) newChannel();
+    }
+  }
+
+  function refreshChannels() {
+    if (!channelTableEl) return Promise.resolve();
+    return apiFetch('/install/api/channels')
+      .then(function (r) { return r.json(); })
+      .then(renderChannels)
+      .catch(function (e) { setChannelState('Error: ' + String(e)); });
+  }
+
+  if (channelSaveBtn) {
+    channelSaveBtn.onclick = function () {
+      var cfg;
+      try {
+        cfg = JSON.parse(channelConfigEl.value || '{}');
+      } catch (e) {
+        setChannelState('Not valid JSON: ' + e.message);
+        return;
+      }
+      if (channelEditing) {
+        channelRequest('/install/api/channels/' + encodeURIComponent(channelEditing), 'PUT', { config: cfg });
+        return;
+      }
+      if (!channelNameEl.value) {
+        setChannelState('No more channels available to add.');
+        return;
+      }
+      channelRequest('/install/api/channels', 'POST', { name: channelNameEl.value, config: cfg }).then(function (j) {
+        if (j && j.ok) newChannel();
+      });
+    };
+  }
+  if (channelNameEl) {
+    channelNameEl.onchange = function () {
+      if (!channelEditing) newChannel();
+    };
+  }
+  var channelNewBtn = document.getElementById('channelNew');
+  if (channelNewBtn) {
+    channelNewBtn.onclick = function () {
+      newChannel();
+      refreshChannels();
+    };
+  }
+
+  // Two-phase import: upload + inspect, show a preview, then confirm (or cancel).
+  var importPreviewEl = document.getElementById('importPreview');
+  var importPreviewTextEl = document.getElementById('importPreviewText');
+  var stagedImportId = null;
+
+  function hideImportPreview() {
+    stagedImportId = null;
+    if (importPreviewEl) importPreviewEl.style.display = 'none';
+  }
+
+  function describeInspection(ins) {
+    var lines = [];
+    lines.push((ins.encrypted ? 'Encrypted backup (passphrase OK). ' : '') + ins.fileCount + ' file(s), ' + formatBytes(ins.totalSize) + ' to restore.');
+    if (ins.config.present) {
+      lines.push('Config ' + ins.config.path + ': ' + (ins.config.valid ? 'present, parses OK' : 'present but does NOT parse: ' + ins.config.error));
+    } else {
+      lines.push('WARNING: no openclaw.json in this archive.');
+    }
+    lines.push(ins.overwriteCount + ' existing file(s) will be overwritten.');
+    if (ins.skipped.length) lines.push(ins.skipped.length + ' entr(y/ies) outside .openclaw/ and workspace/ will be ignored.');
+    if (ins.overwrites.length) {
+      lines.push('', 'Overwritten:');
+      for (var i = 0; i < ins.overwrites.length && i < 50; i++) lines.push('  ' + ins.overwrites[i]);
+      if (ins.overwrites.length > 50) lines.push('  ...');
+    }
+    lines.push('', 'Files:');
+    for (var j = 0; j < ins.files.length && j < 200; j++) {
+      lines.push('  ' + ins.files[j].path + ' (' + formatBytes(ins.files[j].size) + ')');
+    }
+    if (ins.files.length > 200 || ins.truncated) lines.push('  ...');
+    return lines.join('\n');
+  }
+
   if (importForm && importFile) {
     importForm.onsubmit = function (ev) {
       ev.preventDefault();
@@ -171,22 +871,523 @@
         alert('Choose a .tar.gz backup first.');
         return;
       }
+      hideImportPreview();
+      var passphraseEl = document.getElementById('importPassphrase');
       var fd = new FormData();
+      if (passphraseEl && passphraseEl.value) fd.append('passphrase', passphraseEl.value);
       fd.append('backup', importFile.files[0]);
-      logEl.textContent += '\nUploading backup...\n';
-      fetch('/install/api/import', {
+      logEl.textContent += '\nUploading backup for inspection...\n';
+      apiFetch('/install/api/import/inspect', {
         method: 'POST',
-        credentials: 'same-origin',
         body: fd
-      }).then(function (r) { return r.text(); })
-        .then(function (t) {
-          logEl.textContent += t + '\n';
+      }).then(function (r) { return r.json(); })
+        .then(function (j) {
+          if (!j.ok) {
+            logEl.textContent += (j.output || 'Inspection failed.') + '\n';
+            if (j.needsPassphrase && passphraseEl) passphraseEl.focus();
+            return;
+          }
+          stagedImportId = j.id;
+          importPreviewTextEl.textContent = describeInspection(j.inspection);
+          importPreviewEl.style.display = '';
+          logEl.textContent += 'Backup uploaded. Review the preview and confirm the import.\n';
+        })
+        .catch(function (e) { logEl.textContent += 'Error: ' + String(e) + '\n'; });
+    };
+  }
+
+  var importConfirmBtn = document.getElementById('importConfirm');
+  if (importConfirmBtn) {
+    importConfirmBtn.onclick = function () {
+      if (!stagedImportId) return;
+      var id = stagedImportId;
+      hideImportPreview();
+      logEl.textContent += '\nImporting (saving a pre-import snapshot first)...\n';
+      apiFetch('/install/api/import/' + encodeURIComponent(id) + '/confirm', { method: 'POST' })
+        .then(function (r) { return r.json(); })
+        .then(function (j) {
+          logEl.textContent += (j.output || '') + (j.rollback ? '\nRollback snapshot: ' + j.rollback : '') + '\n';
+          refreshBackups();
           return refreshStatus();
         })
         .catch(function (e) { logEl.textContent += 'Error: ' + String(e) + '\n'; });
     };
   }
 
+  var importCancelBtn = document.getElementById('importCancel');
+  if (importCancelBtn) {
+    importCancelBtn.onclick = function () {
+      if (stagedImportId) apiFetch('/install/api/import/' + encodeURIComponent(stagedImportId), { method: 'DELETE' });
+      hideImportPreview();
+      logEl.textContent += '\nImport cancelled.\n';
+    };
+  }
+
+  var importRollbackBtn = document.getElementById('importRollback');
+  if (importRollbackBtn) {
+    importRollbackBtn.onclick = function () {
+      if (!confirm('Restore the most recent pre-import snapshot? This overwrites .openclaw/ and workspace/.')) return;
+      logEl.textContent += '\nRolling back last import...\n';
+      apiFetch('/install/api/import/rollback', { method: 'POST' })
+        .then(function (r) { return r.json(); })
+        .then(function (j) { logEl.textContent += (j.output || '') + '\n'; return refreshStatus(); })
+        .catch(function (e) { logEl.textContent += 'Error: ' + String(e) + '\n'; });
+    };
+  }
+
+  // Backup snapshots stored on the persistent disk
+  var backupInfoEl = document.getElementById('backupInfo');
+  var backupTableEl = document.getElementById('backupTable');
+
+  function formatBytes(n) {
+    if (n < 1024) return n + ' B';
+    if (n < 1024 * 1024) return (n / 1024).toFixed(1) + ' KB';
+    if (n < 1024 * 1024 * 1024) return (n / 1024 / 1024).toFixed(1) + ' MB';
+    return (n / 1024 / 1024 / 1024).toFixed(2) + ' GB';
+  }
+
+  function backupAction(label, onclick) {
+    var b = document.createElement('button');
+    b.type = 'button';
+    b.className = 'small';
+    b.textContent = label;
+    b.onclick = onclick;
+    return b;
+  }
+
+  function renderBackups(j) {
+    if (backupInfoEl) {
+      var r = j.retention || {};
+      backupInfoEl.textContent =
+        'Directory: ' + j.dir + ' | Schedule: ' + (j.schedule || 'off') +
+        (j.nextRunAt ? ' (next ' + j.nextRunAt + ')' : '') +
+        ' | Keep last ' + r.keepLast + ', daily ' + r.keepDaily + ', weekly ' + r.keepWeekly +
+        (j.lastRun ? ' | Last run: ' + j.lastRun.at + (j.lastRun.ok ? ' ok' : ' FAILED: ' + j.lastRun.error) : '');
+    }
+    backupTableEl.innerHTML = '';
+    var list = j.backups || [];
+    if (!list.length) {
+      var empty = backupTableEl.insertRow();
+      empty.insertCell().textContent = 'No snapshots yet.';
+      return;
+    }
+    for (var i = 0; i < list.length; i++) {
+      (function (b) {
+        var row = backupTableEl.insertRow();
+        row.insertCell().textContent = b.createdAt.replace('T', ' ').slice(0, 19);
+        row.insertCell().textContent = b.kind;
+        row.insertCell().textContent = formatBytes(b.size);
+        var actions = row.insertCell();
+        actions.style.textAlign = 'right';
+        var dl = document.createElement('a');
+        dl.href = '/install/api/backups/' + encodeURIComponent(b.name) + '/download';
+        dl.textContent = 'Download';
+        dl.style.marginRight = '0.5rem';
+        actions.appendChild(dl);
+        actions.appendChild(backupAction('Restore', function () {
+          if (!confirm('Restore ' + b.name + '? This overwrites .openclaw/ and workspace/ and restarts the gateway.')) return;
+          logEl.textContent += '\nRestoring ' + b.name + '...\n';
+          httpJson('/install/api/backups/' + encodeURIComponent(b.name) + '/restore', { method: 'POST' })
+            .then(function (r) { logEl.textContent += (r.output || 'Restored.') + '\n'; return refreshStatus(); })
+            .catch(function (e) { logEl.textContent += 'Error: ' + String(e) + '\n'; });
+        }));
+        actions.appendChild(backupAction('Delete', function () {
+          if (!confirm('Delete ' + b.name + '?')) return;
+          httpJson('/install/api/backups/' + encodeURIComponent(b.name), { method: 'DELETE' })
+            .then(refreshBackups)
+            .catch(function (e) { logEl.textContent += 'Error: ' + String(e) + '\n'; });
+        }));
+      })(list[i]);
+    }
+  }
+
+  function refreshBackups() {
+    if (!backupTableEl) return;
+    return httpJson('/install/api/backups').then(renderBackups).catch(function (e) {
+      if (backupInfoEl) backupInfoEl.textContent = 'Error: ' + String(e);
+    });
+  }
+
+  var backupNowBtn = document.getElementById('backupNow');
+  if (backupNowBtn) {
+    backupNowBtn.onclick = function () {
+      backupNowBtn.disabled = true;
+      logEl.textContent += '\nWriting backup snapshot...\n';
+      httpJson('/install/api/backups', { method: 'POST' })
+        .then(function (j) { logEl.textContent += 'Wrote ' + j.backup.name + ' (' + formatBytes(j.backup.size) + ').\n'; })
+        .catch(function (e) { logEl.textContent += 'Error: ' + String(e) + '\n'; })
+        .then(function () { backupNowBtn.disabled = false; return refreshBackups(); });
+    };
+  }
+  var backupRefreshBtn = document.getElementById('backupRefresh');
+  if (backupRefreshBtn) backupRefreshBtn.onclick = refreshBackups;
+
+  // Offsite copies in an S3-compatible bucket. Restores go through the same inspect/confirm preview.
+  var offsiteInfoEl = document.getElementById('offsiteInfo');
+  var offsiteTableEl = document.getElementById('offsiteTable');
+
+  function stageOffsite(key, passphrase) {
+    logEl.textContent += '\nDownloading ' + key + ' for inspection...\n';
+    hideImportPreview();
+    var body = { key: key };
+    if (passphrase) body.passphrase = passphrase;
+    return apiFetch('/install/api/offsite/restore', {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify(body)
+    }).then(function (r) { return r.json(); })
+      .then(function (j) {
+        if (!j.ok) {
+          logEl.textContent += (j.output || 'Download failed.') + '\n';
+          if (j.needsPassphrase) {
+            var pass = prompt('This offsite backup is encrypted. Passphrase:');
+            if (pass) return stageOffsite(key, pass);
+          }
+          return;
+        }
+        stagedImportId = j.id;
+        importPreviewTextEl.textContent = describeInspection(j.inspection);
+        importPreviewEl.style.display = '';
+        logEl.textContent += 'Offsite backup downloaded. Review the preview and confirm the import.\n';
+      })
+      .catch(function (e) { logEl.textContent += 'Error: ' + String(e) + '\n'; });
+  }
+
+  function renderOffsite(j) {
+    if (offsiteInfoEl) {
+      offsiteInfoEl.textContent = !j.configured
+        ? 'Not configured. Set S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY to enable offsite copies.'
+        : 'Bucket: ' + j.bucket + '/' + j.prefix + ' | ' + (j.encrypted ? 'encrypted' : 'not encrypted') +
+          ' | Scheduled uploads: ' + (j.uploadScheduled ? 'on' : 'off') +
+          (j.lastUpload ? ' | Last upload: ' + j.lastUpload.at + (j.lastUpload.ok ? ' ok' : ' FAILED: ' + j.lastUpload.error) : '') +
+          (j.ok ? '' : ' | Error: ' + j.output);
+    }
+    var uploadBtn = document.getElementById('offsiteUpload');
+    if (uploadBtn) uploadBtn.disabled = !j.configured;
+    offsiteTableEl.innerHTML = '';
+    if (!j.configured) return;
+    var list = j.objects || [];
+    if (!list.length) {
+      offsiteTableEl.insertRow().insertCell().textContent = 'No offsite backups yet.';
+      return;
+    }
+    for (var i = 0; i < list.length; i++) {
+      (function (o) {
+        var row = offsiteTableEl.insertRow();
+        row.insertCell().textContent = (o.lastModified || '').replace('T', ' ').slice(0, 19);
+        row.insertCell().textContent = o.name;
+        row.insertCell().textContent = formatBytes(o.size);
+        var actions = row.insertCell();
+        actions.style.textAlign = 'right';
+        actions.appendChild(backupAction('Restore...', function () { stageOffsite(o.key); }));
+      })(list[i]);
+    }
+  }
+
+  function refreshOffsite() {
+    if (!offsiteTableEl) return;
+    return apiFetch('/install/api/offsite')
+      .then(function (r) { return r.json(); })
+      .then(renderOffsite)
+      .catch(function (e) {
+        if (offsiteInfoEl) offsiteInfoEl.textContent = 'Error: ' + String(e);
+      });
+  }
+
+  var offsiteUploadBtn = document.getElementById('offsiteUpload');
+  if (offsiteUploadBtn) {
+    offsiteUploadBtn.onclick = function () {
+      offsiteUploadBtn.disabled = true;
+      logEl.textContent += '\nWriting snapshot and uploading offsite...\n';
+      httpJson('/install/api/offsite/upload', { method: 'POST' })
+        .then(function (j) { logEl.textContent += 'Uploaded ' + j.key + ' (' + formatBytes(j.size) + ').\n'; })
+        .catch(function (e) { logEl.textContent += 'Error: ' + String(e) + '\n'; })
+        .then(function () {
+          offsiteUploadBtn.disabled = false;
+          refreshBackups();
+          return refreshOffsite();
+        });
+    };
+  }
+  var offsiteRefreshBtn = document.getElementById('offsiteRefresh');
+  if (offsiteRefreshBtn) offsiteRefreshBtn.onclick = refreshOffsite;
+
+  // Live gateway log viewer (Server-Sent Events from /install/api/logs/stream)
+  var gatewayLogEl = document.getElementById('gatewayLog');
+  var logLevelEl = document.getElementById('logLevel');
+  var logPauseBtn = document.getElementById('logPause');
+  var logClearBtn = document.getElementById('logClear');
+  var logStreamStateEl = document.getElementById('logStreamState');
+  var LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+  var LOG_VIEW_MAX = 1000;
+  var logPaused = false;
+  var logPending = [];
+  var logEntries = [];
+
+  function logVisible(entry) {
+    var min = LOG_LEVELS.indexOf(logLevelEl ? logLevelEl.value : 'debug');
+    return LOG_LEVELS.indexOf(entry.level) >= min;
+  }
+
+  function appendLogLine(entry) {
+    var span = document.createElement('span');
+    span.className = 'lvl-' + entry.level;
+    span.textContent = entry.ts.slice(11, 19) + ' ' + entry.line + '\n';
+    gatewayLogEl.appendChild(span);
+  }
+
+  function renderLogs() {
+    gatewayLogEl.innerHTML = '';
+    for (var i = 0; i < logEntries.length; i++) {
+      if (logVisible(logEntries[i])) appendLogLine(logEntries[i]);
+    }
+    gatewayLogEl.scrollTop = gatewayLogEl.scrollHeight;
+  }
+
+  function addLogEntries(entries) {
+    var stick = gatewayLogEl.scrollTop + gatewayLogEl.clientHeight >= gatewayLogEl.scrollHeight - 20;
+    for (var i = 0; i < entries.length; i++) {
+      logEntries.push(entries[i]);
+      if (logVisible(entries[i])) appendLogLine(entries[i]);
+    }
+    if (logEntries.length > LOG_VIEW_MAX) {
+      logEntries = logEntries.slice(logEntries.length - LOG_VIEW_MAX);
+      renderLogs();
+      return;
+    }
+    if (stick) gatewayLogEl.scrollTop = gatewayLogEl.scrollHeight;
+  }
+
+  function startLogStream() {
+    if (!gatewayLogEl || !window.EventSource) return;
+    var es = new EventSource('/install/api/logs/stream?tail=200');
+    es.onopen = function () { if (logStreamStateEl) logStreamStateEl.textContent = 'live'; };
+    es.onerror = function () { if (logStreamStateEl) logStreamStateEl.textContent = 'reconnecting...'; };
+    es.onmessage = function (ev) {
+      var entry;
+      try { entry = JSON.parse(ev.data); } catch (_e) { return; }
+      if (logPaused) {
+        logPending.push(entry);
+        if (logStreamStateEl) logStreamStateEl.textContent = 'paused (' + logPending.length + ' new)';
+        return;
+      }
+      addLogEntries([entry]);
+    };
+  }
+
+  if (logLevelEl) logLevelEl.onchange = renderLogs;
+  if (logPauseBtn) {
+    logPauseBtn.onclick = function () {
+      logPaused = !logPaused;
+      logPauseBtn.textContent = logPaused ? 'Resume' : 'Pause';
+      if (logStreamStateEl) logStreamStateEl.textContent = logPaused ? 'paused' : 'live';
+      if (!logPaused && logPending.length) {
+        addLogEntries(logPending);
+        logPending = [];
+      }
+    };
+  }
+  if (logClearBtn) {
+    logClearBtn.onclick = function () {
+      logEntries = [];
+      logPending = [];
+      renderLogs();
+    };
+  }
+
+  // Audit log: newest first, filtered server-side.
+  var auditTableEl = document.getElementById('auditTable');
+  var auditFilterEl = document.getElementById('auditFilter');
+  var auditOutcomeEl = document.getElementById('auditOutcome');
+  var auditStateEl = document.getElementById('auditState');
+
+  function renderAudit(j) {
+    auditTableEl.innerHTML = '';
+    if (!j.entries.length) {
+      auditTableEl.insertRow().insertCell().textContent = 'No matching entries.';
+    }
+    for (var i = 0; i < j.entries.length; i++) {
+      var e = j.entries[i];
+      var row = auditTableEl.insertRow();
+      row.insertCell().textContent = new Date(e.ts).toLocaleString();
+      row.insertCell().textContent = e.ip;
+      row.insertCell().textContent = e.user || '';
+      row.insertCell().textContent = e.action;
+      var params = row.insertCell();
+      params.textContent = e.params && Object.keys(e.params).length ? JSON.stringify(e.params) : '';
+      params.style.wordBreak = 'break-all';
+      var outcome = row.insertCell();
+      outcome.textContent = e.outcome + ' (' + e.status + ')';
+      if (e.outcome !== 'ok') outcome.style.color = 'var(--coral-bright)';
+    }
+    if (auditStateEl) auditStateEl.textContent = j.entries.length + ' entr' + (j.entries.length === 1 ? 'y' : 'ies');
+  }
+
+  function refreshAudit() {
+    if (!auditTableEl) return;
+    var qs = 'limit=200';
+    if (auditFilterEl && auditFilterEl.value.trim()) qs += '&q=' + encodeURIComponent(auditFilterEl.value.trim());
+    if (auditOutcomeEl && auditOutcomeEl.value) qs += '&outcome=' + encodeURIComponent(auditOutcomeEl.value);
+    if (auditStateEl) auditStateEl.textContent = 'Loading...';
+    return httpJson('/install/api/audit?' + qs).then(renderAudit).catch(function (e) {
+      if (auditStateEl) auditStateEl.textContent = 'Error: ' + String(e);
+    });
+  }
+
+  var auditRefreshBtn = document.getElementById('auditRefresh');
+  if (auditRefreshBtn) auditRefreshBtn.onclick = refreshAudit;
+  if (auditOutcomeEl) auditOutcomeEl.onchange = refreshAudit;
+  if (auditFilterEl) {
+    auditFilterEl.onkeydown = function (ev) {
+      if (ev.key === 'Enter') refreshAudit();
+    };
+  }
+
+  // Users (admin only) and the signed-in account's own password.
+  var usersTableEl = document.getElementById('usersTable');
+  var usersStateEl = document.getElementById('usersState');
+  var userRoles = [];
+
+  function updateUser(username, body, done) {
+    return httpJson('/install/api/users/' + encodeURIComponent(username), {
+      method: 'PUT',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify(body)
+    })
+      .then(function () { if (usersStateEl) usersStateEl.textContent = done; })
+      .catch(function (e) { if (usersStateEl) usersStateEl.textContent = 'Error: ' + String(e); })
+      .then(refreshUsers);
+  }
+
+  function renderUsers(j) {
+    userRoles = j.roles || [];
+    usersTableEl.innerHTML = '';
+    if (!j.users.length) {
+      usersTableEl.insertRow().insertCell().textContent = 'No accounts yet; everyone uses the setup password.';
+    }
+    for (var i = 0; i < j.users.length; i++) {
+      (function (u) {
+        var row = usersTableEl.insertRow();
+        row.insertCell().textContent = u.username;
+        var roleSel = document.createElement('select');
+        roleSel.style.width = 'auto';
+        roleSel.style.marginTop = '0';
+        for (var k = 0; k < userRoles.length; k++) {
+          var opt = document.createElement('option');
+          opt.value = userRoles[k];
+          opt.textContent = userRoles[k];
+          roleSel.appendChild(opt);
+        }
+        roleSel.value = u.role;
+        roleSel.onchange = function () {
+          updateUser(u.username, { role: roleSel.value }, u.username + ' is now ' + roleSel.value + '.');
+        };
+        row.insertCell().appendChild(roleSel);
+        row.insertCell().textContent = u.updatedAt ? new Date(u.updatedAt).toLocaleString() : '';
+        var actions = row.insertCell();
+        actions.appendChild(backupAction('Reset password', function () {
+          var pass = prompt('New password for ' + u.username + ':');
+          if (!pass) return;
+          updateUser(u.username, { password: pass }, 'Password for ' + u.username + ' changed; their sessions were signed out.');
+        }));
+        actions.appendChild(backupAction('Delete', function () {
+          if (!confirm('Delete user ' + u.username + '? Their sessions end immediately.')) return;
+          httpJson('/install/api/users/' + encodeURIComponent(u.username), { method: 'DELETE' })
+            .then(function () { if (usersStateEl) usersStateEl.textContent = 'Deleted ' + u.username + '.'; })
+            .catch(function (e) { if (usersStateEl) usersStateEl.textContent = 'Error: ' + String(e); })
+            .then(refreshUsers);
+        }));
+      })(j.users[i]);
+    }
+  }
+
+  function refreshUsers() {
+    if (!usersTableEl) return;
+    return httpJson('/install/api/users').then(renderUsers).catch(function (e) {
+      if (usersStateEl) usersStateEl.textContent = 'Error: ' + String(e);
+    });
+  }
+
+  var usersRefreshBtn = document.getElementById('usersRefresh');
+  if (usersRefreshBtn) usersRefreshBtn.onclick = refreshUsers;
+
+  var newUserAddBtn = document.getElementById('newUserAdd');
+  if (newUserAddBtn) {
+    newUserAddBtn.onclick = function () {
+      var nameEl = document.getElementById('newUserName');
+      var passEl = document.getElementById('newUserPassword');
+      var body = {
+        username: nameEl.value.trim(),
+        password: passEl.value,
+        role: document.getElementById('newUserRole').value
+      };
+      httpJson('/install/api/users', {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify(body)
+      })
+        .then(function (j) {
+          nameEl.value = '';
+          passEl.value = '';
+          if (usersStateEl) usersStateEl.textContent = 'Added ' + j.user.username + ' (' + j.user.role + ').';
+        })
+        .catch(function (e) { if (usersStateEl) usersStateEl.textContent = 'Error: ' + String(e); })
+        .then(refreshUsers);
+    };
+  }
+
+  var accountSaveBtn = document.getElementById('accountPasswordSave');
+  var accountStateEl = document.getElementById('accountState');
+  if (accountSaveBtn) {
+    accountSaveBtn.onclick = function () {
+      var currentEl = document.getElementById('accountCurrentPassword');
+      var nextEl = document.getElementById('accountNewPassword');
+      httpJson('/install/api/account/password', {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ currentPassword: currentEl.value, newPassword: nextEl.value })
+      })
+        .then(function (j) {
+          // The change starts a new session, which comes with a new CSRF token.
+          csrfToken = j.csrfToken;
+          var exportCsrf = document.querySelector('#exportForm input[name="_csrf"]');
+          if (exportCsrf) exportCsrf.value = j.csrfToken;
+          currentEl.value = '';
+          nextEl.value = '';
+          if (accountStateEl) accountStateEl.textContent = 'Password changed. Other sessions were signed out.';
+        })
+        .catch(function (e) { if (accountStateEl) accountStateEl.textContent = 'Error: ' + String(e); });
+    };
+  }
+
+  var logoutLink = document.getElementById('logout');
+  if (logoutLink) {
+    logoutLink.onclick = function (ev) {
+      ev.preventDefault();
+      apiFetch('/install/logout', { method: 'POST' }).then(function () {
+        window.location.href = '/install/login';
+      });
+    };
+  }
+
+  // Only load what the signed-in role may see; the rest of the page is hidden for it.
+  var roles = ['viewer', 'operator', 'admin'];
+  var role = document.body.getAttribute('data-role') || 'viewer';
+  function can(minRole) {
+    return roles.indexOf(role) >= roles.indexOf(minRole);
+  }
+
   refreshStatus();
+  if (can('operator')) refreshPairing();
+  if (can('admin')) {
+    loadConfig();
+    refreshArchives();
+    refreshChannels();
+    refreshBackups();
+    refreshOffsite();
+    refreshAudit();
+    refreshUsers();
+  }
+  startLogStream();
 })();
 
@@ -1,8 +1,11 @@
+import { AsyncLocalStorage } from "node:async_hooks";
 import childProcess from "node:child_process";
 import crypto from "node:crypto";
 import fs from "node:fs";
 import os from "node:os";
 import path from "node:path";
+import { Readable } from "node:stream";
+import { pipeline } from "node:stream/promises";
 import { pathToFileURL } from "node:url";
 
 import Busboy from "busboy";
@@ -11,6 +14,8 @@ import httpProxy from "http-proxy";
 import * as tar from "tar";
 import WebSocket, { WebSocketServer } from "ws";
 
+import { bridgeWebSockets, connectFrameId, connectReplyVerdict } from "./ws-bridge.js";
+
 // Render sets PORT for HTTP services; default locally to 8080.
 const PORT = Number.parseInt(process.env.PORT ?? "8080", 10);
 
@@ -39,18 +44,41 @@ const SETUP_PASSWORD = (process.env.RENDER_SETUP_PASSWORD || process.env.SETUP_P
 
 // Gateway admin token (protects OpenClaw gateway + Control UI).
 // Must be stable across restarts. If not provided via env, persist it in the state dir.
+// A token rotated from /install is persisted to gateway.token and takes precedence over env
+// (the marker file records when it was rotated).
+const GATEWAY_TOKEN_PATH = path.join(STATE_DIR, "gateway.token");
+const GATEWAY_TOKEN_ROTATED_PATH = path.join(STATE_DIR, "gateway.token.rotated");
+
+// Captured before we overwrite the env vars below with the effective token.
+const ENV_GATEWAY_TOKEN = (
+  process.env.RENDER_GATEWAY_TOKEN ||
+  process.env.OPENCLAW_GATEWAY_TOKEN ||
+  process.env.GATEWAY_TOKEN ||
+  ""
+).trim();
+
+function readTokenRotation() {
+  try {
+    return JSON.parse(fs.readFileSync(GATEWAY_TOKEN_ROTATED_PATH, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
 function resolveGatewayToken() {
-  const envTok = (
-    process.env.RENDER_GATEWAY_TOKEN ||
-    process.env.OPENCLAW_GATEWAY_TOKEN ||
-    process.env.GATEWAY_TOKEN ||
-    ""
-  ).trim();
-  if (envTok) return envTok;
+  if (readTokenRotation()) {
+    try {
+      const rotated = fs.readFileSync(GATEWAY_TOKEN_PATH, "utf8").trim();
+      if (rotated) return rotated;
+    } catch {
+      // fall through to env / generated
+    }
+  }
+
+  if (ENV_GATEWAY_TOKEN) return ENV_GATEWAY_TOKEN;
 
-  const tokenPath = path.join(STATE_DIR, "gateway.token");
   try {
-    const existing = fs.readFileSync(tokenPath, "utf8").trim();
+    const existing = fs.readFileSync(GATEWAY_TOKEN_PATH, "utf8").trim();
     if (existing) return existing;
   } catch {
     // ignore
@@ -59,16 +87,28 @@ function resolveGatewayToken() {
   const generated = crypto.randomBytes(32).toString("hex");
   try {
     fs.mkdirSync(STATE_DIR, { recursive: true });
-    fs.writeFileSync(tokenPath, generated, { encoding: "utf8", mode: 0o600 });
+    fs.writeFileSync(GATEWAY_TOKEN_PATH, generated, { encoding: "utf8", mode: 0o600 });
   } catch {
     // best-effort
   }
   return generated;
 }
 
-const GATEWAY_TOKEN = resolveGatewayToken();
-process.env.OPENCLAW_GATEWAY_TOKEN = GATEWAY_TOKEN;
-process.env.GATEWAY_TOKEN = GATEWAY_TOKEN;
+// Mutable: /install/api/token/rotate swaps it at runtime.
+let gatewayToken = resolveGatewayToken();
+process.env.OPENCLAW_GATEWAY_TOKEN = gatewayToken;
+process.env.GATEWAY_TOKEN = gatewayToken;
+
+// After a rotation the previous token can stay usable for a short grace window: the proxy
+// rewrites it to the current token in URLs, Authorization headers and client WS frames.
+const TOKEN_ROTATE_MAX_GRACE_MS = Number.parseInt(process.env.TOKEN_ROTATE_MAX_GRACE_MS ?? "3600000", 10);
+let previousGatewayToken = null;
+let previousGatewayTokenValidUntil = 0;
+
+function withCurrentGatewayToken(value) {
+  if (!previousGatewayToken || !value || Date.now() > previousGatewayTokenValidUntil) return value;
+  return value.split(previousGatewayToken).join(gatewayToken);
+}
 
 // Where the gateway will listen internally (we proxy to it).
 const INTERNAL_GATEWAY_PORT = Number.parseInt(process.env.INTERNAL_GATEWAY_PORT ?? "18789", 10);
@@ -121,11 +161,240 @@ function isConfigured() {
 
 let gatewayProc = null;
 let gatewayStarting = null;
+// Set once SIGTERM/SIGINT arrives; nothing may start the gateway again after that.
+let shuttingDown = false;
+
+// Supervisor tuning: restart the gateway automatically when it exits on its own, backing off
+// exponentially, and give up once it crashes too often inside the crash-loop window.
+const GATEWAY_RESTART_BASE_MS = Number.parseInt(process.env.GATEWAY_RESTART_BASE_MS ?? "1000", 10);
+const GATEWAY_RESTART_MAX_MS = Number.parseInt(process.env.GATEWAY_RESTART_MAX_MS ?? "60000", 10);
+const GATEWAY_CRASH_LOOP_MAX = Number.parseInt(process.env.GATEWAY_CRASH_LOOP_MAX ?? "5", 10);
+const GATEWAY_CRASH_LOOP_WINDOW_MS = Number.parseInt(process.env.GATEWAY_CRASH_LOOP_WINDOW_MS ?? "300000", 10);
+// A gateway that stayed up this long is considered healthy again (resets the backoff).
+const GATEWAY_STABLE_MS = Number.parseInt(process.env.GATEWAY_STABLE_MS ?? "60000", 10);
+const GATEWAY_EXIT_HISTORY = 20;
+const GATEWAY_STOP_TIMEOUT_MS = Number.parseInt(process.env.GATEWAY_STOP_TIMEOUT_MS ?? "10000", 10);
+
+const gatewaySupervisor = {
+  startedAt: null,
+  restarts: 0,
+  consecutiveFailures: 0,
+  crashTimes: [],
+  crashLoop: false,
+  restartTimer: null,
+  nextRestartAt: null,
+  exits: [],
+};
 
 function sleep(ms) {
   return new Promise((r) => setTimeout(r, ms));
 }
 
+// Error carrying the HTTP status a route should answer with.
+function httpError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+// Central secret redaction for everything the wrapper logs or hands back to /install (command
+// output, gateway logs, errors). Known values (gateway token, submitted keys, config secrets) are
+// registered as they appear; well-known key formats are caught by pattern. Masks keep the first and
+// last few characters so different keys can still be told apart. Values are replaced wherever they
+// occur, so short or human-chosen ones (the setup password) are not registered: they would mangle
+// ordinary words, versions and paths.
+const SECRET_MIN_LENGTH = 12;
+const SECRET_PATTERNS = [
+  /\bsk-(?:ant-|proj-)?[A-Za-z0-9_-]{16,}/g, // Anthropic / OpenAI
+  /\bxox[abposr]-[A-Za-z0-9-]{10,}/g, // Slack bot/user tokens
+  /\bxapp-[A-Za-z0-9-]{10,}/g, // Slack app tokens
+  /\b\d{6,12}:[A-Za-z0-9_-]{30,}/g, // Telegram bot tokens
+  /\b[MN][A-Za-z0-9_-]{23,25}\.[A-Za-z0-9_-]{6}\.[A-Za-z0-9_-]{27,}/g, // Discord bot tokens
+  /\bAIza[A-Za-z0-9_-]{30,}/g, // Google API keys
+  /\bgh[pousr]_[A-Za-z0-9]{30,}/g, // GitHub tokens
+  /\b(?:AKIA|ASIA)[A-Z0-9]{16}\b/g, // AWS access key IDs
+  /(?<=\bBearer\s+)[A-Za-z0-9._~+/=-]{8,}/gi,
+  /(?<=(?:token|secret|password|passphrase|api[_-]?key)["']?\s*[:=]\s*["']?)[^\s"',;&]{8,}/gi,
+];
+// Registered values by source; a source such as "config" is replaced as a whole when it is re-read,
+// so stale values don't pile up. knownSecrets is the union, kept sorted longest first so a secret
+// that contains another is masked as a whole.
+const secretSources = new Map();
+let knownSecrets = [];
+
+function maskSecret(value) {
+  const s = String(value);
+  if (s.length >= 16) return `${s.slice(0, 4)}****${s.slice(-4)}`;
+  return `****${s.slice(-2)}`;
+}
+
+function secretValue(value) {
+  const s = typeof value === "string" ? value.trim() : "";
+  return s.length >= SECRET_MIN_LENGTH ? s : null;
+}
+
+function registerSecret(value, source = "static") {
+  const s = secretValue(value);
+  if (!s) return;
+  const values = secretSources.get(source) ?? new Set();
+  values.add(s);
+  secretSources.set(source, values);
+  if (knownSecrets.includes(s)) return;
+  const at = knownSecrets.findIndex((k) => k.length < s.length);
+  knownSecrets.splice(at === -1 ? knownSecrets.length : at, 0, s);
+}
+
+function replaceSecrets(source, values) {
+  secretSources.set(source, new Set(values.map(secretValue).filter(Boolean)));
+  const all = new Set([...secretSources.values()].flatMap((set) => [...set]));
+  knownSecrets = [...all].sort((a, b) => b.length - a.length);
+}
+
+function redactSecrets(text) {
+  if (typeof text !== "string" || !text) return text;
+  let out = text;
+  for (const s of knownSecrets) {
+    if (out.includes(s)) out = out.split(s).join(maskSecret(s));
+  }
+  for (const re of SECRET_PATTERNS) {
+    out = out.replace(re, (m) => (m.includes("****") ? m : maskSecret(m)));
+  }
+  return out;
+}
+
+registerSecret(ENV_GATEWAY_TOKEN);
+registerSecret(gatewayToken);
+
+// Wrapper logging: levels from LOG_LEVEL, text or one-JSON-object-per-line output (LOG_FORMAT=json).
+// Lines logged while handling a request carry its ID, tracked through async calls by requestContext.
+const LOG_LEVELS = ["debug", "info", "warn", "error"];
+const LOG_LEVEL = LOG_LEVELS.includes(process.env.LOG_LEVEL?.trim().toLowerCase())
+  ? process.env.LOG_LEVEL.trim().toLowerCase()
+  : "info";
+const LOG_JSON = process.env.LOG_FORMAT?.trim().toLowerCase() === "json";
+const REQUEST_ID_HEADER = "x-request-id";
+const REQUEST_ID_RE = /^[A-Za-z0-9._:-]{1,128}$/;
+const requestContext = new AsyncLocalStorage();
+
+// Reuse a well-formed incoming X-Request-Id (e.g. from Render's edge) so IDs line up end to end.
+function requestIdFor(req) {
+  const incoming = String(req.headers[REQUEST_ID_HEADER] ?? "").trim();
+  return REQUEST_ID_RE.test(incoming) ? incoming : crypto.randomUUID();
+}
+
+function logEnabled(level) {
+  return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(LOG_LEVEL);
+}
+
+function writeLogLine(level, text) {
+  (level === "warn" || level === "error" ? process.stderr : process.stdout).write(text + "\n");
+}
+
+// `extra` is either an Error (logged with its stack) or a plain object of fields.
+function logLine(level, scope, message, extra) {
+  if (!logEnabled(level)) return;
+  const requestId = requestContext.getStore()?.requestId;
+  const err = extra instanceof Error ? extra : null;
+  const fields = err ? {} : { ...extra };
+  for (const [k, v] of Object.entries(fields)) fields[k] = redactSecrets(v);
+  if (fields.requestId === undefined && requestId) fields.requestId = requestId;
+  message = redactSecrets(message);
+  if (LOG_JSON) {
+    const out = { time: new Date().toISOString(), level, scope, msg: message, ...fields };
+    if (err) out.err = { message: redactSecrets(err.message), stack: redactSecrets(err.stack), status: err.status };
+    writeLogLine(level, JSON.stringify(out));
+    return;
+  }
+  const { requestId: id, ...rest } = fields;
+  let text = `[${scope}] ${message}`;
+  for (const [k, v] of Object.entries(rest)) {
+    if (v !== undefined) text += ` ${k}=${typeof v === "string" ? v : JSON.stringify(v)}`;
+  }
+  if (id) text += ` (req=${id})`;
+  if (err) text += `\n${redactSecrets(err.stack ?? String(err))}`;
+  writeLogLine(level, text);
+}
+
+const log = Object.fromEntries(LOG_LEVELS.map((level) => [level, (scope, message, extra) => logLine(level, scope, message, extra)]));
+
+// In-process Prometheus metrics, rendered in the text exposition format by /metrics.
+// Counters and histograms are keyed by their sorted label set; gauges are collected at scrape time.
+const HTTP_DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const GATEWAY_READY_BUCKETS = [0.5, 1, 2, 5, 10, 20, 30, 60, 120];
+const metrics = new Map();
+
+function defineMetric(name, type, help, buckets) {
+  metrics.set(name, { name, type, help, buckets, series: new Map() });
+}
+
+function metricSeries(name, labels) {
+  const m = metrics.get(name);
+  const key = JSON.stringify(Object.entries(labels).sort(([a], [b]) => (a < b ? -1 : 1)));
+  let series = m.series.get(key);
+  if (!series) {
+    series = m.type === "histogram" ? { labels, counts: m.buckets.map(() => 0), sum: 0, count: 0 } : { labels, value: 0 };
+    m.series.set(key, series);
+  }
+  return [m, series];
+}
+
+function metricInc(name, labels = {}, by = 1) {
+  metricSeries(name, labels)[1].value += by;
+}
+
+function metricObserve(name, labels, value) {
+  const [m, series] = metricSeries(name, labels);
+  m.buckets.forEach((le, i) => {
+    if (value <= le) series.counts[i] += 1;
+  });
+  series.sum += value;
+  series.count += 1;
+}
+
+function formatMetricLabels(labels) {
+  const parts = Object.entries(labels).map(
+    ([k, v]) => `${k}="${String(v).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"')}"`,
+  );
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+function renderMetrics(gauges) {
+  const lines = [];
+  for (const m of metrics.values()) {
+    lines.push(`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`);
+    for (const series of m.series.values()) {
+      if (m.type !== "histogram") {
+        lines.push(`${m.name}${formatMetricLabels(series.labels)} ${series.value}`);
+        continue;
+      }
+      m.buckets.forEach((le, i) => {
+        lines.push(`${m.name}_bucket${formatMetricLabels({ ...series.labels, le })} ${series.counts[i]}`);
+      });
+      lines.push(`${m.name}_bucket${formatMetricLabels({ ...series.labels, le: "+Inf" })} ${series.count}`);
+      lines.push(`${m.name}_sum${formatMetricLabels(series.labels)} ${series.sum}`);
+      lines.push(`${m.name}_count${formatMetricLabels(series.labels)} ${series.count}`);
+    }
+  }
+  for (const g of gauges) {
+    lines.push(`# HELP ${g.name} ${g.help}`, `# TYPE ${g.name} ${g.type ?? "gauge"}`, `${g.name} ${g.value}`);
+  }
+  return lines.join("\n") + "\n";
+}
+
+defineMetric("openclaw_http_requests_total", "counter", "HTTP requests handled by the wrapper, by handler and status.");
+defineMetric("openclaw_http_request_duration_seconds", "histogram", "HTTP request latency by handler and status.", HTTP_DURATION_BUCKETS);
+defineMetric("openclaw_proxy_errors_total", "counter", "Errors proxying to the gateway, by kind (http or ws).");
+defineMetric("openclaw_ws_connections_total", "counter", "WebSocket connections bridged to the gateway.");
+defineMetric("openclaw_ws_messages_total", "counter", "WebSocket messages relayed, by direction.");
+defineMetric("openclaw_ws_bytes_total", "counter", "WebSocket payload bytes relayed, by direction.");
+defineMetric("openclaw_ws_closes_total", "counter", "WebSocket close events, by the side that closed and close code.");
+defineMetric("openclaw_gateway_crashes_total", "counter", "Unexpected gateway exits.");
+defineMetric("openclaw_gateway_ready_seconds", "histogram", "Time from gateway spawn to passing the ready probe.", GATEWAY_READY_BUCKETS);
+defineMetric("openclaw_backups_total", "counter", "Backup snapshots written, by kind and result.");
+defineMetric("openclaw_offsite_uploads_total", "counter", "Offsite backup uploads, by result.");
+defineMetric("openclaw_imports_total", "counter", "Backup imports and restores, by result.");
+// Unlabeled counters start at 0 so rate() works from the first scrape.
+metricInc("openclaw_ws_connections_total", {}, 0);
+metricInc("openclaw_gateway_crashes_total", {}, 0);
+
 async function waitForGatewayReady(opts = {}) {
   const timeoutMs = opts.timeoutMs ?? GATEWAY_READY_TIMEOUT_MS;
   const pollMs = opts.pollMs ?? GATEWAY_READY_POLL_MS;
@@ -133,24 +402,299 @@ async function waitForGatewayReady(opts = {}) {
   const readyPath = (opts.path ?? GATEWAY_READY_PATH).trim() || "/healthz";
   const start = Date.now();
   while (Date.now() - start < timeoutMs) {
-    try {
-      const controller = new AbortController();
-      const t = setTimeout(() => controller.abort(), requestTimeoutMs);
-      const res = await fetch(`${GATEWAY_TARGET}${readyPath}`, {
-        method: "GET",
-        signal: controller.signal,
-      }).finally(() => clearTimeout(t));
-
-      // /healthz should be 200; treat any non-5xx as "gateway is responding".
-      if (res && res.status < 500) return true;
-    } catch {
-      // not ready
-    }
+    // Stop polling early if the caller knows the process we're waiting on has already died.
+    if (opts.isAlive && !opts.isAlive()) return false;
+    const probe = await probeGateway({ path: readyPath, requestTimeoutMs });
+    if (probe.ok) return true;
     await sleep(pollMs);
   }
   return false;
 }
 
+// One request against the gateway's ready path: { ok, status, latencyMs, error }.
+async function probeGateway(opts = {}) {
+  const requestTimeoutMs = opts.requestTimeoutMs ?? GATEWAY_READY_REQ_TIMEOUT_MS;
+  const readyPath = (opts.path ?? GATEWAY_READY_PATH).trim() || "/healthz";
+  const start = Date.now();
+  try {
+    const controller = new AbortController();
+    const t = setTimeout(() => controller.abort(), requestTimeoutMs);
+    const res = await fetch(`${GATEWAY_TARGET}${readyPath}`, {
+      method: "GET",
+      signal: controller.signal,
+    }).finally(() => clearTimeout(t));
+    await res.body?.cancel().catch(() => {});
+
+    // /healthz should be 200; treat any non-5xx as "gateway is responding".
+    return { ok: res.status < 500, status: res.status, latencyMs: Date.now() - start, error: null };
+  } catch (err) {
+    return { ok: false, status: null, latencyMs: Date.now() - start, error: String(err.cause?.code ?? err.name ?? err) };
+  }
+}
+
+function recordGatewayExit(proc, code, signal) {
+  const uptimeMs = proc.startedAt ? Date.now() - proc.startedAt : 0;
+  gatewaySupervisor.exits.unshift({
+    pid: proc.pid ?? null,
+    code,
+    signal,
+    uptimeMs,
+    expected: Boolean(proc.stopRequested),
+    at: new Date().toISOString(),
+  });
+  gatewaySupervisor.exits.length = Math.min(gatewaySupervisor.exits.length, GATEWAY_EXIT_HISTORY);
+  if (!proc.stopRequested) metricInc("openclaw_gateway_crashes_total");
+  return uptimeMs;
+}
+
+function clearGatewayRestartTimer() {
+  if (gatewaySupervisor.restartTimer) clearTimeout(gatewaySupervisor.restartTimer);
+  gatewaySupervisor.restartTimer = null;
+  gatewaySupervisor.nextRestartAt = null;
+}
+
+function scheduleGatewayRestart(reason) {
+  if (gatewaySupervisor.restartTimer || gatewaySupervisor.crashLoop || shuttingDown) return;
+
+  const now = Date.now();
+  gatewaySupervisor.crashTimes = gatewaySupervisor.crashTimes.filter((t) => now - t < GATEWAY_CRASH_LOOP_WINDOW_MS);
+  gatewaySupervisor.crashTimes.push(now);
+  if (gatewaySupervisor.crashTimes.length >= GATEWAY_CRASH_LOOP_MAX) {
+    gatewaySupervisor.crashLoop = true;
+    log.error(
+      "gateway",
+      `crash loop detected (${gatewaySupervisor.crashTimes.length} failures in ${GATEWAY_CRASH_LOOP_WINDOW_MS}ms); not restarting. Use /install to restart it manually.`,
+    );
+    return;
+  }
+
+  const delay = Math.min(GATEWAY_RESTART_BASE_MS * 2 ** gatewaySupervisor.consecutiveFailures, GATEWAY_RESTART_MAX_MS);
+  gatewaySupervisor.consecutiveFailures += 1;
+  gatewaySupervisor.nextRestartAt = new Date(now + delay).toISOString();
+  log.error("gateway", `${reason}; restarting in ${delay}ms (attempt ${gatewaySupervisor.consecutiveFailures})`);
+
+  gatewaySupervisor.restartTimer = setTimeout(() => {
+    gatewaySupervisor.restartTimer = null;
+    gatewaySupervisor.nextRestartAt = null;
+    gatewaySupervisor.restarts += 1;
+    // Failures reschedule themselves via the exit handler or the readiness timeout below.
+    ensureGatewayRunning().catch((err) => log.error("gateway", `restart failed: ${String(err)}`));
+  }, delay);
+  gatewaySupervisor.restartTimer.unref?.();
+}
+
+function gatewayStatus() {
+  let state = "stopped";
+  if (gatewaySupervisor.crashLoop) state = "crashloop";
+  else if (gatewayStarting) state = "starting";
+  else if (gatewayProc) state = "running";
+  else if (gatewaySupervisor.restartTimer) state = "backoff";
+
+  return {
+    state,
+    pid: gatewayProc?.pid ?? null,
+    startedAt: gatewaySupervisor.startedAt,
+    uptimeMs: gatewayProc?.startedAt ? Date.now() - gatewayProc.startedAt : null,
+    restarts: gatewaySupervisor.restarts,
+    consecutiveFailures: gatewaySupervisor.consecutiveFailures,
+    nextRestartAt: gatewaySupervisor.nextRestartAt,
+    crashLoop: gatewaySupervisor.crashLoop,
+    exits: gatewaySupervisor.exits,
+  };
+}
+
+// Retry-After (seconds) for requests turned away while the gateway is unavailable: the time left on a
+// pending restart plus a typical start, or longer when it is crash-looping and needs an operator.
+const GATEWAY_RETRY_AFTER_S = 5;
+const GATEWAY_CRASHLOOP_RETRY_AFTER_S = 60;
+
+function gatewayRetryAfterSeconds() {
+  if (gatewaySupervisor.crashLoop) return GATEWAY_CRASHLOOP_RETRY_AFTER_S;
+  const restartAt = gatewaySupervisor.nextRestartAt ? Date.parse(gatewaySupervisor.nextRestartAt) : Number.NaN;
+  const wait = Number.isNaN(restartAt) ? 0 : Math.max(0, Math.ceil((restartAt - Date.now()) / 1000));
+  return wait + GATEWAY_RETRY_AFTER_S;
+}
+
+// True while the gateway can't take traffic: not started or booting, backing off after a crash,
+// crash-looping, or the wrapper is shutting down. Such requests get a 503 right away instead of waiting.
+function gatewayNotReady() {
+  return (
+    !gatewayProc?.ready ||
+    Boolean(gatewayStarting) ||
+    Boolean(gatewaySupervisor.restartTimer) ||
+    gatewaySupervisor.crashLoop ||
+    shuttingDown
+  );
+}
+
+// Starts the gateway in the background if nothing else will: a pending backoff restart is left to fire
+// on its own schedule.
+function kickGatewayStart() {
+  if (shuttingDown || gatewaySupervisor.restartTimer) return;
+  ensureGatewayRunning().catch(() => {});
+}
+
+// When the gateway this page is waiting on started (or last exited), for the elapsed-time counter.
+function gatewayWaitingSince() {
+  if (gatewayProc?.startedAt) return gatewayProc.startedAt;
+  const lastExitAt = Date.parse(gatewaySupervisor.exits[0]?.at ?? "");
+  return Number.isNaN(lastExitAt) ? Date.now() : lastExitAt;
+}
+
+// Gateway output is captured into a bounded in-memory ring buffer (served by /install/api/logs) and
+// still echoed to our own stdout/stderr so it keeps showing up in the Render log stream.
+// Optionally mirror it to a size-rotated file on the persistent disk.
+const GATEWAY_LOG_LINES = Number.parseInt(process.env.GATEWAY_LOG_LINES ?? "2000", 10);
+const GATEWAY_LOG_FILE = (() => {
+  const v = (process.env.GATEWAY_LOG_FILE ?? "").trim();
+  if (!v || v === "0" || v.toLowerCase() === "false") return null;
+  if (v === "1" || v.toLowerCase() === "true") return path.join(STATE_DIR, "logs", "gateway.log");
+  return v;
+})();
+const GATEWAY_LOG_FILE_MAX_BYTES = Number.parseInt(process.env.GATEWAY_LOG_FILE_MAX_BYTES ?? String(5 * 1024 * 1024), 10);
+const GATEWAY_LOG_FILE_KEEP = Number.parseInt(process.env.GATEWAY_LOG_FILE_KEEP ?? "3", 10);
+
+const gatewayLogs = {
+  entries: [],
+  seq: 0,
+  partial: { stdout: "", stderr: "" },
+  subscribers: new Set(),
+};
+
+function detectLogLevel(stream, line) {
+  const m = /\b(fatal|error|err|warn|warning|info|debug|trace)\b/i.exec(line.slice(0, 120));
+  if (m) {
+    const w = m[1].toLowerCase();
+    if (w === "fatal" || w === "error" || w === "err") return "error";
+    if (w === "warn" || w === "warning") return "warn";
+    if (w === "debug" || w === "trace") return "debug";
+    return "info";
+  }
+  return stream === "stderr" ? "warn" : "info";
+}
+
+// Shifts file -> file.1 -> ... -> file.<keep>; the oldest copy falls off the end.
+function rotateLogFile(file, keep) {
+  for (let i = keep - 1; i >= 1; i--) {
+    const from = `${file}.${i}`;
+    if (fs.existsSync(from)) fs.renameSync(from, `${file}.${i + 1}`);
+  }
+  if (keep >= 1) fs.renameSync(file, `${file}.1`);
+  else fs.rmSync(file, { force: true });
+}
+
+// One append stream for the mirror file; its size is tracked in memory so the hot output path never
+// touches the disk synchronously (only a rotation, once per GATEWAY_LOG_FILE_MAX_BYTES, does).
+const gatewayLogFile = { stream: null, bytes: 0 };
+
+function openGatewayLogFile() {
+  fs.mkdirSync(path.dirname(GATEWAY_LOG_FILE), { recursive: true });
+  try {
+    gatewayLogFile.bytes = fs.statSync(GATEWAY_LOG_FILE).size;
+  } catch {
+    gatewayLogFile.bytes = 0;
+  }
+  const stream = fs.createWriteStream(GATEWAY_LOG_FILE, { flags: "a", mode: 0o600 });
+  stream.on("error", (err) => {
+    log.error("gateway-logs", `failed to write ${GATEWAY_LOG_FILE}: ${String(err)}`);
+    if (gatewayLogFile.stream === stream) gatewayLogFile.stream = null;
+  });
+  gatewayLogFile.stream = stream;
+}
+
+function mirrorGatewayLogLines(lines) {
+  if (!GATEWAY_LOG_FILE || !lines.length) return;
+  try {
+    if (gatewayLogFile.stream && gatewayLogFile.bytes >= GATEWAY_LOG_FILE_MAX_BYTES) {
+      // Writes already queued on the old stream still land in the renamed file.
+      gatewayLogFile.stream.end();
+      gatewayLogFile.stream = null;
+      rotateLogFile(GATEWAY_LOG_FILE, GATEWAY_LOG_FILE_KEEP);
+    }
+    if (!gatewayLogFile.stream) openGatewayLogFile();
+    const text = lines.join("\n") + "\n";
+    gatewayLogFile.bytes += Buffer.byteLength(text);
+    gatewayLogFile.stream.write(text);
+  } catch (err) {
+    log.error("gateway-logs", `failed to write ${GATEWAY_LOG_FILE}: ${String(err)}`);
+  }
+}
+
+function pushGatewayLog(stream, line, level) {
+  const entry = {
+    seq: ++gatewayLogs.seq,
+    ts: new Date().toISOString(),
+    stream,
+    level: level ?? detectLogLevel(stream, line),
+    line: redactSecrets(line),
+  };
+  gatewayLogs.entries.push(entry);
+  if (gatewayLogs.entries.length > GATEWAY_LOG_LINES) {
+    gatewayLogs.entries.splice(0, gatewayLogs.entries.length - GATEWAY_LOG_LINES);
+  }
+  for (const sub of gatewayLogs.subscribers) sub(entry);
+  return entry;
+}
+
+// Gateway output is echoed line by line once redacted; JSON mode wraps it in the wrapper's format.
+function echoGatewayLog(entry) {
+  if (!LOG_JSON) return void (entry.stream === "stderr" ? process.stderr : process.stdout).write(entry.line + "\n");
+  writeLogLine(
+    entry.stream === "stderr" ? "warn" : "info",
+    JSON.stringify({ time: entry.ts, level: entry.level, scope: "gateway", stream: entry.stream, msg: entry.line }),
+  );
+}
+
+function captureGatewayOutput(stream, chunk) {
+  const text = gatewayLogs.partial[stream] + chunk.toString("utf8");
+  const lines = text.split(/\r?\n/);
+  gatewayLogs.partial[stream] = lines.pop() ?? "";
+  const written = [];
+  for (const line of lines) {
+    const e = pushGatewayLog(stream, line);
+    echoGatewayLog(e);
+    written.push(`${e.ts} ${stream} ${e.line}`);
+  }
+  mirrorGatewayLogLines(written);
+}
+
+function flushGatewayOutput() {
+  for (const stream of ["stdout", "stderr"]) {
+    if (!gatewayLogs.partial[stream]) continue;
+    const e = pushGatewayLog(stream, gatewayLogs.partial[stream]);
+    echoGatewayLog(e);
+    gatewayLogs.partial[stream] = "";
+    mirrorGatewayLogLines([`${e.ts} ${stream} ${e.line}`]);
+  }
+}
+
+// Wrapper-side lifecycle notes (start/exit) go into the same buffer so the log viewer tells the full story.
+function noteGatewayLog(level, line) {
+  const e = pushGatewayLog("wrapper", line, level);
+  mirrorGatewayLogLines([`${e.ts} wrapper ${e.line}`]);
+}
+
+function queryGatewayLogs({ tail, since, level } = {}) {
+  let entries = gatewayLogs.entries;
+  if (since !== undefined && since !== null && since !== "") {
+    const s = String(since);
+    if (/^\d+$/.test(s)) {
+      const seq = Number.parseInt(s, 10);
+      entries = entries.filter((e) => e.seq > seq);
+    } else {
+      const t = Date.parse(s);
+      if (!Number.isNaN(t)) entries = entries.filter((e) => Date.parse(e.ts) > t);
+    }
+  }
+  if (level && LOG_LEVELS.includes(level)) {
+    const min = LOG_LEVELS.indexOf(level);
+    entries = entries.filter((e) => LOG_LEVELS.indexOf(e.level) >= min);
+  }
+  const n = Number.parseInt(String(tail ?? ""), 10);
+  if (Number.isFinite(n) && n >= 0) entries = entries.slice(Math.max(0, entries.length - n));
+  return entries;
+}
+
 async function startGateway() {
   if (gatewayProc) return;
   if (!isConfigured()) throw new Error("Gateway cannot start: not installed");
@@ -168,33 +712,87 @@ async function startGateway() {
     "--auth",
     "token",
     "--token",
-    GATEWAY_TOKEN,
+    gatewayToken,
   ];
 
-  gatewayProc = childProcess.spawn(OPENCLAW_NODE, openclawArgs(args), {
-    stdio: "inherit",
-    env: {
-      ...process.env,
-      OPENCLAW_STATE_DIR: STATE_DIR,
-      OPENCLAW_WORKSPACE_DIR: WORKSPACE_DIR,
-      MOLTBOT_STATE_DIR: STATE_DIR,
-      MOLTBOT_WORKSPACE_DIR: WORKSPACE_DIR,
-    },
+  // Spawned outside any request context: the gateway outlives the request that happened to start it,
+  // so its exit and output must not be logged under that request's ID.
+  const proc = requestContext.exit(() =>
+    childProcess.spawn(OPENCLAW_NODE, openclawArgs(args), {
+      stdio: ["ignore", "pipe", "pipe"],
+      env: {
+        ...process.env,
+        OPENCLAW_STATE_DIR: STATE_DIR,
+        OPENCLAW_WORKSPACE_DIR: WORKSPACE_DIR,
+        MOLTBOT_STATE_DIR: STATE_DIR,
+        MOLTBOT_WORKSPACE_DIR: WORKSPACE_DIR,
+      },
+    }),
+  );
+  proc.startedAt = Date.now();
+  proc.stdout?.on("data", (d) => {
+    captureGatewayOutput("stdout", d);
   });
-
-  gatewayProc.on("error", (err) => {
-    console.error(`[gateway] spawn error: ${String(err)}`);
-    gatewayProc = null;
+  proc.stderr?.on("data", (d) => {
+    captureGatewayOutput("stderr", d);
+  });
+  noteGatewayLog("info", `[wrapper] gateway started pid=${proc.pid ?? "?"}`);
+  gatewayProc = proc;
+  gatewaySupervisor.startedAt = new Date(proc.startedAt).toISOString();
+
+  proc.on("error", (err) => {
+    log.error("gateway", `spawn error: ${String(err)}`);
+    // A failed spawn never emits "exit"; record it like one so startup sees the process is gone.
+    if (proc.pid === undefined) {
+      recordGatewayExit(proc, null, null);
+      if (gatewayProc === proc) gatewayProc = null;
+    }
   });
 
-  gatewayProc.on("exit", (code, signal) => {
-    console.error(`[gateway] exited code=${code} signal=${signal}`);
-    gatewayProc = null;
+  proc.on("exit", (code, signal) => {
+    log[proc.stopRequested ? "info" : "error"]("gateway", "exited", { code, signal });
+    const uptimeMs = recordGatewayExit(proc, code, signal);
+    flushGatewayOutput();
+    noteGatewayLog(proc.stopRequested ? "info" : "error", `[wrapper] gateway exited code=${code} signal=${signal}`);
+    // Only clear the handle if it still points at this process (a restart may have replaced it).
+    if (gatewayProc === proc) gatewayProc = null;
+    // Exits during startup are handled (and rescheduled) by ensureGatewayRunning().
+    if (proc.stopRequested || !proc.ready) return;
+    if (uptimeMs >= GATEWAY_STABLE_MS) gatewaySupervisor.consecutiveFailures = 0;
+    scheduleGatewayRestart(`exited unexpectedly (code=${code} signal=${signal})`);
   });
 }
 
+// SIGTERM, then SIGKILL if the gateway hasn't exited within `timeoutMs`. Resolves once it is gone.
+async function stopGateway({ timeoutMs = GATEWAY_STOP_TIMEOUT_MS } = {}) {
+  clearGatewayRestartTimer();
+  const proc = gatewayProc;
+  if (!proc) return;
+  proc.stopRequested = true;
+  const exited =
+    proc.exitCode !== null || proc.signalCode !== null ? Promise.resolve() : new Promise((r) => proc.once("exit", r));
+  try {
+    proc.kill("SIGTERM");
+  } catch {
+    // ignore
+  }
+  const stopped = await Promise.race([exited.then(() => true), sleep(timeoutMs).then(() => false)]);
+  if (!stopped) {
+    log.warn("gateway", `still running ${timeoutMs}ms after SIGTERM; sending SIGKILL`, { pid: proc.pid });
+    try {
+      proc.kill("SIGKILL");
+    } catch {
+      // ignore
+    }
+    await Promise.race([exited, sleep(2000)]);
+  }
+  if (gatewayProc === proc) gatewayProc = null;
+}
+
 async function ensureGatewayRunning() {
+  if (shuttingDown) throw new Error("Wrapper is shutting down");
   if (!isConfigured()) return { ok: false, reason: "not installed" };
+  if (gatewaySupervisor.crashLoop) throw new Error("Gateway is crash looping; restart it from /install");
   // If a start is already in-flight, ALWAYS wait for it. Otherwise concurrent
   // requests can race and get proxied before the gateway has bound the port.
   if (gatewayStarting) {
@@ -205,18 +803,25 @@ async function ensureGatewayRunning() {
   if (!gatewayStarting) {
     gatewayStarting = (async () => {
       await startGateway();
-      const ready = await waitForGatewayReady();
+      const proc = gatewayProc;
+      const ready = await waitForGatewayReady({
+        isAlive: () => gatewayProc === proc && proc !== null && !proc.stopRequested,
+      });
       if (!ready) {
+        // Stopped on purpose (e.g. a restart issued mid-start): cancelled, not a crash.
+        if (proc?.stopRequested) throw new Error("Gateway start cancelled");
+        if (gatewayProc !== proc) {
+          scheduleGatewayRestart("exited before becoming ready");
+          throw new Error("Gateway exited before becoming ready");
+        }
         // Prevent wedging the installer on slow cold starts.
         // If the gateway eventually comes up, a subsequent retry will succeed.
-        try {
-          gatewayProc?.kill("SIGTERM");
-        } catch {
-          // ignore
-        }
-        gatewayProc = null;
+        await stopGateway();
+        scheduleGatewayRestart("did not become ready in time");
         throw new Error(`Gateway did not become ready in time (timeout ${GATEWAY_READY_TIMEOUT_MS}ms)`);
       }
+      proc.ready = true;
+      metricObserve("openclaw_gateway_ready_seconds", {}, (Date.now() - proc.startedAt) / 1000);
     })().finally(() => {
       gatewayStarting = null;
     });
@@ -226,93 +831,480 @@ async function ensureGatewayRunning() {
 }
 
 async function restartGateway() {
-  if (gatewayProc) {
-    try {
-      gatewayProc.kill("SIGTERM");
-    } catch {
-      // ignore
-    }
-    await sleep(750);
-    gatewayProc = null;
-  }
+  // An explicit restart is an operator decision: forget previous crashes and backoff.
+  gatewaySupervisor.crashLoop = false;
+  gatewaySupervisor.crashTimes = [];
+  gatewaySupervisor.consecutiveFailures = 0;
+  await stopGateway();
+  // A start that was in flight is now cancelled; let it settle, then start fresh.
+  await gatewayStarting?.catch(() => {});
   return ensureGatewayRunning();
 }
 
-function requireInstallAuth(req, res, next) {
-  if (!SETUP_PASSWORD) {
-    return res
-      .status(500)
-      .type("text/plain")
-      .send("RENDER_SETUP_PASSWORD is not set. Set it in Render Environment Variables before using /install.");
+// Installer auth: a login form checks SETUP_PASSWORD once and issues a signed, HttpOnly session cookie.
+// State-changing requests additionally need a CSRF token derived from the session.
+const INSTALL_SESSION_COOKIE = "openclaw_install_session";
+// The same session is also set on / for the dashboard: the proxy then injects the gateway token
+// itself, so browsers never carry it in the URL.
+const DASHBOARD_SESSION_COOKIE = "openclaw_dashboard_session";
+// Opt back into the old `/openclaw?token=<GATEWAY_TOKEN>` links and redirects.
+const DASHBOARD_URL_TOKEN = ["1", "true"].includes((process.env.DASHBOARD_URL_TOKEN ?? "").trim().toLowerCase());
+const INSTALL_SESSION_TTL_MS = Number.parseInt(process.env.INSTALL_SESSION_TTL_MS ?? String(12 * 60 * 60 * 1000), 10);
+const LOGIN_MAX_FAILURES = Number.parseInt(process.env.LOGIN_MAX_FAILURES ?? "5", 10);
+const LOGIN_WINDOW_MS = Number.parseInt(process.env.LOGIN_WINDOW_MS ?? String(15 * 60 * 1000), 10);
+const LOGIN_LOCKOUT_MS = Number.parseInt(process.env.LOGIN_LOCKOUT_MS ?? String(15 * 60 * 1000), 10);
+// Named accounts (see "Accounts and roles" below). SETUP_PASSWORD still logs in as a built-in admin.
+const USERS_PATH = path.join(STATE_DIR, "users.json");
+// Ordered from least to most access.
+const ROLES = ["viewer", "operator", "admin"];
+const USERNAME_RE = /^[a-z0-9][a-z0-9._-]{1,31}$/;
+const USER_MIN_PASSWORD = 10;
+const USER_PASSWORD_KDF = { N: 2 ** 15, r: 8, p: 1 };
+// Number of reverse proxies in front of us that append to X-Forwarded-For (Render's edge = 1).
+const TRUST_PROXY_HOPS = Number.parseInt(process.env.TRUST_PROXY_HOPS ?? "1", 10);
+
+// Session signing secret. Stable across restarts (env or persisted), and mixed with the setup
+// password so changing the password invalidates every existing session.
+function resolveSessionSecret() {
+  const envSecret = (process.env.INSTALL_SESSION_SECRET || "").trim();
+  if (envSecret) return envSecret;
+
+  const secretPath = path.join(STATE_DIR, "install-session.secret");
+  try {
+    const existing = fs.readFileSync(secretPath, "utf8").trim();
+    if (existing) return existing;
+  } catch {
+    // ignore
   }
 
-  const header = req.headers.authorization || "";
-  const [scheme, encoded] = header.split(" ");
-  if (scheme !== "Basic" || !encoded) {
-    res.set("WWW-Authenticate", 'Basic realm="OpenClaw Install"');
-    return res.status(401).send("Auth required");
+  const generated = crypto.randomBytes(32).toString("hex");
+  try {
+    fs.mkdirSync(STATE_DIR, { recursive: true });
+    fs.writeFileSync(secretPath, generated, { encoding: "utf8", mode: 0o600 });
+  } catch {
+    // best-effort
   }
-  const decoded = Buffer.from(encoded, "base64").toString("utf8");
-  const idx = decoded.indexOf(":");
-  const password = idx >= 0 ? decoded.slice(idx + 1) : "";
-  if (password !== SETUP_PASSWORD) {
-    res.set("WWW-Authenticate", 'Basic realm="OpenClaw Install"');
-    return res.status(401).send("Invalid password");
+  return generated;
+}
+
+const SESSION_KEY = crypto
+  .createHash("sha256")
+  .update(`${resolveSessionSecret()}:${SETUP_PASSWORD ?? ""}`)
+  .digest();
+
+// Logged-out session ids (sid -> exp), kept until the cookie would have expired anyway. Persisted so a
+// logged-out cookie doesn't start working again when the wrapper restarts.
+const REVOKED_SESSIONS_PATH = path.join(STATE_DIR, "revoked-sessions.json");
+const revokedSessions = loadRevokedSessions();
+// Failed login bookkeeping per client IP: { failures: [timestamps], lockedUntil }.
+const loginAttempts = new Map();
+
+function loadRevokedSessions() {
+  const out = new Map();
+  try {
+    const data = JSON.parse(fs.readFileSync(REVOKED_SESSIONS_PATH, "utf8"));
+    const now = Date.now();
+    for (const [sid, exp] of Object.entries(isPlainObject(data?.sessions) ? data.sessions : {})) {
+      if (typeof exp === "number" && exp > now) out.set(sid, exp);
+    }
+  } catch {
+    // none yet
   }
-  return next();
+  return out;
 }
 
-function runCmd(cmd, args, opts = {}) {
-  return new Promise((resolve) => {
-    const proc = childProcess.spawn(cmd, args, {
-      ...opts,
-      env: {
-        ...process.env,
-        OPENCLAW_STATE_DIR: STATE_DIR,
-        OPENCLAW_WORKSPACE_DIR: WORKSPACE_DIR,
-        MOLTBOT_STATE_DIR: STATE_DIR,
-        MOLTBOT_WORKSPACE_DIR: WORKSPACE_DIR,
-      },
-    });
+function saveRevokedSessions() {
+  try {
+    fs.mkdirSync(STATE_DIR, { recursive: true });
+    const tmp = `${REVOKED_SESSIONS_PATH}.${crypto.randomBytes(6).toString("hex")}.tmp`;
+    const sessions = Object.fromEntries(revokedSessions);
+    fs.writeFileSync(tmp, JSON.stringify({ sessions }) + "\n", { encoding: "utf8", mode: 0o600 });
+    fs.renameSync(tmp, REVOKED_SESSIONS_PATH);
+  } catch (err) {
+    log.error("auth", `cannot write ${REVOKED_SESSIONS_PATH}`, err);
+  }
+}
 
-    let out = "";
-    proc.stdout?.on("data", (d) => (out += d.toString("utf8")));
-    proc.stderr?.on("data", (d) => (out += d.toString("utf8")));
+function hmac(value) {
+  return crypto.createHmac("sha256", SESSION_KEY).update(value).digest("base64url");
+}
 
-    proc.on("error", (err) => {
-      out += `\n[spawn error] ${String(err)}\n`;
-      resolve({ code: 127, output: out });
-    });
+function safeEqual(a, b) {
+  // Hash first so inputs of different lengths still compare in constant time.
+  const ha = crypto.createHash("sha256").update(String(a)).digest();
+  const hb = crypto.createHash("sha256").update(String(b)).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
 
-    proc.on("close", (code) => resolve({ code: code ?? 0, output: out }));
-  });
+function parseCookies(req) {
+  const out = {};
+  const raw = req.headers.cookie;
+  if (!raw) return out;
+  for (const part of raw.split(";")) {
+    const idx = part.indexOf("=");
+    if (idx < 0) continue;
+    const k = part.slice(0, idx).trim();
+    if (!k || k in out) continue;
+    try {
+      out[k] = decodeURIComponent(part.slice(idx + 1).trim());
+    } catch {
+      out[k] = part.slice(idx + 1).trim();
+    }
+  }
+  return out;
 }
 
-async function getUpstreamAuthGroups() {
-  // Mirror upstream Moltbot wizard 1:1 by using its own option builder.
-  // Falls back to a minimal list if the internal modules ever move.
+function clientIp(req) {
+  const xff = req.headers["x-forwarded-for"];
+  if (xff && TRUST_PROXY_HOPS > 0) {
+    const hops = String(xff)
+      .split(",")
+      .map((s) => s.trim())
+      .filter(Boolean);
+    // The right-most entries were appended by proxies we trust; anything left of them is client-supplied.
+    const ip = hops[Math.max(0, hops.length - TRUST_PROXY_HOPS)];
+    if (ip) return ip;
+  }
+  return req.socket?.remoteAddress || "unknown";
+}
+
+function isSecureRequest(req) {
+  return Boolean(req.socket?.encrypted) || String(req.headers["x-forwarded-proto"] || "").split(",")[0].trim() === "https";
+}
+
+// `identity` is { user, v } for a named account, or {} for the setup password.
+function createSession(identity = {}) {
+  const payload = { sid: crypto.randomBytes(16).toString("hex"), exp: Date.now() + INSTALL_SESSION_TTL_MS, ...identity };
+  const body = Buffer.from(JSON.stringify(payload)).toString("base64url");
+  return { payload, value: `${body}.${hmac(body)}` };
+}
+
+function readSession(req, cookieName = INSTALL_SESSION_COOKIE) {
+  const raw = parseCookies(req)[cookieName];
+  if (!raw) return null;
+  const idx = raw.lastIndexOf(".");
+  if (idx <= 0) return null;
+  const body = raw.slice(0, idx);
+  if (!safeEqual(raw.slice(idx + 1), hmac(body))) return null;
+  let payload;
   try {
-    const authProfilesMod = await import(pathToFileURL("/openclaw/dist/agents/auth-profiles.js").href);
-    const authChoiceOptionsMod = await import(
-      pathToFileURL("/openclaw/dist/commands/auth-choice-options.js").href,
-    );
+    payload = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+  } catch {
+    return null;
+  }
+  if (!payload?.sid || typeof payload.exp !== "number" || payload.exp <= Date.now()) return null;
+  if (revokedSessions.has(payload.sid)) return null;
+  return withSessionRole(payload);
+}
 
-    const ensureAuthProfileStore = authProfilesMod.ensureAuthProfileStore;
-    const buildAuthChoiceGroups = authChoiceOptionsMod.buildAuthChoiceGroups;
+function csrfTokenFor(session) {
+  return hmac(`csrf:${session.sid}`);
+}
 
-    if (typeof ensureAuthProfileStore !== "function" || typeof buildAuthChoiceGroups !== "function") {
-      throw new Error("Missing upstream auth-choice functions");
-    }
+const SESSION_COOKIE_SCOPES = {
+  install: { name: INSTALL_SESSION_COOKIE, path: "/install", sameSite: "Strict" },
+  // Lax so links into the dashboard from chat apps still carry it; WS upgrades also check Origin.
+  dashboard: { name: DASHBOARD_SESSION_COOKIE, path: "/", sameSite: "Lax" },
+};
+
+function sessionCookie(req, value, maxAgeMs, scope = "install") {
+  const { name, path: cookiePath, sameSite } = SESSION_COOKIE_SCOPES[scope];
+  const parts = [
+    `${name}=${value}`,
+    `Path=${cookiePath}`,
+    "HttpOnly",
+    `SameSite=${sameSite}`,
+    `Max-Age=${Math.max(0, Math.floor(maxAgeMs / 1000))}`,
+  ];
+  if (isSecureRequest(req)) parts.push("Secure");
+  return parts.join("; ");
+}
 
-    // In containers we never want to prompt for secrets/keychain access.
-    const store = ensureAuthProfileStore(undefined, { allowKeychainPrompt: false });
+// Both session cookies for one login (or cleared, with an empty value and 0 max-age).
+function sessionCookies(req, value, maxAgeMs) {
+  return [sessionCookie(req, value, maxAgeMs), sessionCookie(req, value, maxAgeMs, "dashboard")];
+}
 
-    const { groups } = buildAuthChoiceGroups({
-      store,
-      includeSkip: false,
-      includeClaudeCliIfMissing: true,
-      platform: process.platform,
-    });
+// True when a browser says the request came from another site (login CSRF, cross-site WebSocket hijacking).
+function isCrossOriginRequest(req) {
+  const origin = req.headers.origin;
+  if (!origin || origin === "null") return false;
+  try {
+    return new URL(origin).host !== req.headers.host;
+  } catch {
+    return true;
+  }
+}
+
+// Stricter than isCrossOriginRequest: Sec-Fetch-Site also covers top-level GET navigations, which carry
+// no Origin header. "same-site" counts as foreign too (another subdomain is another app); "none" is the
+// user typing the URL or opening a bookmark. Origin is the fallback for browsers without fetch metadata.
+function isCrossSiteRequest(req) {
+  const site = req.headers["sec-fetch-site"];
+  if (site) return site !== "same-origin" && site !== "none";
+  return isCrossOriginRequest(req);
+}
+
+function pruneAuthState() {
+  const now = Date.now();
+  for (const [sid, exp] of revokedSessions) if (exp <= now) revokedSessions.delete(sid);
+  for (const [ip, a] of loginAttempts) {
+    a.failures = a.failures.filter((t) => now - t < LOGIN_WINDOW_MS);
+    if (!a.failures.length && a.lockedUntil <= now) loginAttempts.delete(ip);
+  }
+}
+
+function loginLockedFor(ip) {
+  const a = loginAttempts.get(ip);
+  if (!a || a.lockedUntil <= Date.now()) return 0;
+  return a.lockedUntil - Date.now();
+}
+
+function recordLoginFailure(ip) {
+  pruneAuthState();
+  const now = Date.now();
+  const a = loginAttempts.get(ip) ?? { failures: [], lockedUntil: 0 };
+  a.failures.push(now);
+  if (a.failures.length >= LOGIN_MAX_FAILURES) {
+    a.lockedUntil = now + LOGIN_LOCKOUT_MS;
+    a.failures = [];
+    log.warn("auth", `too many failed logins from ${ip}; locked out for ${LOGIN_LOCKOUT_MS}ms`);
+  }
+  loginAttempts.set(ip, a);
+}
+
+function isSafeMethod(method) {
+  return method === "GET" || method === "HEAD" || method === "OPTIONS";
+}
+
+function requireInstallAuth(req, res, next) {
+  if (!SETUP_PASSWORD) {
+    return res
+      .status(500)
+      .type("text/plain")
+      .send("RENDER_SETUP_PASSWORD is not set. Set it in Render Environment Variables before using /install.");
+  }
+
+  const session = readSession(req);
+  if (!session) {
+    if (isSafeMethod(req.method) && isHtmlRequest(req) && !req.path.startsWith("/install/api/")) {
+      return res.redirect(302, `/install/login?next=${encodeURIComponent(req.originalUrl)}`);
+    }
+    return res.status(401).json({ ok: false, error: "Login required" });
+  }
+
+  if (!isSafeMethod(req.method)) {
+    // Plain HTML form posts (e.g. the encrypted export) carry the token as a `_csrf` field instead.
+    const provided = req.headers["x-csrf-token"] ?? req.body?._csrf;
+    if (typeof provided !== "string" || !safeEqual(provided, csrfTokenFor(session))) {
+      return res.status(403).json({ ok: false, error: "Invalid or missing CSRF token" });
+    }
+  }
+
+  req.installSession = session;
+  const minRole = installRouteRole(req);
+  if (!roleAtLeast(session.role, minRole)) {
+    return res.status(403).json({ ok: false, error: `This needs the ${minRole} role (you are ${session.role})` });
+  }
+  return next();
+}
+
+// Accounts and roles. Named accounts live in $STATE_DIR/users.json with scrypt password hashes:
+//   viewer    read-only installer: status and gateway logs
+//   operator  viewer + the dashboard (proxied Control UI), pairing approval, doctor, gateway restart
+//   admin     everything: install, config, channels, reset, backups and imports, tokens, accounts
+// The setup password logs in as a built-in admin with no username, so there is always a way back in.
+let usersCache = { mtimeMs: -1, users: [] };
+
+// Re-read when the file changes underneath us (restores and imports replace it).
+function readUsers() {
+  let st;
+  try {
+    st = fs.statSync(USERS_PATH);
+  } catch {
+    return [];
+  }
+  if (st.mtimeMs !== usersCache.mtimeMs) {
+    try {
+      const data = JSON.parse(fs.readFileSync(USERS_PATH, "utf8"));
+      usersCache = { mtimeMs: st.mtimeMs, users: Array.isArray(data?.users) ? data.users : [] };
+    } catch (err) {
+      log.error("auth", `cannot read ${USERS_PATH}`, err);
+      return [];
+    }
+  }
+  return usersCache.users;
+}
+
+function writeUsers(users) {
+  fs.mkdirSync(STATE_DIR, { recursive: true });
+  const tmp = `${USERS_PATH}.${crypto.randomBytes(6).toString("hex")}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ version: 1, users }, null, 2) + "\n", { encoding: "utf8", mode: 0o600 });
+  fs.renameSync(tmp, USERS_PATH);
+  usersCache = { mtimeMs: fs.statSync(USERS_PATH).mtimeMs, users };
+}
+
+function findUser(username) {
+  return readUsers().find((u) => u.username === username) ?? null;
+}
+
+function publicUser(u) {
+  return { username: u.username, role: u.role, createdAt: u.createdAt, updatedAt: u.updatedAt };
+}
+
+function roleAtLeast(role, minRole) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(minRole);
+}
+
+// Named accounts are looked up on every request, so role changes, password resets and deletions apply
+// to sessions that are already open. `v` is bumped whenever a session should stop working.
+function withSessionRole(payload) {
+  if (!payload.user) return { ...payload, role: "admin" };
+  const user = findUser(payload.user);
+  if (!user || (user.sessionVersion ?? 0) !== payload.v) return null;
+  return { ...payload, role: user.role };
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scryptKey(password, salt, USER_PASSWORD_KDF);
+  return { kdf: "scrypt", ...USER_PASSWORD_KDF, salt: salt.toString("base64"), hash: hash.toString("base64") };
+}
+
+async function verifyPassword(password, record) {
+  const { N, r, p } = record ?? {};
+  if (record?.kdf !== "scrypt" || !(N <= 2 ** 20 && r <= 16 && p <= 4)) return false;
+  const hash = await scryptKey(password, Buffer.from(record.salt, "base64"), { N, r, p });
+  const expected = Buffer.from(record.hash, "base64");
+  return expected.length === hash.length && crypto.timingSafeEqual(hash, expected);
+}
+
+// Unknown usernames are checked against this, so response times don't reveal which accounts exist.
+let dummyPasswordRecord = null;
+
+// Resolves to the session identity for valid credentials, or null. An empty username means the setup password.
+async function checkLogin(username, password) {
+  if (!username) return safeEqual(password, SETUP_PASSWORD) ? {} : null;
+  const user = findUser(username);
+  dummyPasswordRecord ??= await hashPassword(crypto.randomBytes(16).toString("hex"));
+  const ok = await verifyPassword(password, user?.password ?? dummyPasswordRecord);
+  return ok && user ? { user: user.username, v: user.sessionVersion ?? 0 } : null;
+}
+
+// Routes open to roles below admin, keyed by method and route path. Everything else needs admin, so a
+// new route stays admin-only until it is listed here.
+const INSTALL_ROUTE_ROLES = new Map([
+  ["GET /install", "viewer"],
+  ["GET /install/app.js", "viewer"],
+  ["GET /install/api/session", "viewer"],
+  ["POST /install/logout", "viewer"],
+  ["POST /install/api/account/password", "viewer"],
+  ["GET /install/api/status", "viewer"],
+  ["GET /install/api/logs", "viewer"],
+  ["GET /install/api/logs/stream", "viewer"],
+  ["POST /install/api/doctor", "operator"],
+  ["POST /install/api/gateway/restart", "operator"],
+  ["GET /install/api/pairing", "operator"],
+  ["POST /install/api/pairing/approve", "operator"],
+  ["POST /install/api/pairing/reject", "operator"],
+  ["POST /install/api/pairing/revoke", "operator"],
+]);
+
+function installRouteRole(req) {
+  const method = req.method === "HEAD" ? "GET" : req.method;
+  return INSTALL_ROUTE_ROLES.get(`${method} ${req.route?.path}`) ?? "admin";
+}
+
+// Validates a username/password/role from a request body; `partial` allows leaving fields out.
+function userParams(body, { partial = false } = {}) {
+  const out = {};
+  if (!partial || body?.username !== undefined) {
+    out.username = String(body?.username ?? "").trim().toLowerCase();
+    if (!USERNAME_RE.test(out.username)) {
+      throw httpError(400, "Username must be 2-32 characters: letters, digits, '.', '_' or '-', starting with a letter or digit");
+    }
+  }
+  if (!partial || body?.password !== undefined) {
+    out.password = typeof body?.password === "string" ? body.password : "";
+    if (out.password.length < USER_MIN_PASSWORD) throw httpError(400, `Password must be at least ${USER_MIN_PASSWORD} characters`);
+  }
+  if (!partial || body?.role !== undefined) {
+    out.role = String(body?.role ?? "");
+    if (!ROLES.includes(out.role)) throw httpError(400, `Role must be one of: ${ROLES.join(", ")}`);
+  }
+  return out;
+}
+
+// `onOutput` (optional) receives each stdout/stderr chunk as text while the command runs.
+function runCmd(cmd, args, opts = {}) {
+  const { onOutput, env, ...spawnOpts } = opts;
+  return new Promise((resolve) => {
+    const proc = childProcess.spawn(cmd, args, {
+      ...spawnOpts,
+      env: {
+        ...process.env,
+        ...env,
+        OPENCLAW_STATE_DIR: STATE_DIR,
+        OPENCLAW_WORKSPACE_DIR: WORKSPACE_DIR,
+        MOLTBOT_STATE_DIR: STATE_DIR,
+        MOLTBOT_WORKSPACE_DIR: WORKSPACE_DIR,
+      },
+    });
+
+    // Output is redacted before anyone sees it; streamed output is held back to whole lines so a
+    // secret split across chunks is still caught.
+    let out = "";
+    let pending = "";
+    const onData = (d) => {
+      const text = d.toString("utf8");
+      out += text;
+      if (!onOutput) return;
+      pending += text;
+      const cut = pending.lastIndexOf("\n") + 1;
+      if (!cut) return;
+      onOutput(redactSecrets(pending.slice(0, cut)));
+      pending = pending.slice(cut);
+    };
+    const done = (code, tail = "") => {
+      out += tail;
+      if (onOutput && (pending || tail)) onOutput(redactSecrets(pending + tail));
+      pending = "";
+      resolve({ code, output: redactSecrets(out) });
+    };
+    proc.stdout?.on("data", onData);
+    proc.stderr?.on("data", onData);
+
+    proc.on("error", (err) => done(127, `\n[spawn error] ${String(err)}\n`));
+
+    proc.on("close", (code) => done(code ?? 0));
+  });
+}
+
+async function getUpstreamAuthGroups() {
+  // Mirror upstream Moltbot wizard 1:1 by using its own option builder.
+  // Falls back to a minimal list if the internal modules ever move.
+  try {
+    const authProfilesMod = await import(pathToFileURL("/openclaw/dist/agents/auth-profiles.js").href);
+    const authChoiceOptionsMod = await import(
+      pathToFileURL("/openclaw/dist/commands/auth-choice-options.js").href,
+    );
+
+    const ensureAuthProfileStore = authProfilesMod.ensureAuthProfileStore;
+    const buildAuthChoiceGroups = authChoiceOptionsMod.buildAuthChoiceGroups;
+
+    if (typeof ensureAuthProfileStore !== "function" || typeof buildAuthChoiceGroups !== "function") {
+      throw new Error("Missing upstream auth-choice functions");
+    }
+
+    // In containers we never want to prompt for secrets/keychain access.
+    const store = ensureAuthProfileStore(undefined, { allowKeychainPrompt: false });
+
+    const { groups } = buildAuthChoiceGroups({
+      store,
+      includeSkip: false,
+      includeClaudeCliIfMissing: true,
+      platform: process.platform,
+    });
 
     return (Array.isArray(groups) ? groups : []).map((g) => ({
       value: g.value,
@@ -325,7 +1317,7 @@ async function getUpstreamAuthGroups() {
       })),
     }));
   } catch (err) {
-    console.warn("[wrapper] failed to load upstream auth choices; using fallback:", String(err));
+    log.warn("wrapper", `failed to load upstream auth choices; using fallback: ${String(err)}`);
     return [
       {
         value: "anthropic",
@@ -370,7 +1362,7 @@ function buildOnboardArgs(payload) {
     "--gateway-auth",
     "token",
     "--gateway-token",
-    GATEWAY_TOKEN,
+    gatewayToken,
     "--flow",
     payload.flow || "quickstart",
   ];
@@ -433,462 +1425,3226 @@ function canRestoreFromTarPath(p) {
   );
 }
 
-const app = express();
-app.disable("x-powered-by");
-app.use(express.json({ limit: "1mb" }));
-// Avoid leaking tokenized URLs via Referer headers.
-app.use((_req, res, next) => {
-  res.set("Referrer-Policy", "no-referrer");
-  next();
-});
+// Scheduled snapshots of STATE_DIR + WORKSPACE_DIR, written next to them on the persistent disk.
+const BACKUP_DIR =
+  process.env.BACKUP_DIR?.trim() ||
+  (HAS_RENDER_DISK ? path.join(DATA_MOUNT, "backups") : path.join(os.homedir(), ".openclaw-backups"));
+// "@hourly" / "@daily" / "@weekly", an interval like "6h" / "30m" / "2d", a 5-field cron expression
+// (UTC), or "off".
+const BACKUP_SCHEDULE = (process.env.BACKUP_SCHEDULE ?? "@daily").trim();
+const BACKUP_KEEP_LAST = Number.parseInt(process.env.BACKUP_KEEP_LAST ?? "7", 10);
+const BACKUP_KEEP_DAILY = Number.parseInt(process.env.BACKUP_KEEP_DAILY ?? "7", 10);
+const BACKUP_KEEP_WEEKLY = Number.parseInt(process.env.BACKUP_KEEP_WEEKLY ?? "4", 10);
+const BACKUP_KEEP_PRE_IMPORT = Number.parseInt(process.env.BACKUP_KEEP_PRE_IMPORT ?? "3", 10);
+const BACKUP_MIN_PASSPHRASE = 8;
+const BACKUP_NAME_RE = /^openclaw-backup-(\d{8}T\d{9}Z)-([a-z][a-z-]*)\.tar\.gz$/;
+
+const backupState = {
+  running: null,
+  // Set while a scheduled snapshot is queued or running, so a slow one isn't queued twice.
+  scheduledPending: false,
+  lastRun: null,
+  lastSuccessAt: null,
+  timer: null,
+};
+
+function createBackupTarStream() {
+  fs.mkdirSync(STATE_DIR, { recursive: true });
+  fs.mkdirSync(WORKSPACE_DIR, { recursive: true });
 
-// Serve static assets (e.g. Render logo used for branding).
-if (fs.existsSync(PUBLIC_DIR)) {
-  app.use("/public", express.static(PUBLIC_DIR, { maxAge: "7d" }));
+  // Prefer exporting from /data so archives are easy to restore on Render.
+  const stateAbs = path.resolve(STATE_DIR);
+  const workspaceAbs = path.resolve(WORKSPACE_DIR);
+  const backupAbs = path.resolve(BACKUP_DIR);
+
+  const underData = (p) => p === DATA_MOUNT || p.startsWith(DATA_MOUNT + path.sep);
+  let cwd = "/";
+  let paths = [stateAbs, workspaceAbs].map((p) => p.replace(/^\//, ""));
+
+  if (underData(stateAbs) && underData(workspaceAbs)) {
+    cwd = DATA_MOUNT;
+    paths = [path.relative(DATA_MOUNT, stateAbs) || ".", path.relative(DATA_MOUNT, workspaceAbs) || "."];
+  }
+
+  return tar.c(
+    {
+      gzip: true,
+      portable: true,
+      noMtime: true,
+      cwd,
+      onwarn: () => {},
+      // Never put earlier snapshots inside a new one.
+      filter: (p) => {
+        const abs = path.resolve(cwd, p);
+        return abs !== backupAbs && !abs.startsWith(backupAbs + path.sep);
+      },
+    },
+    paths,
+  );
 }
 
-// Render health check.
-app.get("/healthz", (_req, res) => res.json({ ok: true }));
+// rename(), falling back to copy-then-remove when source and destination are on different filesystems.
+function moveEntry(from, to) {
+  try {
+    fs.renameSync(from, to);
+  } catch (err) {
+    if (err.code !== "EXDEV") throw err;
+    fs.cpSync(from, to, { recursive: true, preserveTimestamps: true, verbatimSymlinks: true });
+    fs.rmSync(from, { recursive: true, force: true });
+  }
+}
 
-app.get("/install/app.js", requireInstallAuth, (_req, res) => {
-  res.type("application/javascript");
-  res.send(fs.readFileSync(path.join(process.cwd(), "src", "install-app.js"), "utf8"));
-});
+// Moves everything under STATE_DIR and WORKSPACE_DIR (except the backup directory) into a sibling of
+// each root, leaving them empty. Returns functions to put it back or discard it.
+function moveStateAside() {
+  const stamp = Date.now();
+  const backupAbs = path.resolve(BACKUP_DIR);
+  const asides = [];
+  const moved = [];
+  for (const root of [STATE_DIR, WORKSPACE_DIR]) {
+    const abs = path.resolve(root);
+    // A root nested in the first one has already moved along with it.
+    if (!fs.existsSync(abs)) continue;
+    const aside = `${abs}.restore-aside-${stamp}`;
+    asides.push(aside);
+    for (const name of fs.readdirSync(abs)) {
+      const from = path.join(abs, name);
+      if (from === backupAbs || backupAbs.startsWith(from + path.sep)) continue;
+      const to = path.join(aside, name);
+      fs.mkdirSync(aside, { recursive: true, mode: 0o700 });
+      moveEntry(from, to);
+      moved.push({ from, to });
+    }
+  }
+  const discard = () => {
+    for (const aside of asides) fs.rmSync(aside, { recursive: true, force: true });
+  };
+  return {
+    restore() {
+      for (const { from } of moved) fs.rmSync(from, { recursive: true, force: true });
+      for (const { from, to } of moved.slice().reverse()) {
+        fs.mkdirSync(path.dirname(from), { recursive: true });
+        moveEntry(to, from);
+      }
+      discard();
+    },
+    discard,
+  };
+}
 
-app.get("/install", requireInstallAuth, (_req, res) => {
-  res.type("html").send(`<!doctype html>
-<html>
-<head>
-  <meta charset="utf-8" />
-  <meta name="viewport" content="width=device-width, initial-scale=1" />
-  <title>🦞 OpenClaw Installer on Render</title>
-  <meta name="description" content="OpenClaw — Your own personal AI assistant. Deploy on Render with installer and Control UI." />
-  <style>
-    :root {
-      --bg-deep: #050810;
-      --bg-surface: #0a0f1a;
-      --bg-elevated: #111827;
-      --coral-bright: #ff4d4d;
-      --cyan-bright: #00e5cc;
-      --text-primary: #f0f4ff;
-      --text-secondary: #8892b0;
-      --text-muted: #5a6480;
-      --border-subtle: rgba(136, 146, 176, 0.15);
-      --border-accent: rgba(255, 77, 77, 0.3);
+// Extracts a backup archive into /data (only the .openclaw/ + workspace/ roots) and restarts the gateway.
+// With `replace`, the current state is cleared first so files the archive doesn't contain are gone too
+// (a rollback must land on exactly the snapshotted state).
+async function restoreBackupFromFile(file, { replace = false } = {}) {
+  if (!HAS_RENDER_DISK) throw new Error("Restore requires a persistent disk mounted at /data.");
+  let aside = null;
+  if (replace) {
+    await stopGateway();
+    aside = moveStateAside();
+  }
+  fs.mkdirSync(STATE_DIR, { recursive: true });
+  fs.mkdirSync(WORKSPACE_DIR, { recursive: true });
+
+  try {
+    await tar.x({
+      file,
+      cwd: DATA_MOUNT,
+      strict: true,
+      onwarn: () => {},
+      filter: (p) => canRestoreFromTarPath(p),
+    });
+  } catch (err) {
+    metricInc("openclaw_imports_total", { result: "failure" });
+    if (aside) {
+      aside.restore();
+      if (isConfigured()) await restartGateway().catch((e) => log.error("import", `gateway restart failed: ${String(e)}`));
     }
-    body { font-family: ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial; margin: 2rem auto; max-width: 1100px; padding: 0 1.25rem; background: var(--bg-deep); color: var(--text-primary); }
-    .card { border: 1px solid var(--border-subtle); border-radius: 12px; padding: 1.25rem; margin: 1rem 0; background: rgba(10, 15, 26, 0.6); }
-    .brandbar { display:flex; align-items:center; justify-content: space-between; gap: 1rem; margin-bottom: 1rem; }
-    .brand { display:flex; align-items:center; gap: 0.75rem; text-decoration:none; color: inherit; }
-    .brand img { height: 32px; width: auto; display:block; }
-    .actions { margin-left: auto; display:flex; align-items:center; gap: 0.75rem; }
-    a.actionBtn { display:inline-flex; align-items:center; justify-content:center; padding: 0.6rem 0.9rem; border-radius: 999px; border: 1px solid var(--border-accent); background: var(--coral-bright); color: #fff; text-decoration:none; font-weight: 700; }
-    a.actionBtn:hover { background: #e63946; }
-    h1 { font-size: 1.75rem; margin-bottom: 0.25rem; }
-    .tagline { color: var(--coral-bright); font-size: 0.95rem; margin-bottom: 1.5rem; }
-    label { display:block; margin-top: 0.75rem; font-weight: 600; }
-    input, select { width: 100%; padding: 0.6rem; margin-top: 0.25rem; background: var(--bg-elevated); border: 1px solid var(--border-subtle); border-radius: 8px; color: var(--text-primary); }
-    input::placeholder { color: var(--text-muted); }
-    button { padding: 0.8rem 1.2rem; border-radius: 10px; border: 0; background: var(--coral-bright); color: #fff; font-weight: 700; cursor: pointer; }
-    button:hover { background: #e63946; }
-    code { background: var(--bg-elevated); padding: 0.1rem 0.3rem; border-radius: 6px; color: var(--cyan-bright); }
-    .muted { color: var(--text-muted); }
-    .row { display: flex; gap: 1rem; flex-wrap: wrap; }
-    .row > div { flex: 1; min-width: 280px; }
-    a { color: var(--cyan-bright); }
-    a:hover { color: var(--coral-bright); }
-    pre { background: var(--bg-elevated); padding: 1rem; border-radius: 8px; overflow-x: auto; color: var(--text-secondary); }
-  </style>
-</head>
-<body>
-  <div class="brandbar">
-    <a class="brand" href="https://render.com" target="_blank" rel="noreferrer">
-      ${RENDER_LOGO_URL ? `<img src="${RENDER_LOGO_URL}" alt="Render" />` : "<strong>Render</strong>"}
-    </a>
-    <div class="actions">
-      <a class="actionBtn" href="${RENDER_DEPLOY_URL}" target="_blank" rel="noreferrer">Deploy on Render</a>
-    </div>
-  </div>
-  <h1>🦞 OpenClaw Installer</h1>
-  <p class="tagline">Your own personal AI assistant. Configure OpenClaw on Render.</p>
+    throw err;
+  }
+  aside?.discard();
+  metricInc("openclaw_imports_total", { result: "success" });
 
-  <div class="card">
-    <h2>Status</h2>
-    <div id="status">Loading...</div>
-    <div style="margin-top: 0.75rem">
-      <a href="/openclaw?token=${GATEWAY_TOKEN}" target="_blank" rel="noreferrer">Open Control UI</a>
-      &nbsp;|&nbsp;
-      <a href="/install/export" target="_blank">Download backup (.tar.gz)</a>
-    </div>
-  </div>
+  // Apply immediately.
+  if (isConfigured()) await restartGateway();
+}
 
-  <div class="card">
-    <h2>1) Model/auth provider</h2>
-    <p class="muted">Pick how OpenClaw should authenticate to your model provider.</p>
-    <label>Provider group</label>
-    <select id="authGroup"></select>
+// Encrypted backups: MAGIC, a version byte, a uint32 BE header length, a JSON header with the
+// KDF/cipher parameters, the AES-256-GCM ciphertext of the .tar.gz, then the 16-byte auth tag. Since
+// version 2 everything before the ciphertext is GCM additional data, so a tampered header fails the tag.
+const ENCRYPTED_BACKUP_MAGIC = Buffer.from("OCLAWBAK", "ascii");
+const ENCRYPTED_BACKUP_VERSION = 2;
+// Version 1 archives (header not authenticated) can still be decrypted.
+const ENCRYPTED_BACKUP_LEGACY_VERSION = 1;
+const BACKUP_KDF_DEFAULTS = { N: 2 ** 15, r: 8, p: 1 };
+// Highest KDF cost accepted from a header: 128 * N * r = 128 MiB of memory at most.
+const BACKUP_KDF_MAX = { N: 2 ** 17, r: 8, p: 4 };
+const GCM_TAG_BYTES = 16;
+
+function isBoundedScryptParams({ N, r, p } = {}) {
+  return (
+    Number.isInteger(N) &&
+    N >= 2 &&
+    N <= BACKUP_KDF_MAX.N &&
+    (N & (N - 1)) === 0 &&
+    Number.isInteger(r) &&
+    r >= 1 &&
+    r <= BACKUP_KDF_MAX.r &&
+    Number.isInteger(p) &&
+    p >= 1 &&
+    p <= BACKUP_KDF_MAX.p
+  );
+}
 
-    <label>Auth method</label>
-    <select id="authChoice"></select>
+function scryptKey(passphrase, salt, { N, r, p }) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(passphrase, salt, 32, { N, r, p, maxmem: 256 * N * r + 1024 * 1024 }, (err, key) =>
+      err ? reject(err) : resolve(key),
+    );
+  });
+}
 
-    <label>Key / Token (if required)</label>
-    <input id="authSecret" type="password" placeholder="Paste API key / token (not the gateway token)" />
-    <div class="muted" style="margin-top: 0.25rem">
-      If you pick a CLI/OAuth method and see “no credentials found”, switch to the API key option for your provider.
-    </div>
+// Wraps a plain backup stream into the encrypted format.
+function encryptBackupStream(source, passphrase) {
+  return Readable.from(
+    (async function* () {
+      const salt = crypto.randomBytes(16);
+      const iv = crypto.randomBytes(12);
+      const key = await scryptKey(passphrase, salt, BACKUP_KDF_DEFAULTS);
+      const header = Buffer.from(
+        JSON.stringify({
+          v: ENCRYPTED_BACKUP_VERSION,
+          cipher: "aes-256-gcm",
+          kdf: "scrypt",
+          kdfParams: BACKUP_KDF_DEFAULTS,
+          salt: salt.toString("base64"),
+          iv: iv.toString("base64"),
+        }),
+        "utf8",
+      );
+      const prefix = Buffer.alloc(ENCRYPTED_BACKUP_MAGIC.length + 5);
+      ENCRYPTED_BACKUP_MAGIC.copy(prefix, 0);
+      prefix.writeUInt8(ENCRYPTED_BACKUP_VERSION, ENCRYPTED_BACKUP_MAGIC.length);
+      prefix.writeUInt32BE(header.length, ENCRYPTED_BACKUP_MAGIC.length + 1);
+      const aad = Buffer.concat([prefix, header]);
+      yield aad;
+
+      const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+      cipher.setAAD(aad);
+      for await (const chunk of source) {
+        const enc = cipher.update(chunk);
+        if (enc.length) yield enc;
+      }
+      const last = cipher.final();
+      if (last.length) yield last;
+      yield cipher.getAuthTag();
+    })(),
+  );
+}
 
-    <label>Installer flow</label>
-    <select id="flow">
-      <option value="quickstart">quickstart</option>
-      <option value="advanced">advanced</option>
-      <option value="manual">manual</option>
-    </select>
+function readFileRange(file, start, length) {
+  const fd = fs.openSync(file, "r");
+  try {
+    const buf = Buffer.alloc(length);
+    const n = fs.readSync(fd, buf, 0, length, start);
+    return buf.subarray(0, n);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function isEncryptedBackup(file) {
+  return readFileRange(file, 0, ENCRYPTED_BACKUP_MAGIC.length).equals(ENCRYPTED_BACKUP_MAGIC);
+}
+
+// Decrypts an encrypted backup to `${file}.tar.gz`. The plaintext is only returned after the GCM
+// tag verified, so a wrong passphrase or tampered archive never reaches tar.
+async function decryptBackupFile(file, passphrase) {
+  const size = fs.statSync(file).size;
+  const fixed = ENCRYPTED_BACKUP_MAGIC.length + 5;
+  const prefix = readFileRange(file, 0, fixed);
+  const version = prefix.readUInt8(ENCRYPTED_BACKUP_MAGIC.length);
+  if (version !== ENCRYPTED_BACKUP_VERSION && version !== ENCRYPTED_BACKUP_LEGACY_VERSION) {
+    throw httpError(400, `Unsupported encrypted backup version ${version}`);
+  }
+  const headerLen = prefix.readUInt32BE(ENCRYPTED_BACKUP_MAGIC.length + 1);
+  if (headerLen > 64 * 1024 || fixed + headerLen + GCM_TAG_BYTES > size) throw httpError(400, "Corrupted encrypted backup header");
+
+  const headerBytes = readFileRange(file, fixed, headerLen);
+  let header;
+  try {
+    header = JSON.parse(headerBytes.toString("utf8"));
+  } catch {
+    throw httpError(400, "Corrupted encrypted backup header");
+  }
+  const { N, r, p } = header.kdfParams ?? {};
+  // Bound the KDF cost so a crafted header cannot exhaust memory/CPU.
+  if (header.cipher !== "aes-256-gcm" || header.kdf !== "scrypt" || !isBoundedScryptParams({ N, r, p })) {
+    throw httpError(400, "Unsupported encryption parameters");
+  }
+
+  const key = await scryptKey(passphrase, Buffer.from(header.salt, "base64"), { N, r, p });
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, Buffer.from(header.iv, "base64"));
+  if (version !== ENCRYPTED_BACKUP_LEGACY_VERSION) decipher.setAAD(Buffer.concat([prefix, headerBytes]));
+  decipher.setAuthTag(readFileRange(file, size - GCM_TAG_BYTES, GCM_TAG_BYTES));
+
+  const outFile = `${file}.tar.gz`;
+  try {
+    await pipeline(
+      fs.createReadStream(file, { start: fixed + headerLen, end: size - GCM_TAG_BYTES - 1 }),
+      decipher,
+      fs.createWriteStream(outFile, { mode: 0o600 }),
+    );
+  } catch (err) {
+    fs.rmSync(outFile, { force: true });
+    if (/auth/i.test(String(err))) throw httpError(400, "Wrong passphrase or corrupted archive");
+    throw err;
+  }
+  return outFile;
+}
+
+// Returns a plain .tar.gz path for an uploaded backup, decrypting it if needed (the encrypted
+// upload is removed). Throws a 400 with `needsPassphrase` when a passphrase is required.
+async function plainBackupFile(file, passphrase) {
+  if (!isEncryptedBackup(file)) return file;
+  if (!passphrase) {
+    throw Object.assign(httpError(400, "This backup is encrypted. Enter its passphrase to import it."), {
+      needsPassphrase: true,
+    });
+  }
+  try {
+    return await decryptBackupFile(file, passphrase);
+  } finally {
+    fs.rmSync(file, { force: true });
+  }
+}
+
+function backupTimestamp(d = new Date()) {
+  return d.toISOString().replace(/[-:]/g, "").replace(".", "");
+}
+
+function parseBackupTimestamp(t) {
+  const iso = `${t.slice(0, 4)}-${t.slice(4, 6)}-${t.slice(6, 8)}T${t.slice(9, 11)}:${t.slice(11, 13)}:${t.slice(13, 15)}.${t.slice(15, 18)}Z`;
+  const d = new Date(iso);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+function parseBackupName(name) {
+  const m = BACKUP_NAME_RE.exec(name);
+  if (!m) return null;
+  const createdAt = parseBackupTimestamp(m[1]);
+  if (!createdAt) return null;
+  return { createdAt, kind: m[2] };
+}
+
+function backupPath(name) {
+  if (typeof name !== "string" || !parseBackupName(name)) return null;
+  return path.join(BACKUP_DIR, name);
+}
+
+function listBackups() {
+  let names = [];
+  try {
+    names = fs.readdirSync(BACKUP_DIR);
+  } catch {
+    return [];
+  }
+  const out = [];
+  for (const name of names) {
+    const parsed = parseBackupName(name);
+    if (!parsed) continue;
+    let size = 0;
+    try {
+      size = fs.statSync(path.join(BACKUP_DIR, name)).size;
+    } catch {
+      continue;
+    }
+    out.push({ name, size, kind: parsed.kind, createdAt: parsed.createdAt.toISOString() });
+  }
+  // Newest first.
+  return out.sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+}
+
+async function writeBackupSnapshot(kind) {
+  // Snapshots are serialized: each one is chained after whatever is queued, whether it failed or not.
+  const previous = backupState.running ?? Promise.resolve();
+  const run = previous.catch(() => {}).then(async () => {
+    fs.mkdirSync(BACKUP_DIR, { recursive: true, mode: 0o700 });
+    const name = `openclaw-backup-${backupTimestamp()}-${kind}.tar.gz`;
+    const finalPath = path.join(BACKUP_DIR, name);
+    const partialPath = `${finalPath}.partial`;
+    const startedAt = Date.now();
+    try {
+      await new Promise((resolve, reject) => {
+        const out = fs.createWriteStream(partialPath, { mode: 0o600 });
+        const stream = createBackupTarStream();
+        stream.on("error", reject);
+        out.on("error", reject);
+        out.on("finish", resolve);
+        stream.pipe(out);
+      });
+      fs.renameSync(partialPath, finalPath);
+    } catch (err) {
+      fs.rmSync(partialPath, { force: true });
+      backupState.lastRun = { at: new Date().toISOString(), kind, ok: false, error: String(err) };
+      metricInc("openclaw_backups_total", { kind, result: "failure" });
+      throw err;
+    }
+    const size = fs.statSync(finalPath).size;
+    backupState.lastRun = { at: new Date().toISOString(), kind, ok: true, name, size, durationMs: Date.now() - startedAt };
+    backupState.lastSuccessAt = Date.now();
+    metricInc("openclaw_backups_total", { kind, result: "success" });
+    log.info("backup", `wrote ${name} (${size} bytes)`);
+    return { name, size, kind, createdAt: parseBackupName(name).createdAt.toISOString() };
+  });
+  backupState.running = run;
+  try {
+    return await run;
+  } finally {
+    // A later caller may have chained onto this run already; only the tail of the chain clears it.
+    if (backupState.running === run) backupState.running = null;
+  }
+}
+
+function isoWeekKey(d) {
+  const t = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+  const day = t.getUTCDay() || 7;
+  t.setUTCDate(t.getUTCDate() + 4 - day);
+  const yearStart = new Date(Date.UTC(t.getUTCFullYear(), 0, 1));
+  const week = Math.ceil(((t - yearStart) / 86400000 + 1) / 7);
+  return `${t.getUTCFullYear()}-W${week}`;
+}
+
+// Retention for scheduled snapshots: keep the newest N, plus the newest snapshot of each of the
+// last D days and W ISO weeks that have one. Pre-import snapshots keep the newest few; manual
+// snapshots are never pruned.
+function applyBackupRetention() {
+  const all = listBackups();
+  const scheduled = all.filter((b) => b.kind === "scheduled");
+  const keep = new Set(scheduled.slice(0, Math.max(0, BACKUP_KEEP_LAST)).map((b) => b.name));
+  const keepPerBucket = (count, keyFn) => {
+    const seen = new Set();
+    for (const b of scheduled) {
+      if (seen.size >= count) break;
+      const key = keyFn(new Date(b.createdAt));
+      if (seen.has(key)) continue;
+      seen.add(key);
+      keep.add(b.name);
+    }
+  };
+  keepPerBucket(BACKUP_KEEP_DAILY, (d) => d.toISOString().slice(0, 10));
+  keepPerBucket(BACKUP_KEEP_WEEKLY, isoWeekKey);
+
+  const preImport = all.filter((b) => b.kind === "pre-import");
+  for (const b of preImport.slice(0, Math.max(0, BACKUP_KEEP_PRE_IMPORT))) keep.add(b.name);
+
+  const removed = [];
+  for (const b of [...scheduled, ...preImport]) {
+    if (keep.has(b.name)) continue;
+    try {
+      fs.rmSync(path.join(BACKUP_DIR, b.name), { force: true });
+      removed.push(b.name);
+    } catch (err) {
+      log.error("backup", `failed to prune ${b.name}: ${String(err)}`);
+    }
+  }
+  if (removed.length) log.info("backup", `pruned ${removed.length} snapshot(s): ${removed.join(", ")}`);
+  return removed;
+}
+
+function parseCronField(field, min, max) {
+  const values = new Set();
+  for (const part of field.split(",")) {
+    const [range, stepRaw] = part.split("/");
+    const step = stepRaw === undefined ? 1 : Number.parseInt(stepRaw, 10);
+    let lo = min;
+    let hi = max;
+    if (range !== "*") {
+      const [a, b] = range.split("-");
+      lo = Number.parseInt(a, 10);
+      hi = b === undefined ? (stepRaw === undefined ? lo : max) : Number.parseInt(b, 10);
+    }
+    if (![lo, hi, step].every(Number.isInteger) || step < 1 || lo < min || hi > max || lo > hi) {
+      throw new Error(`invalid cron field "${field}"`);
+    }
+    for (let v = lo; v <= hi; v += step) values.add(v);
+  }
+  return values;
+}
+
+function parseBackupSchedule(spec) {
+  const s = String(spec || "").trim().toLowerCase();
+  if (!s || s === "off" || s === "none" || s === "false" || s === "0") return null;
+  const aliases = { "@hourly": "0 * * * *", "@daily": "0 3 * * *", "@weekly": "0 3 * * 0" };
+  const interval = /^(\d+)\s*(m|h|d)$/.exec(s);
+  if (interval) {
+    const unit = { m: 60000, h: 3600000, d: 86400000 }[interval[2]];
+    return { type: "interval", ms: Number.parseInt(interval[1], 10) * unit };
+  }
+  const fields = (aliases[s] ?? s).split(/\s+/);
+  if (fields.length !== 5) throw new Error(`invalid BACKUP_SCHEDULE "${spec}"`);
+  // Both 0 and 7 mean Sunday; fold 7 onto 0 once the field has been parsed.
+  const dow = new Set([...parseCronField(fields[4], 0, 7)].map((v) => (v === 7 ? 0 : v)));
+  return {
+    type: "cron",
+    minute: parseCronField(fields[0], 0, 59),
+    hour: parseCronField(fields[1], 0, 23),
+    dom: parseCronField(fields[2], 1, 31),
+    month: parseCronField(fields[3], 1, 12),
+    dow,
+    domAny: fields[2] === "*",
+    dowAny: fields[4] === "*",
+  };
+}
+
+function cronMatches(c, d) {
+  if (!c.minute.has(d.getUTCMinutes()) || !c.hour.has(d.getUTCHours()) || !c.month.has(d.getUTCMonth() + 1)) {
+    return false;
+  }
+  const domOk = c.dom.has(d.getUTCDate());
+  const dowOk = c.dow.has(d.getUTCDay());
+  // Classic cron: when both day fields are restricted, either may match.
+  if (c.domAny || c.dowAny) return domOk && dowOk;
+  return domOk || dowOk;
+}
+
+const backupSchedule = (() => {
+  try {
+    return parseBackupSchedule(BACKUP_SCHEDULE);
+  } catch (err) {
+    log.error("backup", `${String(err)}; scheduled backups disabled`);
+    return null;
+  }
+})();
+
+function lastScheduledBackupAt() {
+  const last = listBackups().find((b) => b.kind === "scheduled");
+  return last ? Date.parse(last.createdAt) : null;
+}
+
+function nextBackupAt() {
+  if (!backupSchedule) return null;
+  if (backupSchedule.type === "interval") {
+    const last = lastScheduledBackupAt();
+    return new Date(last ? last + backupSchedule.ms : Date.now()).toISOString();
+  }
+  // Scan ahead minute by minute (bounded) for the next cron match.
+  const d = new Date();
+  d.setUTCSeconds(0, 0);
+  for (let i = 1; i <= 8 * 24 * 60; i++) {
+    d.setUTCMinutes(d.getUTCMinutes() + 1);
+    if (cronMatches(backupSchedule, d)) return d.toISOString();
+  }
+  return null;
+}
+
+function isBackupDue(now) {
+  if (!backupSchedule || !isConfigured()) return false;
+  if (backupSchedule.type === "interval") {
+    const last = lastScheduledBackupAt();
+    return !last || now.getTime() - last >= backupSchedule.ms;
+  }
+  return cronMatches(backupSchedule, now);
+}
+
+async function runScheduledBackup() {
+  let snapshot;
+  backupState.scheduledPending = true;
+  try {
+    // Chained after any backup already in progress (manual, pre-import), so the slot isn't lost.
+    snapshot = await writeBackupSnapshot("scheduled");
+    applyBackupRetention();
+  } catch (err) {
+    log.error("backup", `scheduled backup failed: ${String(err)}`);
+    return;
+  } finally {
+    backupState.scheduledPending = false;
+  }
+  if (s3Configured() && S3_UPLOAD_SCHEDULED) {
+    try {
+      await uploadBackupOffsite(snapshot.name);
+    } catch (err) {
+      log.error("offsite", `upload of ${snapshot.name} failed: ${String(err.message ?? err)}`);
+    }
+  }
+}
+
+function startBackupScheduler() {
+  if (!backupSchedule) {
+    log.info("backup", "scheduled backups disabled");
+    return;
+  }
+  log.info("backup", `schedule "${BACKUP_SCHEDULE}" -> ${BACKUP_DIR}`);
+  // Check once a minute; align to the top of the minute so cron expressions fire on time.
+  const tick = () => {
+    if (!backupState.scheduledPending && isBackupDue(new Date())) void runScheduledBackup();
+  };
+  const msToNextMinute = 60000 - (Date.now() % 60000);
+  setTimeout(() => {
+    tick();
+    backupState.timer = setInterval(tick, 60000);
+    backupState.timer.unref?.();
+  }, msToNextMinute + 1000).unref?.();
+}
+
+// Offsite copies of backup snapshots in any S3-compatible bucket (AWS S3, R2, B2, MinIO, ...).
+// Requests are signed with AWS Signature V4 directly, so no SDK is needed.
+const S3_BUCKET = process.env.S3_BUCKET?.trim() || null;
+const S3_REGION = process.env.S3_REGION?.trim() || "us-east-1";
+const S3_ENDPOINT = (process.env.S3_ENDPOINT?.trim() || `https://s3.${S3_REGION}.amazonaws.com`).replace(/\/+$/, "");
+const S3_PREFIX = (process.env.S3_PREFIX ?? "openclaw-backups/").trim().replace(/^\/+/, "");
+const S3_ACCESS_KEY_ID = process.env.S3_ACCESS_KEY_ID?.trim() || process.env.AWS_ACCESS_KEY_ID?.trim() || "";
+const S3_SECRET_ACCESS_KEY = process.env.S3_SECRET_ACCESS_KEY?.trim() || process.env.AWS_SECRET_ACCESS_KEY?.trim() || "";
+registerSecret(S3_SECRET_ACCESS_KEY);
+const S3_SESSION_TOKEN = process.env.S3_SESSION_TOKEN?.trim() || process.env.AWS_SESSION_TOKEN?.trim() || "";
+// Path-style URLs (endpoint/bucket/key) are what MinIO and most S3-compatible services expect.
+const S3_FORCE_PATH_STYLE = (() => {
+  const v = (process.env.S3_FORCE_PATH_STYLE ?? "").trim().toLowerCase();
+  if (v) return v === "1" || v === "true";
+  return Boolean(process.env.S3_ENDPOINT?.trim());
+})();
+// Encrypt offsite copies with the same format as encrypted exports.
+const S3_BACKUP_PASSPHRASE = process.env.S3_BACKUP_PASSPHRASE || "";
+// Upload every scheduled snapshot right after it is written.
+const S3_UPLOAD_SCHEDULED = !["0", "false", "off"].includes((process.env.S3_UPLOAD_SCHEDULED ?? "1").trim().toLowerCase());
+const S3_REQUEST_TIMEOUT_MS = Number.parseInt(process.env.S3_REQUEST_TIMEOUT_MS ?? "600000", 10);
+
+const offsiteState = {
+  lastUpload: null,
+};
+
+function s3Configured() {
+  return Boolean(S3_BUCKET && S3_ACCESS_KEY_ID && S3_SECRET_ACCESS_KEY);
+}
+
+function rfc3986(s) {
+  return encodeURIComponent(s).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function s3Url(key, query = {}) {
+  const endpoint = new URL(S3_ENDPOINT);
+  const encodedKey = key.split("/").map(rfc3986).join("/");
+  let pathname;
+  if (S3_FORCE_PATH_STYLE) {
+    pathname = `${endpoint.pathname.replace(/\/+$/, "")}/${rfc3986(S3_BUCKET)}${key ? `/${encodedKey}` : "/"}`;
+  } else {
+    endpoint.host = `${S3_BUCKET}.${endpoint.host}`;
+    pathname = `${endpoint.pathname.replace(/\/+$/, "")}/${encodedKey}`;
+  }
+  const qs = Object.keys(query)
+    .sort()
+    .map((k) => `${rfc3986(k)}=${rfc3986(String(query[k]))}`)
+    .join("&");
+  return { url: `${endpoint.protocol}//${endpoint.host}${pathname}${qs ? `?${qs}` : ""}`, host: endpoint.host, pathname, qs };
+}
+
+// Signed S3 request. `body` may be a stream (then `contentLength` is required); payloads are sent
+// as UNSIGNED-PAYLOAD so large archives can stream from disk.
+async function s3Request(method, key, { query, body, contentLength, headers: extraHeaders } = {}) {
+  const { url, host, pathname, qs } = s3Url(key, query);
+  const now = new Date();
+  const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, "");
+  const dateStamp = amzDate.slice(0, 8);
+  const payloadHash = body ? "UNSIGNED-PAYLOAD" : crypto.createHash("sha256").update("").digest("hex");
+
+  const headers = {
+    host,
+    "x-amz-date": amzDate,
+    "x-amz-content-sha256": payloadHash,
+    ...(S3_SESSION_TOKEN ? { "x-amz-security-token": S3_SESSION_TOKEN } : {}),
+    ...(body ? { "content-length": String(contentLength) } : {}),
+    ...extraHeaders,
+  };
+  const signedHeaderNames = Object.keys(headers)
+    .map((h) => h.toLowerCase())
+    .sort();
+  const lowerHeaders = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), String(v).trim()]));
+  const canonicalRequest = [
+    method,
+    pathname,
+    qs,
+    signedHeaderNames.map((h) => `${h}:${lowerHeaders[h]}\n`).join(""),
+    signedHeaderNames.join(";"),
+    payloadHash,
+  ].join("\n");
+  const scope = `${dateStamp}/${S3_REGION}/s3/aws4_request`;
+  const stringToSign = [
+    "AWS4-HMAC-SHA256",
+    amzDate,
+    scope,
+    crypto.createHash("sha256").update(canonicalRequest).digest("hex"),
+  ].join("\n");
+  const sign = (k, v) => crypto.createHmac("sha256", k).update(v).digest();
+  const signingKey = sign(sign(sign(sign(`AWS4${S3_SECRET_ACCESS_KEY}`, dateStamp), S3_REGION), "s3"), "aws4_request");
+  const signature = crypto.createHmac("sha256", signingKey).update(stringToSign).digest("hex");
+
+  const { host: _host, ...sendHeaders } = lowerHeaders;
+  sendHeaders.authorization =
+    `AWS4-HMAC-SHA256 Credential=${S3_ACCESS_KEY_ID}/${scope}, SignedHeaders=${signedHeaderNames.join(";")}, Signature=${signature}`;
+
+  const res = await fetch(url, {
+    method,
+    headers: sendHeaders,
+    body,
+    duplex: body ? "half" : undefined,
+    signal: AbortSignal.timeout(S3_REQUEST_TIMEOUT_MS),
+  });
+  if (!res.ok) {
+    const text = await res.text().catch(() => "");
+    const code = /<Code>([^<]+)<\/Code>/.exec(text)?.[1];
+    throw httpError(502, `S3 ${method} ${key || "/"} failed: HTTP ${res.status}${code ? ` ${code}` : ""}`);
+  }
+  return res;
+}
+
+function xmlDecode(s) {
+  return s
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+async function listOffsiteBackups() {
+  const objects = [];
+  let token = null;
+  // ListObjectsV2 pages hold up to 1000 keys; cap the walk so a huge prefix can't stall the UI.
+  for (let page = 0; page < 20; page++) {
+    const query = { "list-type": "2", prefix: S3_PREFIX, ...(token ? { "continuation-token": token } : {}) };
+    const xml = await (await s3Request("GET", "", { query })).text();
+    for (const m of xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+      const key = xmlDecode(/<Key>([\s\S]*?)<\/Key>/.exec(m[1])?.[1] ?? "");
+      if (!key || key.endsWith("/")) continue;
+      objects.push({
+        key,
+        name: key.slice(S3_PREFIX.length),
+        size: Number.parseInt(/<Size>(\d+)<\/Size>/.exec(m[1])?.[1] ?? "0", 10),
+        lastModified: /<LastModified>([^<]+)<\/LastModified>/.exec(m[1])?.[1] ?? null,
+      });
+    }
+    if (!/<IsTruncated>true<\/IsTruncated>/.test(xml)) break;
+    token = xmlDecode(/<NextContinuationToken>([^<]+)<\/NextContinuationToken>/.exec(xml)?.[1] ?? "");
+    if (!token) break;
+  }
+  return objects.sort((a, b) => (a.lastModified < b.lastModified ? 1 : -1));
+}
+
+// Uploads a local snapshot (encrypting it first when S3_BACKUP_PASSPHRASE is set).
+async function uploadBackupOffsite(name) {
+  const file = backupPath(name);
+  if (!file || !fs.existsSync(file)) throw httpError(404, "Backup not found");
+
+  let source = file;
+  let key = `${S3_PREFIX}${name}`;
+  if (S3_BACKUP_PASSPHRASE) {
+    fs.mkdirSync(IMPORT_TMP_DIR, { recursive: true });
+    source = path.join(IMPORT_TMP_DIR, `offsite-${crypto.randomBytes(6).toString("hex")}.enc`);
+    await pipeline(encryptBackupStream(fs.createReadStream(file), S3_BACKUP_PASSPHRASE), fs.createWriteStream(source, { mode: 0o600 }));
+    key += ".enc";
+  }
+
+  const startedAt = Date.now();
+  try {
+    const size = fs.statSync(source).size;
+    await s3Request("PUT", key, {
+      body: fs.createReadStream(source),
+      contentLength: size,
+      headers: { "content-type": S3_BACKUP_PASSPHRASE ? "application/octet-stream" : "application/gzip" },
+    });
+    offsiteState.lastUpload = { at: new Date().toISOString(), ok: true, key, size, durationMs: Date.now() - startedAt };
+    metricInc("openclaw_offsite_uploads_total", { result: "success" });
+    log.info("offsite", `uploaded ${key} (${size} bytes)`);
+    return { key, size };
+  } catch (err) {
+    offsiteState.lastUpload = { at: new Date().toISOString(), ok: false, key, error: String(err.message ?? err) };
+    metricInc("openclaw_offsite_uploads_total", { result: "failure" });
+    throw err;
+  } finally {
+    if (source !== file) fs.rmSync(source, { force: true });
+  }
+}
+
+// Downloads an offsite archive into the import temp dir.
+async function downloadOffsiteBackup(key) {
+  if (typeof key !== "string" || !key.startsWith(S3_PREFIX) || key.includes("..")) throw httpError(400, "Invalid key");
+  const res = await s3Request("GET", key);
+  fs.mkdirSync(IMPORT_TMP_DIR, { recursive: true });
+  const file = path.join(IMPORT_TMP_DIR, `offsite-${Date.now()}-${crypto.randomBytes(6).toString("hex")}.download`);
+  try {
+    await pipeline(Readable.fromWeb(res.body), fs.createWriteStream(file, { mode: 0o600 }));
+  } catch (err) {
+    fs.rmSync(file, { force: true });
+    throw err;
+  }
+  return file;
+}
+
+// Audit log: one JSON line per state-changing installer request (and every export), appended under
+// STATE_DIR with size-based rotation. Parameters are stored with secrets masked.
+const AUDIT_LOG_FILE = path.join(STATE_DIR, "logs", "audit.log");
+const AUDIT_LOG_MAX_BYTES = Number.parseInt(process.env.AUDIT_LOG_MAX_BYTES ?? String(1024 * 1024), 10);
+const AUDIT_LOG_KEEP = Number.parseInt(process.env.AUDIT_LOG_KEEP ?? "5", 10);
+const AUDIT_PARAM_MAX_CHARS = 200;
+
+function isAuditedRequest(req) {
+  if (req.path === "/install/export" || /^\/install\/api\/backups\/[^/]+\/download$/.test(req.path)) return true;
+  return req.path.startsWith("/install/api/") && !isSafeMethod(req.method);
+}
+
+function auditParams(value, key = "") {
+  if (typeof value === "string") {
+    if (value && CONFIG_SECRET_KEY_RE.test(key)) return maskSecret(value);
+    const s = redactSecrets(value);
+    return s.length > AUDIT_PARAM_MAX_CHARS ? `${s.slice(0, AUDIT_PARAM_MAX_CHARS)}…` : s;
+  }
+  if (Array.isArray(value)) return value.map((v) => auditParams(v, key));
+  if (isPlainObject(value)) {
+    return Object.fromEntries(
+      Object.entries(value)
+        .filter(([k]) => !k.startsWith("_"))
+        .map(([k, v]) => [k, auditParams(v, k)]),
+    );
+  }
+  return value;
+}
+
+function auditOutcome(res) {
+  if (!res.writableFinished) return "aborted";
+  if (res.statusCode === 401 || res.statusCode === 403) return "denied";
+  return res.statusCode < 400 ? "ok" : "failed";
+}
+
+function writeAuditEntry(entry) {
+  try {
+    fs.mkdirSync(path.dirname(AUDIT_LOG_FILE), { recursive: true });
+    let size = 0;
+    try {
+      size = fs.statSync(AUDIT_LOG_FILE).size;
+    } catch {
+      // first write
+    }
+    if (size >= AUDIT_LOG_MAX_BYTES) rotateLogFile(AUDIT_LOG_FILE, AUDIT_LOG_KEEP);
+    fs.appendFileSync(AUDIT_LOG_FILE, JSON.stringify(entry) + "\n", { mode: 0o600 });
+  } catch (err) {
+    log.error("audit", `failed to write ${AUDIT_LOG_FILE}: ${String(err)}`);
+  }
+}
+
+function auditRequest(req, res) {
+  const params = auditParams({ ...req.params, ...req.query, ...(isPlainObject(req.body) ? req.body : {}) });
+  writeAuditEntry({
+    ts: new Date().toISOString(),
+    ip: clientIp(req),
+    // Who did it: an account name, "setup" for the setup password, or null without a session.
+    user: req.installSession ? (req.installSession.user ?? "setup") : null,
+    action: `${req.method} ${req.route?.path ?? req.path}`,
+    params,
+    status: res.statusCode,
+    outcome: auditOutcome(res),
+    requestId: req.id,
+  });
+}
+
+// Oldest file first, so entries come back in the order they were written.
+function readAuditEntries() {
+  const files = [];
+  for (let i = AUDIT_LOG_KEEP; i >= 1; i--) files.push(`${AUDIT_LOG_FILE}.${i}`);
+  files.push(AUDIT_LOG_FILE);
+  const entries = [];
+  for (const file of files) {
+    let raw;
+    try {
+      raw = fs.readFileSync(file, "utf8");
+    } catch {
+      continue;
+    }
+    for (const line of raw.split("\n")) {
+      if (!line) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch {
+        // torn write; skip
+      }
+    }
+  }
+  return entries;
+}
+
+function queryAuditEntries({ q, outcome, since, limit } = {}) {
+  let entries = readAuditEntries();
+  if (since) {
+    const t = Date.parse(String(since));
+    if (!Number.isNaN(t)) entries = entries.filter((e) => Date.parse(e.ts) > t);
+  }
+  if (outcome) entries = entries.filter((e) => e.outcome === outcome);
+  if (q) {
+    const needle = String(q).toLowerCase();
+    entries = entries.filter((e) => `${e.action} ${e.ip} ${e.user ?? ""} ${JSON.stringify(e.params ?? {})}`.toLowerCase().includes(needle));
+  }
+  const n = Number.parseInt(String(limit ?? ""), 10);
+  const max = Number.isFinite(n) && n > 0 ? Math.min(n, 1000) : 200;
+  return entries.slice(-max).reverse();
+}
+
+const app = express();
+app.disable("x-powered-by");
+// Tag every request with an ID: echoed back, forwarded to the gateway by the proxy, and attached to log lines.
+app.use((req, res, next) => {
+  const requestId = requestIdFor(req);
+  req.id = requestId;
+  req.headers[REQUEST_ID_HEADER] = requestId;
+  res.set("X-Request-Id", requestId);
+  // Don't keep connections alive while draining for shutdown.
+  if (shuttingDown) res.set("Connection", "close");
+  const start = Date.now();
+  res.on("close", () => {
+    // Path only: query strings can carry gateway tokens.
+    log.debug("http", `${req.method} ${req.path} ${res.writableFinished ? res.statusCode : "aborted"}`, {
+      requestId,
+      ms: Date.now() - start,
+    });
+  });
+  requestContext.run({ requestId }, next);
+});
+app.use(express.json({ limit: "1mb" }));
+app.use((req, res, next) => {
+  if (isAuditedRequest(req)) res.on("close", () => auditRequest(req, res));
+  next();
+});
+// Request count and latency for /metrics. `handler` keeps label cardinality bounded.
+app.use((req, res, next) => {
+  const start = process.hrtime.bigint();
+  res.on("close", () => {
+    const handler = req.path.startsWith("/install")
+      ? "install"
+      : ["/healthz", "/readyz", "/metrics"].includes(req.path)
+        ? "health"
+        : "proxy";
+    const status = res.writableFinished ? String(res.statusCode) : "aborted";
+    metricInc("openclaw_http_requests_total", { handler, status });
+    metricObserve("openclaw_http_request_duration_seconds", { handler, status }, Number(process.hrtime.bigint() - start) / 1e9);
+  });
+  next();
+});
+
+// Avoid leaking tokenized URLs via Referer headers.
+app.use((_req, res, next) => {
+  res.set("Referrer-Policy", "no-referrer");
+  next();
+});
+
+// Serve static assets (e.g. Render logo used for branding).
+if (fs.existsSync(PUBLIC_DIR)) {
+  app.use("/public", express.static(PUBLIC_DIR, { maxAge: "7d" }));
+}
+
+// Liveness: the wrapper process is up and serving. Never touches the gateway.
+app.get("/healthz", (_req, res) => res.json({ ok: true, uptimeMs: Math.round(process.uptime() * 1000) }));
+
+// Prometheus scrape endpoint. Disabled unless METRICS_TOKEN is set; scrapers send it as a bearer token.
+const METRICS_TOKEN = process.env.METRICS_TOKEN?.trim() || "";
+
+app.get("/metrics", (req, res) => {
+  if (!METRICS_TOKEN) return res.status(404).type("text/plain").send("Not Found");
+  const auth = String(req.headers.authorization || "");
+  const provided = auth.startsWith("Bearer ") ? auth.slice(7).trim() : "";
+  if (!provided || !safeEqual(provided, METRICS_TOKEN)) {
+    res.set("WWW-Authenticate", 'Bearer realm="metrics"');
+    return res.status(401).type("text/plain").send("Unauthorized");
+  }
+  const g = gatewayStatus();
+  const body = renderMetrics([
+    { name: "openclaw_gateway_up", help: "1 when the gateway process is running and passed its ready probe.", value: g.state === "running" ? 1 : 0 },
+    { name: "openclaw_gateway_restarts_total", help: "Automatic gateway restarts by the supervisor.", type: "counter", value: g.restarts },
+    { name: "openclaw_gateway_crash_loop", help: "1 when the supervisor gave up restarting the gateway.", value: g.crashLoop ? 1 : 0 },
+    { name: "openclaw_gateway_uptime_seconds", help: "Uptime of the current gateway process.", value: (g.uptimeMs ?? 0) / 1000 },
+    { name: "openclaw_ws_active_connections", help: "Currently bridged WebSocket connections.", value: activeWsBridges.size },
+    {
+      name: "openclaw_backup_last_success_timestamp_seconds",
+      help: "Unix time of the last successful backup snapshot (0 if none since start).",
+      value: Math.floor((backupState.lastSuccessAt ?? 0) / 1000),
+    },
+    { name: "openclaw_wrapper_uptime_seconds", help: "Uptime of the wrapper process.", value: Math.round(process.uptime()) },
+  ]);
+  res.set("cache-control", "no-store");
+  return res.type("text/plain; version=0.0.4; charset=utf-8").send(body);
+});
+
+// Readiness (Render health check): 200 when the wrapper can serve traffic, i.e. either nothing is
+// installed yet (the installer is the only thing to serve) or the gateway is running and answers the
+// same probe waitForGatewayReady() uses. 503 otherwise. The upstream probe is cached briefly so
+// frequent polling stays cheap.
+const READY_PROBE_CACHE_MS = Number.parseInt(process.env.READY_PROBE_CACHE_MS ?? "2000", 10);
+const READY_MIN_FREE_BYTES = Number.parseInt(process.env.READY_MIN_FREE_BYTES ?? String(100 * 1024 * 1024), 10);
+let readyProbe = { at: 0, pid: null, result: null, pending: null };
+
+async function cachedGatewayProbe(pid) {
+  if (readyProbe.pid === pid && readyProbe.result && Date.now() - readyProbe.at < READY_PROBE_CACHE_MS) {
+    return readyProbe.result;
+  }
+  if (!readyProbe.pending) {
+    readyProbe.pending = probeGateway().then((result) => {
+      readyProbe = { at: Date.now(), pid, result: { ...result, checkedAt: new Date().toISOString() }, pending: null };
+      return readyProbe.result;
+    });
+  }
+  return readyProbe.pending;
+}
+
+function diskUsage(dir) {
+  try {
+    const st = fs.statfsSync(dir);
+    return { path: dir, freeBytes: st.bavail * st.bsize, totalBytes: st.blocks * st.bsize };
+  } catch {
+    return null;
+  }
+}
+
+app.get("/readyz", async (_req, res) => {
+  const configured = isConfigured();
+  const g = gatewayStatus();
+  const gateway = {
+    state: g.state,
+    pid: g.pid,
+    uptimeMs: g.uptimeMs,
+    restarts: g.restarts,
+    nextRestartAt: g.nextRestartAt,
+    lastExit: g.exits[0] ?? null,
+    probe: null,
+  };
+  // Only probe a process that finished starting; otherwise the state already says why we aren't ready.
+  if (g.state === "running") gateway.probe = await cachedGatewayProbe(g.pid);
+
+  const disk = diskUsage(HAS_RENDER_DISK ? DATA_MOUNT : STATE_DIR);
+  const warnings = [];
+  if (disk && disk.freeBytes < READY_MIN_FREE_BYTES) warnings.push(`Low disk space: ${disk.freeBytes} bytes free on ${disk.path}`);
+  if (!HAS_RENDER_DISK) warnings.push(`No persistent disk at ${DATA_MOUNT}; state is lost on redeploy`);
+
+  const ready = !shuttingDown && (!configured || Boolean(gateway.probe?.ok));
+  res.set("cache-control", "no-store");
+  return res.status(ready ? 200 : 503).json({
+    ok: ready,
+    ready,
+    shuttingDown,
+    configured,
+    gateway,
+    disk,
+    warnings,
+    checkedAt: new Date().toISOString(),
+  });
+});
+
+function escapeHtml(s) {
+  return String(s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// Only allow post-login redirects to local paths: the installer, or the dashboard behind the proxy.
+function safeLoginRedirect(next) {
+  const n = typeof next === "string" ? next : "";
+  return n.startsWith("/") && !n.startsWith("//") && !n.includes("\\") ? n : "/install";
+}
+
+function loginHtml({ error, next, username } = {}) {
+  return `<!doctype html>
+<html>
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <title>🦞 OpenClaw Installer — Log in</title>
+  <style>
+    :root {
+      --bg-deep: #050810;
+      --bg-elevated: #111827;
+      --coral-bright: #ff4d4d;
+      --text-primary: #f0f4ff;
+      --text-muted: #5a6480;
+      --border-subtle: rgba(136, 146, 176, 0.15);
+    }
+    body { font-family: ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial; margin: 4rem auto; max-width: 420px; padding: 0 1.25rem; background: var(--bg-deep); color: var(--text-primary); }
+    .card { border: 1px solid var(--border-subtle); border-radius: 12px; padding: 1.25rem; background: rgba(10, 15, 26, 0.6); }
+    label { display:block; margin-top: 0.75rem; font-weight: 600; }
+    input { width: 100%; box-sizing: border-box; padding: 0.6rem; margin-top: 0.25rem; background: var(--bg-elevated); border: 1px solid var(--border-subtle); border-radius: 8px; color: var(--text-primary); }
+    button { margin-top: 1rem; padding: 0.8rem 1.2rem; border-radius: 10px; border: 0; background: var(--coral-bright); color: #fff; font-weight: 700; cursor: pointer; }
+    .error { color: var(--coral-bright); }
+    .muted { color: var(--text-muted); }
+  </style>
+</head>
+<body>
+  <h1>🦞 OpenClaw Installer</h1>
+  <div class="card">
+    <form method="post" action="/install/login">
+      <input type="hidden" name="next" value="${escapeHtml(safeLoginRedirect(next))}" />
+      <label for="username">Username</label>
+      <input id="username" name="username" autocomplete="username" value="${escapeHtml(username ?? "")}" autofocus />
+      <label for="password">Password</label>
+      <input id="password" name="password" type="password" autocomplete="current-password" required />
+      ${error ? `<p class="error">${escapeHtml(error)}</p>` : ""}
+      <button type="submit">Log in</button>
+    </form>
+    <p class="muted">Log in with your account, or leave the username empty and use the value of <code>RENDER_SETUP_PASSWORD</code>.</p>
   </div>
+</body>
+</html>`;
+}
+
+app.get("/install/login", (req, res) => {
+  const session = readSession(req);
+  if (session) {
+    // Refresh the dashboard cookie too; sessions from before it existed only have the installer one.
+    res.set("Set-Cookie", sessionCookies(req, parseCookies(req)[INSTALL_SESSION_COOKIE], session.exp - Date.now()));
+    return res.redirect(302, safeLoginRedirect(req.query.next));
+  }
+  res.type("html").send(loginHtml({ next: req.query.next }));
+});
+
+app.post("/install/login", express.urlencoded({ extended: false, limit: "16kb" }), async (req, res) => {
+  if (!SETUP_PASSWORD) {
+    return res
+      .status(500)
+      .type("text/plain")
+      .send("RENDER_SETUP_PASSWORD is not set. Set it in Render Environment Variables before using /install.");
+  }
+
+  const next = req.body?.next;
+  const username = typeof req.body?.username === "string" ? req.body.username.trim().toLowerCase() : "";
+  // Reject cross-site login posts (login CSRF); browsers always send Origin on form POSTs.
+  if (isCrossOriginRequest(req)) return res.status(403).type("text/plain").send("Cross-origin login rejected");
+
+  const ip = clientIp(req);
+  const lockedMs = loginLockedFor(ip);
+  if (lockedMs > 0) {
+    res.set("Retry-After", String(Math.ceil(lockedMs / 1000)));
+    return res
+      .status(429)
+      .type("html")
+      .send(
+        loginHtml({ next, username, error: `Too many failed attempts. Try again in ${Math.ceil(lockedMs / 60000)} minute(s).` }),
+      );
+  }
+
+  const password = typeof req.body?.password === "string" ? req.body.password : "";
+  const identity = await checkLogin(username, password);
+  if (!identity) {
+    recordLoginFailure(ip);
+    return res.status(401).type("html").send(loginHtml({ next, username, error: "Invalid username or password" }));
+  }
+
+  loginAttempts.delete(ip);
+  if (identity.user) log.info("auth", `${identity.user} logged in`, { ip });
+  const { value } = createSession(identity);
+  res.set("Set-Cookie", sessionCookies(req, value, INSTALL_SESSION_TTL_MS));
+  return res.redirect(303, safeLoginRedirect(next));
+});
+
+app.post("/install/logout", requireInstallAuth, (req, res) => {
+  revokedSessions.set(req.installSession.sid, req.installSession.exp);
+  pruneAuthState();
+  saveRevokedSessions();
+  res.set("Set-Cookie", sessionCookies(req, "", 0));
+  res.json({ ok: true });
+});
+
+// Lets scripted clients (curl with a cookie jar) fetch the CSRF token for their session.
+app.get("/install/api/session", requireInstallAuth, (req, res) => {
+  res.json({
+    ok: true,
+    csrfToken: csrfTokenFor(req.installSession),
+    expiresAt: new Date(req.installSession.exp).toISOString(),
+    user: req.installSession.user ?? null,
+    role: req.installSession.role,
+  });
+});
+
+app.get("/install/api/users", requireInstallAuth, (_req, res) => {
+  res.json({ ok: true, roles: ROLES, users: readUsers().map(publicUser) });
+});
+
+// Body: { username, password, role }.
+app.post("/install/api/users", requireInstallAuth, async (req, res) => {
+  try {
+    const { username, password, role } = userParams(req.body);
+    if (findUser(username)) throw httpError(409, `User ${username} already exists`);
+    const now = new Date().toISOString();
+    const user = { username, role, password: await hashPassword(password), sessionVersion: 0, createdAt: now, updatedAt: now };
+    writeUsers([...readUsers(), user]);
+    log.info("auth", `user ${username} created with role ${role}`);
+    return res.json({ ok: true, user: publicUser(user) });
+  } catch (err) {
+    return res.status(err.status ?? 500).json({ ok: false, output: String(err.message ?? err) });
+  }
+});
+
+// Body: { role?, password? }. Either change signs the user out everywhere.
+app.put("/install/api/users/:username", requireInstallAuth, async (req, res) => {
+  try {
+    const { role, password } = userParams(req.body, { partial: true });
+    const user = findUser(String(req.params.username).toLowerCase());
+    if (!user) throw httpError(404, `No user ${req.params.username}`);
+    if (role === undefined && password === undefined) throw httpError(400, "Nothing to change");
+    const updated = {
+      ...user,
+      ...(role !== undefined && { role }),
+      ...(password !== undefined && { password: await hashPassword(password) }),
+      sessionVersion: (user.sessionVersion ?? 0) + 1,
+      updatedAt: new Date().toISOString(),
+    };
+    writeUsers(readUsers().map((u) => (u.username === user.username ? updated : u)));
+    log.info("auth", `user ${user.username} updated`, { role: updated.role, passwordChanged: password !== undefined });
+    return res.json({ ok: true, user: publicUser(updated) });
+  } catch (err) {
+    return res.status(err.status ?? 500).json({ ok: false, output: String(err.message ?? err) });
+  }
+});
+
+app.delete("/install/api/users/:username", requireInstallAuth, (req, res) => {
+  const username = String(req.params.username).toLowerCase();
+  const users = readUsers();
+  if (!users.some((u) => u.username === username)) return res.status(404).json({ ok: false, output: `No user ${username}` });
+  writeUsers(users.filter((u) => u.username !== username));
+  log.info("auth", `user ${username} deleted`);
+  return res.json({ ok: true });
+});
+
+// Body: { currentPassword, newPassword }. Named accounts only; the setup password is set in the environment.
+app.post("/install/api/account/password", requireInstallAuth, async (req, res) => {
+  try {
+    const session = req.installSession;
+    if (!session.user) throw httpError(400, "The setup password is changed with RENDER_SETUP_PASSWORD, not here");
+    const user = findUser(session.user);
+    if (!user || !(await verifyPassword(String(req.body?.currentPassword ?? ""), user.password))) {
+      throw httpError(403, "Current password is wrong");
+    }
+    const { password } = userParams({ password: req.body?.newPassword }, { partial: true });
+    const updated = {
+      ...user,
+      password: await hashPassword(password),
+      sessionVersion: (user.sessionVersion ?? 0) + 1,
+      updatedAt: new Date().toISOString(),
+    };
+    writeUsers(readUsers().map((u) => (u.username === user.username ? updated : u)));
+    // Keep this browser signed in; every other session of the account ends.
+    const { payload, value } = createSession({ user: updated.username, v: updated.sessionVersion });
+    res.set("Set-Cookie", sessionCookies(req, value, INSTALL_SESSION_TTL_MS));
+    log.info("auth", `${user.username} changed their password`);
+    return res.json({ ok: true, csrfToken: csrfTokenFor(payload) });
+  } catch (err) {
+    return res.status(err.status ?? 500).json({ ok: false, output: String(err.message ?? err) });
+  }
+});
+
+app.get("/install/app.js", requireInstallAuth, (_req, res) => {
+  res.type("application/javascript");
+  res.send(fs.readFileSync(path.join(process.cwd(), "src", "install-app.js"), "utf8"));
+});
+
+app.get("/install", requireInstallAuth, (req, res) => {
+  const session = req.installSession;
+  // Parts of the page the role can't use are hidden; the API enforces the same roles regardless.
+  const hiddenBelow = (minRole) => (roleAtLeast(session.role, minRole) ? "" : " hidden");
+  // Left out, not just hidden: with DASHBOARD_URL_TOKEN the href carries the gateway token.
+  const controlUiLink = roleAtLeast(session.role, "operator")
+    ? `<a id="controlUiLink" href="${dashboardUrl()}" target="_blank" rel="noreferrer">Open Control UI</a>`
+    : "";
+  res.type("html").send(`<!doctype html>
+<html>
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <meta name="csrf-token" content="${csrfTokenFor(req.installSession)}" />
+  <title>🦞 OpenClaw Installer on Render</title>
+  <meta name="description" content="OpenClaw — Your own personal AI assistant. Deploy on Render with installer and Control UI." />
+  <style>
+    :root {
+      --bg-deep: #050810;
+      --bg-surface: #0a0f1a;
+      --bg-elevated: #111827;
+      --coral-bright: #ff4d4d;
+      --cyan-bright: #00e5cc;
+      --text-primary: #f0f4ff;
+      --text-secondary: #8892b0;
+      --text-muted: #5a6480;
+      --border-subtle: rgba(136, 146, 176, 0.15);
+      --border-accent: rgba(255, 77, 77, 0.3);
+    }
+    body { font-family: ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial; margin: 2rem auto; max-width: 1100px; padding: 0 1.25rem; background: var(--bg-deep); color: var(--text-primary); }
+    .card { border: 1px solid var(--border-subtle); border-radius: 12px; padding: 1.25rem; margin: 1rem 0; background: rgba(10, 15, 26, 0.6); }
+    .brandbar { display:flex; align-items:center; justify-content: space-between; gap: 1rem; margin-bottom: 1rem; }
+    .brand { display:flex; align-items:center; gap: 0.75rem; text-decoration:none; color: inherit; }
+    .brand img { height: 32px; width: auto; display:block; }
+    .actions { margin-left: auto; display:flex; align-items:center; gap: 0.75rem; }
+    a.actionBtn { display:inline-flex; align-items:center; justify-content:center; padding: 0.6rem 0.9rem; border-radius: 999px; border: 1px solid var(--border-accent); background: var(--coral-bright); color: #fff; text-decoration:none; font-weight: 700; }
+    a.actionBtn:hover { background: #e63946; }
+    h1 { font-size: 1.75rem; margin-bottom: 0.25rem; }
+    .tagline { color: var(--coral-bright); font-size: 0.95rem; margin-bottom: 1.5rem; }
+    label { display:block; margin-top: 0.75rem; font-weight: 600; }
+    input, select { width: 100%; padding: 0.6rem; margin-top: 0.25rem; background: var(--bg-elevated); border: 1px solid var(--border-subtle); border-radius: 8px; color: var(--text-primary); }
+    input::placeholder { color: var(--text-muted); }
+    button { padding: 0.8rem 1.2rem; border-radius: 10px; border: 0; background: var(--coral-bright); color: #fff; font-weight: 700; cursor: pointer; }
+    button:hover { background: #e63946; }
+    code { background: var(--bg-elevated); padding: 0.1rem 0.3rem; border-radius: 6px; color: var(--cyan-bright); }
+    .muted { color: var(--text-muted); }
+    .row { display: flex; gap: 1rem; flex-wrap: wrap; }
+    .row > div { flex: 1; min-width: 280px; }
+    a { color: var(--cyan-bright); }
+    a:hover { color: var(--coral-bright); }
+    pre { background: var(--bg-elevated); padding: 1rem; border-radius: 8px; overflow-x: auto; color: var(--text-secondary); }
+    .toolbar { display:flex; align-items:center; gap: 0.5rem; flex-wrap: wrap; }
+    .toolbar select, .toolbar input { width: auto; margin-top: 0; }
+    button.small { padding: 0.4rem 0.8rem; font-size: 0.85rem; background: var(--bg-elevated); border: 1px solid var(--border-subtle); color: var(--cyan-bright); }
+    #gatewayLog { max-height: 420px; overflow-y: auto; white-space: pre-wrap; font-size: 0.8rem; }
+    .lvl-debug { color: var(--text-muted); }
+    .lvl-warn { color: #f5c542; }
+    .lvl-error { color: var(--coral-bright); }
+  </style>
+</head>
+<body data-role="${session.role}">
+  <div class="brandbar">
+    <a class="brand" href="https://render.com" target="_blank" rel="noreferrer">
+      ${RENDER_LOGO_URL ? `<img src="${RENDER_LOGO_URL}" alt="Render" />` : "<strong>Render</strong>"}
+    </a>
+    <div class="actions">
+      <a class="actionBtn" href="${RENDER_DEPLOY_URL}" target="_blank" rel="noreferrer">Deploy on Render</a>
+      <span class="muted">${escapeHtml(session.user ?? "setup password")} (${session.role})</span>
+      <a href="#" id="logout">Log out</a>
+    </div>
+  </div>
+  <h1>🦞 OpenClaw Installer</h1>
+  <p class="tagline">Your own personal AI assistant. Configure OpenClaw on Render.</p>
+
+  <div class="card">
+    <h2>Status</h2>
+    <div id="status">Loading...</div>
+    <div id="gatewayStatus" class="muted" style="margin-top: 0.5rem"></div>
+    <div style="margin-top: 0.75rem"${hiddenBelow("operator")}>
+      ${controlUiLink}
+      <span${hiddenBelow("admin")}>
+        &nbsp;|&nbsp;
+        <a href="/install/export" target="_blank">Download backup (.tar.gz)</a> (see Backups for an encrypted copy)
+      </span>
+      &nbsp;|&nbsp;
+      <a href="#" id="gatewayRestart">Restart gateway</a>
+      <span${hiddenBelow("admin")}>
+        &nbsp;|&nbsp;
+        <a href="#" id="tokenRotate">Rotate gateway token</a>
+      </span>
+    </div>
+  </div>
+
+  <div class="card"${hiddenBelow("admin")}>
+    <h2>1) Model/auth provider</h2>
+    <p class="muted">Pick how OpenClaw should authenticate to your model provider.</p>
+    <label>Provider group</label>
+    <select id="authGroup"></select>
+
+    <label>Auth method</label>
+    <select id="authChoice"></select>
+
+    <label>Key / Token (if required)</label>
+    <input id="authSecret" type="password" placeholder="Paste API key / token (not the gateway token)" />
+    <div class="muted" style="margin-top: 0.25rem">
+      If you pick a CLI/OAuth method and see “no credentials found”, switch to the API key option for your provider.
+    </div>
+
+    <label>Installer flow</label>
+    <select id="flow">
+      <option value="quickstart">quickstart</option>
+      <option value="advanced">advanced</option>
+      <option value="manual">manual</option>
+    </select>
+  </div>
+
+  <div class="card"${hiddenBelow("admin")}>
+    <h2>2) Optional: Channels</h2>
+    <p class="muted">You can add channels later from the Channels card. These are shortcuts if you want bots wired up immediately; only channels your OpenClaw build supports are shown.</p>
+    <p class="muted" style="margin-top: 0.5rem"><button type="button" id="channelHelpBtn" style="padding: 0.4rem 0.8rem; font-size: 0.85rem; background: var(--bg-elevated); border: 1px solid var(--border-subtle); border-radius: 6px; color: var(--cyan-bright); cursor: pointer;">Show channel add --help</button> (writes CLI help to log below)</p>
+    <div id="channelForms" class="row"></div>
+  </div>
+
+  <div class="card"${hiddenBelow("operator")}>
+    <h2>3) Run installer</h2>
+    <button id="run"${hiddenBelow("admin")}>Install / Configure</button>
+    <button id="doctorBtn" style="background:#0f172a; margin-left:0.5rem">Run doctor</button>
+    <button id="reset" style="background:#444; margin-left:0.5rem"${hiddenBelow("admin")}>Reset install</button>
+    <pre id="log" style="white-space:pre-wrap"></pre>
+    <p class="muted">
+      Reset archives the config file and stops the gateway so you can rerun onboarding; restore it below. Doctor runs migrations and config checks.
+    </p>
+
+    <div${hiddenBelow("admin")}>
+    <h3>Previous configs</h3>
+    <div class="toolbar">
+      <button type="button" class="small" id="archiveRefresh">Refresh</button>
+      <span class="muted" id="archiveState"></span>
+    </div>
+    <table id="archiveTable" style="width:100%; margin-top: 0.5rem; font-size: 0.85rem"></table>
+
+    <details style="margin-top: 1rem">
+      <summary>Factory reset</summary>
+      <p class="muted">Stops the gateway and removes the config (archived unless credentials are wiped). Wiping credentials also deletes archived and previous configs, pairing allowlists and provider auth profiles. This cannot be undone except from a backup.</p>
+      <label style="display:flex; align-items:center; gap:0.5rem">
+        <input type="checkbox" id="factoryWipeCredentials" style="width:auto; margin:0" />
+        Wipe credentials
+      </label>
+      <label style="display:flex; align-items:center; gap:0.5rem">
+        <input type="checkbox" id="factoryWipeWorkspace" style="width:auto; margin:0" />
+        Wipe workspace
+      </label>
+      <label for="factoryConfirm">Type <code>${FACTORY_RESET_CONFIRM}</code> to confirm</label>
+      <input id="factoryConfirm" autocomplete="off" />
+      <div style="margin-top: 0.75rem">
+        <button type="button" id="factoryReset" style="background:#7f1d1d">Factory reset</button>
+      </div>
+    </details>
+    </div>
+  </div>
+
+  <div class="card"${hiddenBelow("admin")}>
+    <h2>Configuration</h2>
+    <p class="muted">Edit <code>openclaw.json</code>. Secrets are shown as <code>********</code>; leave them as-is to keep the stored value. Changes are validated by the OpenClaw CLI and shown as a diff before saving.</p>
+    <div class="toolbar">
+      <button type="button" class="small" id="configLoad">Reload</button>
+      <button type="button" class="small" id="configReview">Review changes</button>
+      <button type="button" class="small" id="configUndo">Undo last save</button>
+      <span class="muted" id="configState"></span>
+    </div>
+    <textarea id="configEditor" spellcheck="false" style="width:100%; min-height: 320px; margin-top: 0.5rem; font-family: ui-monospace, SFMono-Regular, Menlo, monospace; font-size: 0.8rem; background: var(--bg-elevated); color: var(--text-primary); border: 1px solid var(--border-subtle); border-radius: 8px; padding: 0.6rem; box-sizing: border-box"></textarea>
+    <div id="configReviewPanel" style="display:none; margin-top: 0.5rem">
+      <pre id="configDiff" style="white-space:pre-wrap"></pre>
+      <div class="toolbar">
+        <button type="button" id="configSave">Save</button>
+        <button type="button" class="small" id="configDiscard">Keep editing</button>
+      </div>
+    </div>
+  </div>
+
+  <div class="card"${hiddenBelow("admin")}>
+    <h2>Channels</h2>
+    <p class="muted">Channels configured in <code>openclaw.json</code>. Add, edit, disable or remove them after install; secrets stay masked as <code>********</code>.</p>
+    <table id="channelTable" style="width:100%; font-size: 0.85rem"></table>
+    <div class="row" style="margin-top: 0.5rem">
+      <div>
+        <label for="channelName">Channel</label>
+        <select id="channelName"></select>
+      </div>
+      <div>
+        <label style="display:flex; align-items:center; gap:0.5rem; margin-top: 2rem">
+          <input type="checkbox" id="channelRestart" style="width:auto; margin:0" checked />
+          Restart the gateway after each change
+        </label>
+      </div>
+    </div>
+    <label for="channelConfig">Channel config (JSON)</label>
+    <textarea id="channelConfig" spellcheck="false" style="width:100%; min-height: 140px; margin-top: 0.25rem; font-family: ui-monospace, SFMono-Regular, Menlo, monospace; font-size: 0.8rem; background: var(--bg-elevated); color: var(--text-primary); border: 1px solid var(--border-subtle); border-radius: 8px; padding: 0.6rem; box-sizing: border-box"></textarea>
+    <div class="toolbar" style="margin-top: 0.5rem">
+      <button type="button" class="small" id="channelSave">Add channel</button>
+      <button type="button" class="small" id="channelNew">New</button>
+      <span class="muted" id="channelState"></span>
+    </div>
+  </div>
+
+  <div class="card"${hiddenBelow("operator")}>
+    <h2>Pairing requests</h2>
+    <p class="muted">With <code>dmPolicy: "pairing"</code>, unknown senders get a code and wait here until you approve them. Approved senders can be revoked.</p>
+    <div class="toolbar">
+      <button type="button" class="small" id="pairingRefresh">Refresh</button>
+      <span class="muted" id="pairingState"></span>
+    </div>
+    <h3>Pending</h3>
+    <table id="pairingPending" style="width:100%; font-size: 0.85rem"></table>
+    <div class="toolbar">
+      <button type="button" class="small" id="pairingReject">Reject selected</button>
+    </div>
+    <h3>Approved senders</h3>
+    <table id="pairingApproved" style="width:100%; font-size: 0.85rem"></table>
+    <div class="toolbar">
+      <button type="button" class="small" id="pairingRevoke">Revoke selected</button>
+      <span class="muted">Rejecting and revoking restart the gateway once per batch, briefly dropping open connections.</span>
+    </div>
+  </div>
+
+  <div class="card">
+    <h2>Gateway logs</h2>
+    <div class="toolbar">
+      <label style="margin-top:0" for="logLevel">Level</label>
+      <select id="logLevel">
+        <option value="debug">all</option>
+        <option value="info" selected>info+</option>
+        <option value="warn">warn+</option>
+        <option value="error">error</option>
+      </select>
+      <button type="button" class="small" id="logPause">Pause</button>
+      <button type="button" class="small" id="logClear">Clear view</button>
+      <span class="muted" id="logStreamState"></span>
+    </div>
+    <pre id="gatewayLog"></pre>
+  </div>
+
+  <div class="card"${hiddenBelow("admin")}>
+    <h2>Audit log</h2>
+    <p class="muted">Every change made through <code>/install</code> (installs, resets, imports, pairing, config and channel edits, exports) with time, client IP, parameters (secrets masked) and outcome.</p>
+    <div class="toolbar">
+      <input id="auditFilter" type="search" placeholder="Filter (action, IP, parameter)" style="width:auto; flex:1; margin-top:0" />
+      <select id="auditOutcome">
+        <option value="">all outcomes</option>
+        <option value="ok">ok</option>
+        <option value="failed">failed</option>
+        <option value="denied">denied</option>
+        <option value="aborted">aborted</option>
+      </select>
+      <button type="button" class="small" id="auditRefresh">Refresh</button>
+      <span class="muted" id="auditState"></span>
+    </div>
+    <table id="auditTable" style="width:100%; margin-top: 0.5rem; font-size: 0.85rem"></table>
+  </div>
+
+  <div class="card">
+    <h2>After install — more from OpenClaw</h2>
+    <p class="muted">Channels, skills, and config you can add after setup:</p>
+    <ul style="margin: 0.5rem 0; padding-left: 1.25rem; color: var(--text-secondary);">
+      <li><strong>Channels</strong> — WhatsApp, Google Chat, Signal, iMessage, MS Teams, Matrix, and more: use Control UI or <code>openclaw channels add --channel &lt;name&gt;</code>. <a href="https://docs.openclaw.ai/channels" target="_blank" rel="noreferrer">Channels docs</a></li>
+      <li><strong>More model providers</strong> — Cerebras, Groq, xAI, Mistral, etc. are supported via env vars (e.g. <code>CEREBRAS_API_KEY</code>, <code>GROQ_API_KEY</code>) or <code>models.providers</code> in config. Set them in Render Environment or after install. <a href="https://docs.openclaw.ai/concepts/model-providers" target="_blank" rel="noreferrer">Model providers</a></li>
+      <li><strong>Skills</strong> — Install from <a href="https://clawdhub.com" target="_blank" rel="noreferrer">ClawdHub</a> or via the Control UI.</li>
+      <li><strong>Doctor</strong> — Run <code>openclaw doctor</code> (or use the Run doctor button above) for migrations and config checks. <a href="https://docs.openclaw.ai/gateway/doctor" target="_blank" rel="noreferrer">Doctor docs</a></li>
+      <li><strong>Configuration</strong> — Full config reference: <a href="https://docs.openclaw.ai/gateway/configuration" target="_blank" rel="noreferrer">Configuration</a></li>
+    </ul>
+  </div>
+
+  <div class="card"${hiddenBelow("admin")}>
+    <h2>Backups</h2>
+    <p class="muted">Export a backup for migration, or import one to restore state + workspace on this service.</p>
+    <form method="post" action="/install/export" id="exportForm">
+      <input type="hidden" name="_csrf" value="${csrfTokenFor(req.installSession)}" />
+      <label>Export passphrase (optional)</label>
+      <input name="passphrase" type="password" autocomplete="new-password" minlength="${BACKUP_MIN_PASSPHRASE}" placeholder="Leave empty for a plain .tar.gz" />
+      <div class="muted" style="margin-top: 0.25rem">
+        Backups contain API keys, bot tokens and the gateway token. With a passphrase the download is encrypted (AES-256-GCM, scrypt); you need the same passphrase to import it.
+      </div>
+      <div style="margin-top: 0.75rem">
+        <button type="submit" style="background:#0f172a">Download backup</button>
+      </div>
+    </form>
+
+    <form id="importForm">
+      <label>Import backup (.tar.gz or encrypted .tar.gz.enc)</label>
+      <input id="importFile" type="file" accept=".tar.gz,.enc,application/gzip,application/x-gzip,application/octet-stream" />
+      <label>Backup passphrase (only for encrypted backups)</label>
+      <input id="importPassphrase" type="password" autocomplete="off" />
+      <div style="margin-top: 0.75rem">
+        <button type="submit" style="background:#0f172a">Import backup</button>
+      </div>
+      <p class="muted">Import only restores <code>.openclaw/</code> and <code>workspace/</code> into your Render disk mount.</p>
+    </form>
+
+    <div id="importPreview" style="display:none; margin-top: 0.75rem">
+      <pre id="importPreviewText" style="white-space:pre-wrap; max-height: 320px; overflow-y: auto"></pre>
+      <button type="button" id="importConfirm">Confirm import</button>
+      <button type="button" id="importCancel" style="background:#444; margin-left:0.5rem">Cancel</button>
+    </div>
+    <div class="toolbar" style="margin-top: 0.75rem">
+      <button type="button" class="small" id="importRollback">Roll back last import</button>
+      <span class="muted">Every import first saves a <code>pre-import</code> snapshot of the current state.</span>
+    </div>
+
+    <h3>Offsite (S3-compatible)</h3>
+    <div id="offsiteInfo" class="muted"></div>
+    <div class="toolbar" style="margin-top: 0.5rem">
+      <button type="button" class="small" id="offsiteUpload">Back up and upload now</button>
+      <button type="button" class="small" id="offsiteRefresh">Refresh</button>
+    </div>
+    <table id="offsiteTable" style="width:100%; margin-top: 0.5rem; font-size: 0.85rem"></table>
+
+    <h3>Snapshots on disk</h3>
+    <div id="backupInfo" class="muted"></div>
+    <div class="toolbar" style="margin-top: 0.5rem">
+      <button type="button" class="small" id="backupNow">Back up now</button>
+      <button type="button" class="small" id="backupRefresh">Refresh</button>
+    </div>
+    <table id="backupTable" style="width:100%; margin-top: 0.5rem; font-size: 0.85rem"></table>
+  </div>
+
+  <div class="card"${hiddenBelow("admin")}>
+    <h2>Users</h2>
+    <p class="muted">Accounts for the installer and the dashboard. <strong>viewer</strong>: status and gateway logs. <strong>operator</strong>: also the Control UI, pairing approval, doctor and gateway restarts. <strong>admin</strong>: everything, including these accounts. The setup password always logs in as admin.</p>
+    <div class="toolbar">
+      <button type="button" class="small" id="usersRefresh">Refresh</button>
+      <span class="muted" id="usersState"></span>
+    </div>
+    <table id="usersTable" style="width:100%; margin-top: 0.5rem; font-size: 0.85rem"></table>
+    <h3>Add user</h3>
+    <div class="row">
+      <div>
+        <label for="newUserName">Username</label>
+        <input id="newUserName" autocomplete="off" />
+      </div>
+      <div>
+        <label for="newUserPassword">Password</label>
+        <input id="newUserPassword" type="password" autocomplete="new-password" minlength="${USER_MIN_PASSWORD}" />
+      </div>
+      <div>
+        <label for="newUserRole">Role</label>
+        <select id="newUserRole">
+          ${ROLES.map((r) => `<option value="${r}"${r === "operator" ? " selected" : ""}>${r}</option>`).join("")}
+        </select>
+      </div>
+    </div>
+    <div style="margin-top: 0.75rem">
+      <button type="button" id="newUserAdd">Add user</button>
+    </div>
+  </div>
+
+  <div class="card"${session.user ? "" : " hidden"}>
+    <h2>Your account</h2>
+    <div class="row">
+      <div>
+        <label for="accountCurrentPassword">Current password</label>
+        <input id="accountCurrentPassword" type="password" autocomplete="current-password" />
+      </div>
+      <div>
+        <label for="accountNewPassword">New password</label>
+        <input id="accountNewPassword" type="password" autocomplete="new-password" minlength="${USER_MIN_PASSWORD}" />
+      </div>
+    </div>
+    <div class="toolbar" style="margin-top: 0.75rem">
+      <button type="button" class="small" id="accountPasswordSave">Change password</button>
+      <span class="muted" id="accountState"></span>
+    </div>
+  </div>
+
+  <script src="/install/app.js"></script>
+</body>
+</html>`);
+});
+
+app.get("/install/api/status", requireInstallAuth, async (_req, res) => {
+  const warnings = [];
+  const version = await runCmd(OPENCLAW_NODE, openclawArgs(["--version"]));
+
+  let openclawVersion = version.output.trim();
+  let openclawMissing = false;
+  if (version.code !== 0) {
+    openclawVersion = "";
+    openclawMissing = true;
+    warnings.push("Warning: openclaw CLI did not run successfully (this is expected outside the container build).");
+  }
+
+  const channelsHelpText = await getChannelsHelpText();
+
+  const authGroups = await getUpstreamAuthGroups();
+
+  res.json({
+    configured: isConfigured(),
+    gatewayTarget: GATEWAY_TARGET,
+    gateway: gatewayStatus(),
+    gatewayTokenRotatedAt: readTokenRotation()?.rotatedAt ?? null,
+    openclawVersion: openclawVersion,
+    openclawMissing: openclawMissing,
+    channelsAddHelp: channelsHelpText,
+    channelForms: await channelForms(),
+    authGroups,
+    warnings,
+  });
+});
+
+// `openclaw channels add --help` lists the channels the installed build can configure. The CLI only
+// changes on redeploy, so a successful probe is cached for the life of the process.
+let channelsHelpCache = null;
+
+async function getChannelsHelpText() {
+  if (channelsHelpCache !== null) return channelsHelpCache;
+  const r = await runCmd(OPENCLAW_NODE, openclawArgs(["channels", "add", "--help"]));
+  if (r.code === 0) channelsHelpCache = r.output || "";
+  return r.output || "";
+}
+
+async function channelSupport() {
+  const helpText = await getChannelsHelpText();
+  return (name) => helpText.includes(name);
+}
+
+// Channel names the CLI reports, taken from the longest `a|b|c` list in the help text (e.g.
+// `--channel <telegram|discord|...>`), plus any registry channel the help text mentions.
+async function reportedChannels() {
+  const helpText = await getChannelsHelpText();
+  const lists = helpText.match(/\b[a-z][a-z0-9-]*(?:\|[a-z][a-z0-9-]*){2,}/g) ?? [];
+  const longest = lists.sort((a, b) => b.length - a.length)[0];
+  const names = new Set(longest ? longest.split("|") : []);
+  for (const entry of CHANNEL_REGISTRY) {
+    if (helpText.includes(entry.name)) names.add(entry.name);
+  }
+  return [...names];
+}
+
+const DM_POLICY_OPTIONS = ["pairing", "allowlist", "open", "disabled"];
+const GROUP_POLICY_OPTIONS = ["allowlist", "open", "disabled"];
+
+// Channels the installer can set up. Each entry is declarative: `fields` drive the form on /install
+// and are written to `channels.<name>` at their `key` (a dot path) on top of `defaults`. A channel is
+// configured when any of its non-select fields is filled in. Select fields with an empty default are
+// left unset. `legacyKey` maps the flat payload fields older clients post to /install/api/run.
+const CHANNEL_REGISTRY = [
+  {
+    name: "telegram",
+    label: "Telegram",
+    help: "Get a token from BotFather: open Telegram, message @BotFather, run /newbot, then copy the token.",
+    defaults: { streamMode: "partial" },
+    fields: [
+      { key: "botToken", label: "Bot token", secret: true, required: true, placeholder: "123456:ABC...", legacyKey: "telegramToken" },
+      { key: "dmPolicy", label: "DM policy", options: DM_POLICY_OPTIONS, default: "pairing" },
+      { key: "groupPolicy", label: "Group policy", options: GROUP_POLICY_OPTIONS, default: "allowlist" },
+      { key: "webhookUrl", label: "Webhook URL (optional)", placeholder: "https://...", help: "Leave empty to use long polling." },
+      { key: "webhookSecret", label: "Webhook secret (optional)", secret: true },
+    ],
+  },
+  {
+    name: "discord",
+    label: "Discord",
+    help: "Discord Developer Portal → create app → add Bot → copy token. Enable MESSAGE CONTENT INTENT if required.",
+    fields: [
+      { key: "token", label: "Bot token", secret: true, required: true, legacyKey: "discordToken" },
+      { key: "dm.policy", label: "DM policy", options: DM_POLICY_OPTIONS, default: "pairing" },
+      { key: "groupPolicy", label: "Server channel policy", options: GROUP_POLICY_OPTIONS, default: "allowlist" },
+    ],
+  },
+  {
+    name: "slack",
+    label: "Slack",
+    help: "Socket Mode app: the bot token (xoxb-) and an app-level token (xapp-) with connections:write.",
+    fields: [
+      { key: "botToken", label: "Bot token", secret: true, placeholder: "xoxb-...", legacyKey: "slackBotToken" },
+      { key: "appToken", label: "App token", secret: true, placeholder: "xapp-...", legacyKey: "slackAppToken" },
+      { key: "dm.policy", label: "DM policy", options: ["", ...DM_POLICY_OPTIONS], default: "" },
+    ],
+  },
+  {
+    name: "whatsapp",
+    label: "WhatsApp",
+    help: "After install, link the phone by running 'openclaw channels login' (QR code) in the Render shell.",
+    fields: [
+      { key: "enabled", label: "Enable WhatsApp", type: "checkbox" },
+      { key: "dmPolicy", label: "DM policy", options: DM_POLICY_OPTIONS, default: "pairing" },
+    ],
+  },
+  {
+    name: "signal",
+    label: "Signal",
+    help: "Needs signal-cli with a registered number on the host.",
+    fields: [
+      { key: "account", label: "Signal number", required: true, placeholder: "+15551234567" },
+      { key: "dmPolicy", label: "DM policy", options: DM_POLICY_OPTIONS, default: "pairing" },
+    ],
+  },
+  {
+    name: "matrix",
+    label: "Matrix",
+    help: "A bot account on your homeserver and its access token.",
+    fields: [
+      { key: "homeserver", label: "Homeserver URL", required: true, placeholder: "https://matrix.org" },
+      { key: "userId", label: "User ID", required: true, placeholder: "@bot:matrix.org" },
+      { key: "accessToken", label: "Access token", secret: true, required: true },
+      { key: "dm.policy", label: "DM policy", options: DM_POLICY_OPTIONS, default: "pairing" },
+    ],
+  },
+  {
+    name: "msteams",
+    label: "Microsoft Teams",
+    help: "Azure Bot registration: app ID, client secret and tenant ID.",
+    fields: [
+      { key: "appId", label: "App ID", required: true },
+      { key: "appPassword", label: "App password (client secret)", secret: true, required: true },
+      { key: "tenantId", label: "Tenant ID", required: true },
+      { key: "dmPolicy", label: "DM policy", options: DM_POLICY_OPTIONS, default: "pairing" },
+    ],
+  },
+];
+
+function channelRegistryEntry(name) {
+  return CHANNEL_REGISTRY.find((entry) => entry.name === name) ?? null;
+}
+
+// Form values for one registry channel from a /install/api/run payload:
+// `payload.channels[name][key]`, falling back to the legacy flat fields.
+function channelFormValues(entry, payload) {
+  const values = isPlainObject(payload.channels?.[entry.name]) ? payload.channels[entry.name] : {};
+  const out = {};
+  for (const field of entry.fields) {
+    let v = values[field.key] ?? (field.legacyKey ? payload[field.legacyKey] : undefined);
+    if (typeof v === "string") v = v.trim();
+    out[field.key] = v;
+  }
+  return out;
+}
+
+function channelRequested(entry, values) {
+  return entry.fields.some((field) => !field.options && (field.type === "checkbox" ? values[field.key] === true : Boolean(values[field.key])));
+}
+
+// Returns { config, missing } for the `channels.<name>` block.
+function buildChannelConfig(entry, values) {
+  const config = { enabled: true, ...structuredClone(entry.defaults ?? {}) };
+  const missing = [];
+  for (const field of entry.fields) {
+    if (field.type === "checkbox") continue;
+    const v = values[field.key] || field.default;
+    if (!v) {
+      if (field.required) missing.push(field.label);
+      continue;
+    }
+    const keys = field.key.split(".");
+    let cur = config;
+    for (const k of keys.slice(0, -1)) cur = cur[k] = isPlainObject(cur[k]) ? cur[k] : {};
+    cur[keys.at(-1)] = v;
+  }
+  return { config, missing };
+}
+
+// Registry entries for the channels this build reports, without anything server-only.
+async function channelForms() {
+  const reported = await reportedChannels();
+  return CHANNEL_REGISTRY.filter((entry) => reported.includes(entry.name)).map(({ name, label, help, fields }) => ({
+    name,
+    label,
+    help,
+    fields: fields.map(({ legacyKey: _legacyKey, ...field }) => field),
+  }));
+}
+
+// Runs onboarding + post-onboarding config as a sequence of named steps.
+// `emit` receives progress events:
+//   { type: "step", id, label, status: "running" | "ok" | "failed" | "skipped", code? }
+//   { type: "output", step, text }
+// Returns { ok }.
+async function runInstall(payload, emit) {
+  const step = async (id, label, fn) => {
+    emit({ type: "step", id, label, status: "running" });
+    const write = (text) => emit({ type: "output", step: id, text });
+    try {
+      const r = await fn(write);
+      const status = r?.skipped ? "skipped" : r?.ok ? "ok" : "failed";
+      emit({ type: "step", id, label, status, code: r?.code ?? null });
+      return r;
+    } catch (err) {
+      emit({ type: "step", id, label, status: "failed", code: null });
+      throw err;
+    }
+  };
+  const cmd = async (args, write) => {
+    const r = await runCmd(OPENCLAW_NODE, openclawArgs(args), { onOutput: write });
+    return { ok: r.code === 0, code: r.code, output: r.output };
+  };
+
+  const submitted = [payload.authSecret];
+  for (const entry of CHANNEL_REGISTRY) {
+    const values = channelFormValues(entry, payload);
+    for (const f of entry.fields) if (f.secret) submitted.push(values[f.key]);
+  }
+  replaceSecrets("onboard", submitted);
+
+  fs.mkdirSync(STATE_DIR, { recursive: true });
+  fs.mkdirSync(WORKSPACE_DIR, { recursive: true });
+
+  const onboard = await step("onboard", "Run openclaw onboard", (write) => cmd(buildOnboardArgs(payload), write));
+  const ok = onboard.ok && isConfigured();
+  if (!ok) return { ok: false };
+
+  // Ensure gateway token is written into config so the browser UI can authenticate reliably.
+  // (We also enforce loopback bind since the wrapper proxies externally.)
+  // Newer Moltbot builds may refuse to start unless gateway.mode is explicit.
+  await step("gateway-config", "Configure gateway", async (write) => {
+    const settings = [
+      ["gateway.mode", "local"],
+      ["gateway.auth.mode", "token"],
+      ["gateway.auth.token", gatewayToken],
+      ["gateway.bind", "loopback"],
+      ["gateway.port", String(INTERNAL_GATEWAY_PORT)],
+      ["gateway.controlUi.basePath", "/openclaw"],
+    ];
+    let last = { ok: true, code: 0 };
+    for (const [key, value] of settings) {
+      const r = await cmd(["config", "set", key, value], write);
+      write(`[config set ${key}] exit=${r.code}\n`);
+      if (!r.ok) last = r;
+    }
+    return last;
+  });
+
+  // Optional channel setup (only after successful onboarding, and only if the installed CLI supports it).
+  const supports = await channelSupport();
+
+  const configureChannel = (name, cfgObj) =>
+    step(`channel:${name}`, `Configure ${name}`, async (write) => {
+      if (!supports(name)) {
+        write(`[${name}] skipped (this openclaw build does not list ${name} in \`channels add --help\`)\n`);
+        return { skipped: true };
+      }
+      write(`[${name} config]\n`);
+      const set = await cmd(["config", "set", "--json", `channels.${name}`, JSON.stringify(cfgObj)], write);
+      write(`[${name} config] exit=${set.code}\n[${name} verify]\n`);
+      const get = await cmd(["config", "get", `channels.${name}`], write);
+      write(`[${name} verify] exit=${get.code}\n`);
+      return set;
+    });
+
+  for (const entry of CHANNEL_REGISTRY) {
+    const values = channelFormValues(entry, payload);
+    if (!channelRequested(entry, values)) continue;
+    const { config, missing } = buildChannelConfig(entry, values);
+    if (missing.length) {
+      await step(`channel:${entry.name}`, `Configure ${entry.name}`, async (write) => {
+        write(`[${entry.name}] missing ${missing.join(", ")}\n`);
+        return { ok: false, code: null };
+      });
+      continue;
+    }
+    await configureChannel(entry.name, config);
+  }
+
+  await step("gateway-restart", "Restart gateway", async (write) => {
+    await restartGateway();
+    write(`Gateway ${gatewayStatus().state}.\n`);
+    return { ok: true, code: 0 };
+  });
+
+  return { ok };
+}
+
+// Clients that send `Accept: application/x-ndjson` get progress streamed as newline-delimited JSON
+// (one runInstall() event per line, then a final { type: "done", ok }). Everyone else gets the
+// combined output as a single JSON response once everything has finished.
+app.post("/install/api/run", requireInstallAuth, async (req, res) => {
+  const streaming = String(req.headers.accept || "").includes("application/x-ndjson");
+  let output = "";
+  const emit = (event) => {
+    if (event.type === "output") {
+      event.text = redactSecrets(event.text);
+      output += event.text;
+    }
+    if (!streaming || res.writableEnded || res.destroyed) return;
+    res.write(JSON.stringify(event) + "\n");
+  };
+  const finish = (status, body) => {
+    if (!streaming) return res.status(status).json(body);
+    emit({ type: "done", ok: body.ok });
+    return res.end();
+  };
+
+  if (streaming) {
+    res.status(200);
+    res.set({ "content-type": "application/x-ndjson; charset=utf-8", "cache-control": "no-cache", "x-accel-buffering": "no" });
+    res.flushHeaders();
+  }
+
+  try {
+    if (isConfigured()) {
+      await ensureGatewayRunning();
+      emit({ type: "output", step: null, text: "Already installed.\nUse Reset install if you want to rerun onboarding.\n" });
+      return finish(200, { ok: true, output });
+    }
+
+    const { ok } = await runInstall(req.body || {}, emit);
+    return finish(ok ? 200 : 500, { ok, output });
+  } catch (err) {
+    log.error("install", "setup run failed", err);
+    emit({ type: "output", step: null, text: `Internal error: ${String(err)}\n` });
+    return finish(500, { ok: false, output });
+  }
+});
+
+app.post("/install/api/doctor", requireInstallAuth, async (_req, res) => {
+  if (!isConfigured()) {
+    return res.status(400).json({ ok: false, output: "Not installed. Run the installer first." });
+  }
+  const r = await runCmd(OPENCLAW_NODE, openclawArgs(["doctor", "--non-interactive"]));
+  return res.status(r.code === 0 ? 200 : 200).json({ ok: r.code === 0, output: r.output || "" });
+});
+
+// Config editor: /install edits openclaw.json as JSON with secrets masked. Changes are applied with
+// `openclaw config set/unset` against a scratch copy first, so the CLI's own schema validation runs
+// before the live file is touched. The replaced file is kept in CONFIG_HISTORY_DIR for undo.
+const CONFIG_HISTORY_DIR = path.join(STATE_DIR, "config-history");
+const CONFIG_HISTORY_KEEP = Number.parseInt(process.env.CONFIG_HISTORY_KEEP ?? "10", 10);
+const CONFIG_SECRET_MASK = "********";
+const CONFIG_SECRET_KEY_RE = /(token|secret|password|passphrase|api_?key|private_?key|credentials?)$/i;
+// Keys the wrapper owns; editing them would break the proxy or the Control UI login.
+const CONFIG_MANAGED_KEYS = {
+  "gateway.mode": "managed by the wrapper",
+  "gateway.bind": "managed by the wrapper (the gateway must stay on loopback behind the proxy)",
+  "gateway.port": "managed by the wrapper (INTERNAL_GATEWAY_PORT)",
+  "gateway.auth.mode": "managed by the wrapper",
+  "gateway.auth.token": "use Rotate gateway token instead",
+  "gateway.controlUi.basePath": "managed by the wrapper (/openclaw)",
+};
+// Top-level sections the running gateway picks up without a restart. Changes anywhere else restart it.
+const CONFIG_LIVE_SECTIONS = ["agents", "messages", "session", "tools", "skills", "commands", "ui", "meta", "wizard"];
+
+let configSaving = false;
+
+function isPlainObject(v) {
+  return Boolean(v) && typeof v === "object" && !Array.isArray(v);
+}
+
+function getConfigValue(obj, keyPath) {
+  return keyPath.split(".").reduce((cur, k) => (isPlainObject(cur) && Object.hasOwn(cur, k) ? cur[k] : undefined), obj);
+}
+
+function maskConfigSecrets(value, key = "") {
+  if (typeof value === "string") return value && CONFIG_SECRET_KEY_RE.test(key) ? CONFIG_SECRET_MASK : value;
+  if (Array.isArray(value)) return value.map((v) => maskConfigSecrets(v, key));
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, maskConfigSecrets(v, k)]));
+  }
+  return value;
+}
+
+// Every secret-looking config value, for the redaction layer.
+function collectConfigSecrets(value, key = "", out = []) {
+  if (typeof value === "string") {
+    if (CONFIG_SECRET_KEY_RE.test(key)) out.push(value);
+  } else if (Array.isArray(value)) {
+    for (const v of value) collectConfigSecrets(v, key, out);
+  } else if (isPlainObject(value)) {
+    for (const [k, v] of Object.entries(value)) collectConfigSecrets(v, k, out);
+  }
+  return out;
+}
+
+// Puts the stored secret back wherever the editor left the mask untouched.
+function unmaskConfigSecrets(edited, original, keyPath = "") {
+  if (edited === CONFIG_SECRET_MASK) {
+    if (typeof original !== "string") throw httpError(400, `${keyPath} is masked but has no stored value; enter the real value`);
+    return original;
+  }
+  if (Array.isArray(edited)) {
+    return edited.map((v, i) => unmaskConfigSecrets(v, Array.isArray(original) ? original[i] : undefined, `${keyPath}[${i}]`));
+  }
+  if (isPlainObject(edited)) {
+    return Object.fromEntries(
+      Object.entries(edited).map(([k, v]) => [
+        k,
+        unmaskConfigSecrets(v, isPlainObject(original) ? original[k] : undefined, keyPath ? `${keyPath}.${k}` : k),
+      ]),
+    );
+  }
+  return edited;
+}
+
+// Leaf-level changes between two configs. Arrays are compared (and set) as a whole.
+function diffConfig(before, after, prefix = "", out = []) {
+  if (isPlainObject(before) && isPlainObject(after)) {
+    for (const k of new Set([...Object.keys(before), ...Object.keys(after)])) {
+      const p = prefix ? `${prefix}.${k}` : k;
+      if (!Object.hasOwn(after, k)) out.push({ path: p, op: "remove" });
+      else if (!Object.hasOwn(before, k)) out.push({ path: p, op: "add" });
+      else diffConfig(before[k], after[k], p, out);
+    }
+  } else if (JSON.stringify(before) !== JSON.stringify(after)) {
+    out.push({ path: prefix, op: "change" });
+  }
+  return out;
+}
+
+function describeConfigChanges(changes, before, after) {
+  return changes.map((c) => {
+    const key = c.path.split(".").at(-1);
+    return {
+      ...c,
+      before: maskConfigSecrets(getConfigValue(before, c.path), key),
+      after: maskConfigSecrets(getConfigValue(after, c.path), key),
+    };
+  });
+}
+
+function configNeedsRestart(changes) {
+  return changes.some((c) => !CONFIG_LIVE_SECTIONS.includes(c.path.split(".")[0]));
+}
+
+function readConfigFile() {
+  const file = configPath();
+  if (!fs.existsSync(file)) throw httpError(400, "Not installed. Run the installer first.");
+  const raw = fs.readFileSync(file, "utf8");
+  const hash = crypto.createHash("sha256").update(raw).digest("hex");
+  try {
+    const config = JSON.parse(raw);
+    if (!isPlainObject(config)) throw new Error("top level is not an object");
+    replaceSecrets("config", collectConfigSecrets(config));
+    return { file, raw, hash, config };
+  } catch (err) {
+    throw httpError(422, `${file} is not plain JSON (${String(err.message ?? err)}); edit it with openclaw config set instead`);
+  }
+}
+
+function validateConfigEdit(before, after, changes) {
+  if (!isPlainObject(after)) throw httpError(400, "Config must be a JSON object");
+  const errors = [];
+  for (const c of changes) {
+    if (c.path.split(".").some((k) => !k || k.includes("[") || k.includes("]"))) {
+      errors.push(`${c.path}: keys with dots or brackets can't be edited here`);
+    }
+  }
+  for (const [key, why] of Object.entries(CONFIG_MANAGED_KEYS)) {
+    if (JSON.stringify(getConfigValue(before, key)) !== JSON.stringify(getConfigValue(after, key))) {
+      errors.push(`${key}: ${why}`);
+    }
+  }
+  if (errors.length) throw Object.assign(httpError(400, "Invalid config edit"), { errors });
+}
+
+// Applies the changes to a scratch copy of the config with the CLI (which validates each value) and
+// returns the scratch path. The caller either renames it over the live file or deletes it.
+async function applyConfigChanges(after, changes) {
+  const scratch = `${configPath()}.edit-${crypto.randomBytes(6).toString("hex")}`;
+  fs.copyFileSync(configPath(), scratch);
+  const env = { OPENCLAW_CONFIG_PATH: scratch, MOLTBOT_CONFIG_PATH: scratch };
+  for (const c of changes) {
+    const args =
+      c.op === "remove"
+        ? ["config", "unset", c.path]
+        : ["config", "set", "--json", c.path, JSON.stringify(getConfigValue(after, c.path))];
+    const r = await runCmd(OPENCLAW_NODE, openclawArgs(args), { env });
+    if (r.code !== 0) {
+      fs.rmSync(scratch, { force: true });
+      throw Object.assign(httpError(400, "Invalid config edit"), {
+        errors: [`${c.path}: openclaw config ${args[1]} failed (exit ${r.code})`],
+        output: r.output,
+      });
+    }
+  }
+  return scratch;
+}
+
+function listConfigHistory() {
+  let names = [];
+  try {
+    names = fs.readdirSync(CONFIG_HISTORY_DIR).filter((n) => /^openclaw-\d{8}T\d{9}Z\.json$/.test(n));
+  } catch {
+    return [];
+  }
+  return names
+    .sort()
+    .reverse()
+    .map((id) => ({ id, savedAt: parseBackupTimestamp(id.slice(9, -5))?.toISOString() ?? null }));
+}
+
+function pushConfigHistory(file) {
+  fs.mkdirSync(CONFIG_HISTORY_DIR, { recursive: true, mode: 0o700 });
+  const id = `openclaw-${backupTimestamp()}.json`;
+  fs.copyFileSync(file, path.join(CONFIG_HISTORY_DIR, id));
+  fs.chmodSync(path.join(CONFIG_HISTORY_DIR, id), 0o600);
+  for (const old of listConfigHistory().slice(Math.max(CONFIG_HISTORY_KEEP, 1))) {
+    fs.rmSync(path.join(CONFIG_HISTORY_DIR, old.id), { force: true });
+  }
+  return id;
+}
+
+function sendConfigError(res, err) {
+  if (!err.status) log.error("config", "request failed", err);
+  return res.status(err.status ?? 500).json({
+    ok: false,
+    output: String(err.message ?? err),
+    errors: err.errors,
+    details: err.output,
+  });
+}
+
+app.get("/install/api/config", requireInstallAuth, (_req, res) => {
+  try {
+    const { file, hash, config } = readConfigFile();
+    return res.json({
+      ok: true,
+      path: file,
+      hash,
+      config: maskConfigSecrets(config),
+      mask: CONFIG_SECRET_MASK,
+      managedKeys: Object.keys(CONFIG_MANAGED_KEYS),
+      history: listConfigHistory(),
+    });
+  } catch (err) {
+    return sendConfigError(res, err);
+  }
+});
+
+// Shared save path for the config editor and the channel API. `edit(before)` returns the new config;
+// the result is validated on a scratch copy, the old file goes to the history, and the gateway is
+// restarted when the changes need it (unless `restart: false`).
+async function saveConfigEdit(edit, { baseHash, dryRun = false, restart = true } = {}) {
+  if (configSaving) throw httpError(409, "Another config save is in progress.");
+  configSaving = true;
+  try {
+    const { file, hash, config: before } = readConfigFile();
+    if (baseHash && baseHash !== hash) {
+      throw httpError(409, "openclaw.json changed since it was loaded. Reload the editor and try again.");
+    }
+    const after = edit(structuredClone(before));
+    if (!isPlainObject(after)) throw httpError(400, "Config must be a JSON object");
+    // Both sides can show up in the diff and command output until the next read replaces them.
+    replaceSecrets("config", [...collectConfigSecrets(before), ...collectConfigSecrets(after)]);
+    const changes = diffConfig(before, after);
+    const restartRequired = configNeedsRestart(changes);
+    const described = describeConfigChanges(changes, before, after);
+    if (!changes.length) return { dryRun, changes: [], restartRequired: false, restarted: false, hash };
+
+    validateConfigEdit(before, after, changes);
+    const scratch = await applyConfigChanges(after, changes);
+    if (dryRun) {
+      fs.rmSync(scratch, { force: true });
+      return { dryRun, changes: described, restartRequired, restarted: false, hash };
+    }
+
+    const historyId = pushConfigHistory(file);
+    fs.renameSync(scratch, file);
+    log.info("config", `saved ${changes.length} change(s): ${changes.map((c) => c.path).join(", ")}`);
+    const restarted = restartRequired && restart;
+    if (restarted) await restartGateway();
+    return { dryRun, changes: described, restartRequired, restarted, historyId, hash: readConfigFile().hash };
+  } finally {
+    configSaving = false;
+  }
+}
+
+// Body: { config, baseHash, dryRun }. A dry run validates and returns the diff without saving.
+app.put("/install/api/config", requireInstallAuth, async (req, res) => {
+  const { config, baseHash, dryRun } = req.body || {};
+  try {
+    if (!isPlainObject(config)) throw httpError(400, "Config must be a JSON object");
+    const result = await saveConfigEdit((before) => unmaskConfigSecrets(config, before), {
+      baseHash,
+      dryRun: Boolean(dryRun),
+    });
+    return res.json({ ok: true, ...result });
+  } catch (err) {
+    return sendConfigError(res, err);
+  }
+});
+
+// Restores the most recent saved version and drops it from the history (repeat to go further back).
+app.post("/install/api/config/undo", requireInstallAuth, async (_req, res) => {
+  if (configSaving) return res.status(409).json({ ok: false, output: "Another config save is in progress." });
+  configSaving = true;
+  try {
+    const { file, config: current } = readConfigFile();
+    const latest = listConfigHistory()[0];
+    if (!latest) throw httpError(404, "No previous config version to restore.");
+    const saved = path.join(CONFIG_HISTORY_DIR, latest.id);
+    const previous = JSON.parse(fs.readFileSync(saved, "utf8"));
+    const changes = diffConfig(current, previous);
+    const restartRequired = configNeedsRestart(changes);
+
+    const tmp = `${file}.undo-${crypto.randomBytes(6).toString("hex")}`;
+    fs.copyFileSync(saved, tmp);
+    fs.renameSync(tmp, file);
+    fs.rmSync(saved, { force: true });
+    log.info("config", `restored ${latest.id}`);
+    if (restartRequired) await restartGateway();
+    return res.json({
+      ok: true,
+      restored: latest.id,
+      changes: describeConfigChanges(changes, current, previous),
+      restartRequired,
+      restarted: restartRequired,
+      hash: readConfigFile().hash,
+    });
+  } catch (err) {
+    return sendConfigError(res, err);
+  } finally {
+    configSaving = false;
+  }
+});
+
+// Channel management after install. Edits go through saveConfigEdit(), so they are validated by the
+// CLI, land in the config history (undo) and restart the gateway unless `restart: false` is sent.
+const CHANNEL_NAME_RE = /^[a-z][a-z0-9-]{0,31}$/;
+
+function channelName(raw) {
+  const name = String(raw ?? "").trim().toLowerCase();
+  if (!CHANNEL_NAME_RE.test(name)) throw httpError(400, "Invalid channel name");
+  return name;
+}
+
+function configuredChannel(config, name) {
+  const cfg = isPlainObject(config.channels) ? config.channels[name] : undefined;
+  if (!isPlainObject(cfg)) throw httpError(404, `Channel ${name} is not configured`);
+  return cfg;
+}
+
+app.get("/install/api/channels", requireInstallAuth, async (_req, res) => {
+  try {
+    const { config, hash } = readConfigFile();
+    const supports = await channelSupport();
+    const channels = Object.entries(isPlainObject(config.channels) ? config.channels : {})
+      .filter(([, cfg]) => isPlainObject(cfg))
+      .map(([name, cfg]) => ({ name, enabled: cfg.enabled !== false, supported: supports(name), config: maskConfigSecrets(cfg) }));
+    return res.json({
+      ok: true,
+      hash,
+      channels,
+      available: (await reportedChannels()).filter((name) => !channels.some((c) => c.name === name)),
+      forms: await channelForms(),
+    });
+  } catch (err) {
+    return sendConfigError(res, err);
+  }
+});
+
+// Body: { name, config, restart }. The channel is enabled unless the config says otherwise.
+app.post("/install/api/channels", requireInstallAuth, async (req, res) => {
+  try {
+    const name = channelName(req.body?.name);
+    const cfg = req.body?.config ?? {};
+    if (!isPlainObject(cfg)) throw httpError(400, "Channel config must be a JSON object");
+    if (!(await channelSupport())(name)) {
+      throw httpError(400, `This openclaw build does not list ${name} in \`channels add --help\``);
+    }
+    const result = await saveConfigEdit(
+      (config) => {
+        if (isPlainObject(config.channels?.[name])) throw httpError(409, `Channel ${name} is already configured`);
+        config.channels = { ...(isPlainObject(config.channels) ? config.channels : {}), [name]: { enabled: true, ...cfg } };
+        return config;
+      },
+      { restart: req.body?.restart !== false },
+    );
+    return res.json({ ok: true, name, ...result });
+  } catch (err) {
+    return sendConfigError(res, err);
+  }
+});
+
+// Body: { config?, enabled?, restart }. `config` replaces the channel block; masked secrets keep
+// their stored values. `enabled` alone toggles the channel.
+app.put("/install/api/channels/:name", requireInstallAuth, async (req, res) => {
+  try {
+    const name = channelName(req.params.name);
+    const { config: cfg, enabled } = req.body || {};
+    if (cfg !== undefined && !isPlainObject(cfg)) throw httpError(400, "Channel config must be a JSON object");
+    if (enabled !== undefined && typeof enabled !== "boolean") throw httpError(400, "enabled must be true or false");
+    const result = await saveConfigEdit(
+      (config) => {
+        const current = configuredChannel(config, name);
+        let next = cfg ? unmaskConfigSecrets(cfg, current, `channels.${name}`) : current;
+        if (enabled !== undefined) next = { ...next, enabled };
+        config.channels[name] = next;
+        return config;
+      },
+      { restart: req.body?.restart !== false },
+    );
+    return res.json({ ok: true, name, ...result });
+  } catch (err) {
+    return sendConfigError(res, err);
+  }
+});
+
+app.delete("/install/api/channels/:name", requireInstallAuth, async (req, res) => {
+  try {
+    const name = channelName(req.params.name);
+    const result = await saveConfigEdit(
+      (config) => {
+        configuredChannel(config, name);
+        delete config.channels[name];
+        return config;
+      },
+      { restart: req.query.restart !== "0" },
+    );
+    return res.json({ ok: true, name, ...result });
+  } catch (err) {
+    return sendConfigError(res, err);
+  }
+});
+
+app.get("/install/api/audit", requireInstallAuth, (req, res) => {
+  const { q, outcome, since, limit } = req.query;
+  res.json({ ok: true, file: AUDIT_LOG_FILE, entries: queryAuditEntries({ q, outcome, since, limit }) });
+});
+
+app.get("/install/api/logs", requireInstallAuth, (req, res) => {
+  const entries = queryGatewayLogs({
+    tail: req.query.tail ?? "200",
+    since: req.query.since,
+    level: req.query.level,
+  });
+  res.json({ entries, lastSeq: gatewayLogs.seq, capacity: GATEWAY_LOG_LINES, file: GATEWAY_LOG_FILE });
+});
+
+// Open SSE responses; they never finish on their own, so shutdown ends them instead of waiting.
+const openEventStreams = new Set();
+
+app.get("/install/api/logs/stream", requireInstallAuth, (req, res) => {
+  res.writeHead(200, {
+    "content-type": "text/event-stream",
+    "cache-control": "no-cache, no-transform",
+    connection: "keep-alive",
+    // Disable response buffering in nginx-style proxies.
+    "x-accel-buffering": "no",
+  });
+
+  const send = (entry) => res.write(`id: ${entry.seq}\ndata: ${JSON.stringify(entry)}\n\n`);
+
+  // EventSource reconnects send Last-Event-ID; resume from there instead of replaying the tail.
+  const lastEventId = req.headers["last-event-id"];
+  const backlog = queryGatewayLogs(
+    lastEventId ? { since: lastEventId } : { tail: req.query.tail ?? "200", since: req.query.since },
+  );
+  for (const e of backlog) send(e);
+
+  gatewayLogs.subscribers.add(send);
+  const end = () => res.end();
+  openEventStreams.add(end);
+  const heartbeat = setInterval(() => res.write(": keepalive\n\n"), 15000);
+  heartbeat.unref?.();
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    gatewayLogs.subscribers.delete(send);
+    openEventStreams.delete(end);
+  });
+});
+
+app.post("/install/api/gateway/restart", requireInstallAuth, async (_req, res) => {
+  if (!isConfigured()) {
+    return res.status(400).json({ ok: false, output: "Not installed. Run the installer first." });
+  }
+  try {
+    await restartGateway();
+    return res.json({ ok: true, gateway: gatewayStatus() });
+  } catch (err) {
+    return res.status(500).json({ ok: false, output: String(err), gateway: gatewayStatus() });
+  }
+});
+
+app.post("/install/api/token/rotate", requireInstallAuth, async (req, res) => {
+  const graceSeconds = Number(req.body?.graceSeconds ?? 0);
+  const graceMs = Number.isFinite(graceSeconds) ? Math.min(Math.max(0, graceSeconds * 1000), TOKEN_ROTATE_MAX_GRACE_MS) : 0;
+  const newToken = crypto.randomBytes(32).toString("hex");
+  registerSecret(newToken);
+
+  // Update the gateway config first so a failure leaves the current token untouched.
+  if (isConfigured()) {
+    const set = await runCmd(OPENCLAW_NODE, openclawArgs(["config", "set", "gateway.auth.token", newToken]));
+    if (set.code !== 0) {
+      return res.status(500).json({ ok: false, output: `config set gateway.auth.token failed (exit ${set.code})\n${set.output}` });
+    }
+  }
+
+  const rotatedAt = new Date().toISOString();
+  try {
+    fs.mkdirSync(STATE_DIR, { recursive: true });
+    fs.writeFileSync(GATEWAY_TOKEN_PATH, newToken, { encoding: "utf8", mode: 0o600 });
+    fs.writeFileSync(GATEWAY_TOKEN_ROTATED_PATH, JSON.stringify({ rotatedAt }), { encoding: "utf8", mode: 0o600 });
+  } catch (err) {
+    return res.status(500).json({ ok: false, output: `Failed to persist new token: ${String(err)}` });
+  }
+
+  previousGatewayToken = graceMs > 0 ? gatewayToken : null;
+  previousGatewayTokenValidUntil = graceMs > 0 ? Date.now() + graceMs : 0;
+  gatewayToken = newToken;
+  process.env.OPENCLAW_GATEWAY_TOKEN = newToken;
+  process.env.GATEWAY_TOKEN = newToken;
+  log.info("wrapper", `gateway token rotated${graceMs ? ` (old token accepted for ${graceMs}ms)` : ""}`);
+
+  // Existing Control UI sessions authenticated with the old token; make them reconnect.
+  for (const bridge of activeWsBridges) bridge.close(1012, "Gateway token rotated");
+
+  let output = "";
+  if (isConfigured()) {
+    try {
+      await restartGateway();
+    } catch (err) {
+      output = `Token rotated, but the gateway failed to restart: ${String(err)}`;
+    }
+  }
+
+  return res.json({
+    ok: true,
+    rotatedAt,
+    graceUntil: graceMs ? new Date(previousGatewayTokenValidUntil).toISOString() : null,
+    dashboardUrl: dashboardUrl(),
+    // The rotated token now overrides RENDER_GATEWAY_TOKEN; update the env var to match if you rely on it.
+    envTokenOverridden: Boolean(ENV_GATEWAY_TOKEN),
+    output,
+  });
+});
+
+// Pairing inbox. Pending requests come from `openclaw pairing list <channel> --json` and approval goes
+// through `openclaw pairing approve`. The CLI has no reject or revoke command, so those edit the
+// pairing store under $OPENCLAW_STATE_DIR/credentials directly (the same files the CLI reads):
+// `<channel>-pairing.json` holds pending requests, `<channel>-allowFrom.json` approved senders.
+const PAIRING_DIR = path.join(STATE_DIR, "credentials");
+const PAIRING_CODE_RE = /^[A-Za-z0-9]{4,16}$/;
+
+function pairingStorePath(channel, kind) {
+  return path.join(PAIRING_DIR, `${channel}-${kind}.json`);
+}
+
+function readPairingStore(channel, kind) {
+  try {
+    const data = JSON.parse(fs.readFileSync(pairingStorePath(channel, kind), "utf8"));
+    return isPlainObject(data) ? data : {};
+  } catch {
+    return {};
+  }
+}
+
+function writePairingStore(channel, kind, data) {
+  const file = pairingStorePath(channel, kind);
+  const tmp = `${file}.${crypto.randomBytes(6).toString("hex")}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2) + "\n", { mode: 0o600 });
+  fs.renameSync(tmp, file);
+}
+
+// The CLI has no reject/revoke command yet, so these edit the gateway's own store. The gateway keeps
+// the allowlist in memory and rewrites the files itself: stop it for the edit so none of its writes
+// interleave with ours, then start it again so it reloads the store. That restart drops every
+// dashboard and channel connection, so edits are batched: `edits` ([{ channel, kind, apply(store) }])
+// all land under a single stop/start.
+async function editPairingStores(edits) {
+  const applyAll = () => {
+    const stores = new Map();
+    for (const { channel, kind, apply } of edits) {
+      const key = `${channel}:${kind}`;
+      const current = stores.get(key) ?? { channel, kind, store: readPairingStore(channel, kind) };
+      stores.set(key, { ...current, store: apply(current.store) });
+    }
+    return [...stores.values()];
+  };
+  // Validate against the current stores first so a 404 doesn't cost a gateway restart.
+  applyAll();
+  const wasRunning = Boolean(gatewayProc || gatewayStarting);
+  await stopGateway();
+  try {
+    for (const { channel, kind, store } of applyAll()) writePairingStore(channel, kind, store);
+  } finally {
+    if (wasRunning) await restartGateway();
+  }
+}
+
+// Channels to show in the inbox: everything configured, plus anything that already has a store.
+function pairingChannels() {
+  const names = new Set();
+  try {
+    const channels = JSON.parse(fs.readFileSync(configPath(), "utf8")).channels;
+    if (isPlainObject(channels)) for (const name of Object.keys(channels)) names.add(name);
+  } catch {
+    // not installed or not plain JSON
+  }
+  try {
+    for (const f of fs.readdirSync(PAIRING_DIR)) {
+      const m = /^([a-z][a-z0-9-]*)-(pairing|allowFrom)\.json$/.exec(f);
+      if (m) names.add(m[1]);
+    }
+  } catch {
+    // no store yet
+  }
+  return [...names].filter((name) => CHANNEL_NAME_RE.test(name)).sort();
+}
 
-  <div class="card">
-    <h2>2) Optional: Channels</h2>
-    <p class="muted">You can add channels later. These are just shortcuts if you want bots wired up immediately. WhatsApp, Google Chat, Signal, and more: add via Control UI or <code>openclaw channels add</code> after install.</p>
-    <p class="muted" style="margin-top: 0.5rem"><button type="button" id="channelHelpBtn" style="padding: 0.4rem 0.8rem; font-size: 0.85rem; background: var(--bg-elevated); border: 1px solid var(--border-subtle); border-radius: 6px; color: var(--cyan-bright); cursor: pointer;">Show channel add --help</button> (writes CLI help to log below)</p>
-    <div class="row">
-      <div>
-        <label>Telegram bot token (optional)</label>
-        <input id="telegramToken" type="password" placeholder="123456:ABC..." />
-        <div class="muted" style="margin-top: 0.25rem">
-          Get it from BotFather: open Telegram, message <code>@BotFather</code>, run <code>/newbot</code>, then copy the token.
-        </div>
-      </div>
-      <div>
-        <label>Discord bot token (optional)</label>
-        <input id="discordToken" type="password" placeholder="Bot token" />
-        <div class="muted" style="margin-top: 0.25rem">
-          Discord Developer Portal → create app → add Bot → copy token. Enable <strong>MESSAGE CONTENT INTENT</strong> if required.
-        </div>
-      </div>
-    </div>
-    <div class="row">
-      <div>
-        <label>Slack bot token (optional)</label>
-        <input id="slackBotToken" type="password" placeholder="xoxb-..." />
-      </div>
-      <div>
-        <label>Slack app token (optional)</label>
-        <input id="slackAppToken" type="password" placeholder="xapp-..." />
-      </div>
-    </div>
-  </div>
+function pairingUser(meta, id) {
+  if (!isPlainObject(meta)) return String(id);
+  const name = meta.username ? `@${String(meta.username).replace(/^@/, "")}` : meta.name || meta.tag;
+  const full = [meta.firstName, meta.lastName].filter(Boolean).join(" ");
+  return [name, full].filter(Boolean).join(" ") || String(id);
+}
 
-  <div class="card">
-    <h2>3) Run installer</h2>
-    <button id="run">Install / Configure</button>
-    <button id="pairingApprove" style="background:#1f2937; margin-left:0.5rem">Approve pairing</button>
-    <button id="doctorBtn" style="background:#0f172a; margin-left:0.5rem">Run doctor</button>
-    <button id="reset" style="background:#444; margin-left:0.5rem">Reset install</button>
-    <pre id="log" style="white-space:pre-wrap"></pre>
-    <p class="muted">
-      Reset deletes the config file so you can rerun onboarding. Pairing approval lets you grant DM access when <code>dmPolicy=pairing</code>. Doctor runs migrations and config checks.
-    </p>
-  </div>
+async function listPairingChannel(channel) {
+  const r = await runCmd(OPENCLAW_NODE, openclawArgs(["pairing", "list", channel, "--json"]));
+  const out = { channel, pending: [], approved: [], error: null };
+  const allowFrom = readPairingStore(channel, "allowFrom").allowFrom;
+  out.approved = Array.isArray(allowFrom) ? allowFrom.map(String) : [];
+  if (r.code !== 0) {
+    out.error = r.output.trim().split("\n").at(-1) || `openclaw pairing list exited ${r.code}`;
+    return out;
+  }
+  let parsed = null;
+  try {
+    parsed = JSON.parse(r.output.slice(r.output.indexOf("{")));
+  } catch {
+    out.error = "Could not parse `openclaw pairing list --json` output";
+    return out;
+  }
+  const requests = Array.isArray(parsed?.requests) ? parsed.requests : [];
+  out.pending = requests.map((req) => ({
+    code: String(req.code ?? ""),
+    id: String(req.id ?? ""),
+    user: pairingUser(req.meta, req.id),
+    createdAt: req.createdAt ?? null,
+    ageMs: req.createdAt ? Math.max(0, Date.now() - Date.parse(req.createdAt)) : null,
+    meta: isPlainObject(req.meta) ? req.meta : {},
+  }));
+  return out;
+}
 
-  <div class="card">
-    <h2>After install — more from OpenClaw</h2>
-    <p class="muted">Channels, skills, and config you can add after setup:</p>
-    <ul style="margin: 0.5rem 0; padding-left: 1.25rem; color: var(--text-secondary);">
-      <li><strong>Channels</strong> — WhatsApp, Google Chat, Signal, iMessage, MS Teams, Matrix, and more: use Control UI or <code>openclaw channels add --channel &lt;name&gt;</code>. <a href="https://docs.openclaw.ai/channels" target="_blank" rel="noreferrer">Channels docs</a></li>
-      <li><strong>More model providers</strong> — Cerebras, Groq, xAI, Mistral, etc. are supported via env vars (e.g. <code>CEREBRAS_API_KEY</code>, <code>GROQ_API_KEY</code>) or <code>models.providers</code> in config. Set them in Render Environment or after install. <a href="https://docs.openclaw.ai/concepts/model-providers" target="_blank" rel="noreferrer">Model providers</a></li>
-      <li><strong>Skills</strong> — Install from <a href="https://clawdhub.com" target="_blank" rel="noreferrer">ClawdHub</a> or via the Control UI.</li>
-      <li><strong>Doctor</strong> — Run <code>openclaw doctor</code> (or use the Run doctor button above) for migrations and config checks. <a href="https://docs.openclaw.ai/gateway/doctor" target="_blank" rel="noreferrer">Doctor docs</a></li>
-      <li><strong>Configuration</strong> — Full config reference: <a href="https://docs.openclaw.ai/gateway/configuration" target="_blank" rel="noreferrer">Configuration</a></li>
-    </ul>
-  </div>
+function pairingParams(body, idKey) {
+  const channel = channelName(body?.channel);
+  const value = String(body?.[idKey] ?? "").trim();
+  if (!value) throw httpError(400, `Missing ${idKey}`);
+  if (idKey === "code" && !PAIRING_CODE_RE.test(value)) throw httpError(400, "Invalid pairing code");
+  return { channel, value };
+}
 
-  <div class="card">
-    <h2>Backups</h2>
-    <p class="muted">Export a backup for migration, or import one to restore state + workspace on this service.</p>
-    <form id="importForm">
-      <label>Import backup (.tar.gz)</label>
-      <input id="importFile" type="file" accept=".tar.gz,application/gzip,application/x-gzip" />
-      <div style="margin-top: 0.75rem">
-        <button type="submit" style="background:#0f172a">Import backup</button>
-      </div>
-      <p class="muted">Import only restores <code>.openclaw/</code> and <code>workspace/</code> into your Render disk mount.</p>
-    </form>
-  </div>
+// Reject and revoke take either one `{ channel, code|id }` or a batch as `{ items: [...] }`.
+function pairingBatch(body, idKey) {
+  const items = Array.isArray(body?.items) ? body.items : [body];
+  if (!items.length) throw httpError(400, "Nothing selected");
+  if (items.length > 100) throw httpError(400, "Too many items in one request (max 100)");
+  return items.map((item) => pairingParams(item, idKey));
+}
 
-  <script src="/install/app.js"></script>
-</body>
-</html>`);
+app.get("/install/api/pairing", requireInstallAuth, async (_req, res) => {
+  const channels = [];
+  // Sequential on purpose: each listing spawns the CLI.
+  for (const channel of pairingChannels()) channels.push(await listPairingChannel(channel));
+  return res.json({ ok: true, channels });
 });
 
-app.get("/install/api/status", requireInstallAuth, async (_req, res) => {
-  const warnings = [];
-  const version = await runCmd(OPENCLAW_NODE, openclawArgs(["--version"]));
+app.post("/install/api/pairing/approve", requireInstallAuth, async (req, res) => {
+  try {
+    const { channel, value: code } = pairingParams(req.body, "code");
+    const r = await runCmd(OPENCLAW_NODE, openclawArgs(["pairing", "approve", channel, code]));
+    if (r.code === 0) log.info("pairing", `approved ${channel} code ${code}`);
+    return res.status(r.code === 0 ? 200 : 500).json({ ok: r.code === 0, output: r.output });
+  } catch (err) {
+    return res.status(err.status ?? 500).json({ ok: false, output: String(err.message ?? err) });
+  }
+});
 
-  let openclawVersion = version.output.trim();
-  let openclawMissing = false;
-  if (version.code !== 0) {
-    openclawVersion = "";
-    openclawMissing = true;
-    warnings.push("Warning: openclaw CLI did not run successfully (this is expected outside the container build).");
+app.post("/install/api/pairing/reject", requireInstallAuth, async (req, res) => {
+  try {
+    const items = pairingBatch(req.body, "code");
+    await editPairingStores(
+      items.map(({ channel, value: code }) => ({
+        channel,
+        kind: "pairing",
+        apply: (store) => {
+          const requests = Array.isArray(store.requests) ? store.requests : [];
+          const remaining = requests.filter((r) => String(r.code).toUpperCase() !== code.toUpperCase());
+          if (remaining.length === requests.length) throw httpError(404, `No pending ${channel} request with code ${code}`);
+          return { ...store, requests: remaining };
+        },
+      })),
+    );
+    const done = items.map(({ channel, value }) => `${channel} ${value}`).join(", ");
+    log.info("pairing", `rejected ${done}`);
+    return res.json({ ok: true, output: `Rejected pairing request(s): ${done}. The gateway was restarted to apply this.` });
+  } catch (err) {
+    return res.status(err.status ?? 500).json({ ok: false, output: String(err.message ?? err) });
   }
+});
 
-  const channelsHelp = await runCmd(OPENCLAW_NODE, openclawArgs(["channels", "add", "--help"]));
-  const channelsHelpText = channelsHelp.output || "";
+app.post("/install/api/pairing/revoke", requireInstallAuth, async (req, res) => {
+  try {
+    const items = pairingBatch(req.body, "id");
+    await editPairingStores(
+      items.map(({ channel, value: id }) => ({
+        channel,
+        kind: "allowFrom",
+        apply: (store) => {
+          const allowFrom = Array.isArray(store.allowFrom) ? store.allowFrom : [];
+          const remaining = allowFrom.filter((entry) => String(entry) !== id);
+          if (remaining.length === allowFrom.length) throw httpError(404, `${id} is not an approved ${channel} sender`);
+          return { ...store, allowFrom: remaining };
+        },
+      })),
+    );
+    const done = items.map(({ channel, value }) => `${channel} ${value}`).join(", ");
+    log.info("pairing", `revoked ${done}`);
+    return res.json({ ok: true, output: `Revoked sender(s): ${done}. The gateway was restarted to apply this.` });
+  } catch (err) {
+    return res.status(err.status ?? 500).json({ ok: false, output: String(err.message ?? err) });
+  }
+});
 
-  const authGroups = await getUpstreamAuthGroups();
+// Reset moves openclaw.json into an archive instead of deleting it, so it can be restored from /install.
+// A factory reset additionally (and only after a typed confirmation) wipes credentials and/or the workspace.
+const CONFIG_ARCHIVE_DIR = path.join(STATE_DIR, "config-archive");
+const CONFIG_ARCHIVE_KEEP = (() => {
+  // A typo here must not turn pruning into "delete every archive".
+  const n = Number.parseInt(process.env.CONFIG_ARCHIVE_KEEP ?? "", 10);
+  return Number.isInteger(n) && n >= 1 ? n : 20;
+})();
+const CONFIG_ARCHIVE_RE = /^openclaw-\d{8}T\d{9}Z\.json$/;
+const FACTORY_RESET_CONFIRM = "factory reset";
+
+function listConfigArchives() {
+  let names = [];
+  try {
+    names = fs.readdirSync(CONFIG_ARCHIVE_DIR).filter((n) => CONFIG_ARCHIVE_RE.test(n));
+  } catch {
+    return [];
+  }
+  return names
+    .sort()
+    .reverse()
+    .map((id) => {
+      let size = null;
+      try {
+        size = fs.statSync(path.join(CONFIG_ARCHIVE_DIR, id)).size;
+      } catch {
+        // raced with pruning
+      }
+      return { id, archivedAt: parseBackupTimestamp(id.slice(9, -5))?.toISOString() ?? null, size };
+    });
+}
+
+function configArchivePath(id) {
+  return typeof id === "string" && CONFIG_ARCHIVE_RE.test(id) ? path.join(CONFIG_ARCHIVE_DIR, id) : null;
+}
+
+// Moves the live config into the archive. Returns the archive id, or null when there was nothing to archive.
+function archiveConfig() {
+  const file = configPath();
+  if (!fs.existsSync(file)) return null;
+  fs.mkdirSync(CONFIG_ARCHIVE_DIR, { recursive: true, mode: 0o700 });
+  const id = `openclaw-${backupTimestamp()}.json`;
+  const dest = path.join(CONFIG_ARCHIVE_DIR, id);
+  try {
+    fs.renameSync(file, dest);
+  } catch (err) {
+    // OPENCLAW_CONFIG_PATH may point at another filesystem.
+    if (err.code !== "EXDEV") throw err;
+    fs.copyFileSync(file, dest);
+    fs.rmSync(file, { force: true });
+  }
+  fs.chmodSync(dest, 0o600);
+  for (const old of listConfigArchives().slice(CONFIG_ARCHIVE_KEEP)) {
+    fs.rmSync(path.join(CONFIG_ARCHIVE_DIR, old.id), { force: true });
+  }
+  return id;
+}
+
+// Auth profiles written by onboarding live at agents/<id>/agent/auth-profiles.json.
+function authProfileFiles() {
+  const agentsDir = path.join(STATE_DIR, "agents");
+  let ids = [];
+  try {
+    ids = fs.readdirSync(agentsDir);
+  } catch {
+    return [];
+  }
+  return ids.map((id) => path.join(agentsDir, id, "agent", "auth-profiles.json")).filter((f) => fs.existsSync(f));
+}
+
+app.post("/install/api/reset", requireInstallAuth, async (_req, res) => {
+  if (configSaving) return res.status(409).type("text/plain").send("A config save is in progress; try again.");
+  try {
+    const id = archiveConfig();
+    await stopGateway();
+    if (!id) return res.type("text/plain").send("OK - nothing to reset (no config file).");
+    log.info("reset", `archived config as ${id}`);
+    res
+      .type("text/plain")
+      .send(`OK - archived config as ${id} and stopped the gateway. You can rerun install now, or restore it from Previous configs.`);
+  } catch (err) {
+    res.status(500).type("text/plain").send(String(err));
+  }
+});
+
+app.get("/install/api/reset/archives", requireInstallAuth, (_req, res) => {
+  res.json({ ok: true, dir: CONFIG_ARCHIVE_DIR, configured: isConfigured(), archives: listConfigArchives() });
+});
+
+// Restoring archives the current config first (if any), so a restore can itself be undone.
+app.post("/install/api/reset/archives/:id/restore", requireInstallAuth, async (req, res) => {
+  const file = configArchivePath(req.params.id);
+  if (!file || !fs.existsSync(file)) return res.status(404).json({ ok: false, output: "Archived config not found" });
+  if (configSaving) return res.status(409).json({ ok: false, output: "A config save is in progress; try again." });
+  // Held in memory: archiving the current config below may prune the very archive being restored.
+  let raw;
+  try {
+    raw = fs.readFileSync(file, "utf8");
+    JSON.parse(raw);
+  } catch (err) {
+    return res.status(422).json({ ok: false, output: `${req.params.id} is not valid JSON: ${String(err.message ?? err)}` });
+  }
+
+  let replaced = null;
+  try {
+    replaced = archiveConfig();
+    const dest = configPath();
+    fs.mkdirSync(path.dirname(dest), { recursive: true });
+    fs.writeFileSync(dest, raw, { mode: 0o600 });
+    fs.chmodSync(dest, 0o600);
+    readConfigFile();
+  } catch (err) {
+    return res.status(500).json({ ok: false, output: `Restore failed: ${String(err.message ?? err)}` });
+  }
+  log.info("reset", `restored config ${req.params.id}${replaced ? ` (archived current as ${replaced})` : ""}`);
+
+  try {
+    await restartGateway();
+  } catch (err) {
+    return res.json({
+      ok: true,
+      restored: req.params.id,
+      replaced,
+      output: `Config restored, but the gateway failed to start: ${String(err)}`,
+      gateway: gatewayStatus(),
+    });
+  }
+  return res.json({ ok: true, restored: req.params.id, replaced, output: `Restored ${req.params.id}.`, gateway: gatewayStatus() });
+});
+
+// Body: { confirm: "factory reset", wipeCredentials?, wipeWorkspace? }. With wipeCredentials the config
+// is deleted rather than archived, along with every stored copy of it and the channel/provider credentials.
+app.post("/install/api/factory-reset", requireInstallAuth, async (req, res) => {
+  const { confirm, wipeCredentials = false, wipeWorkspace = false } = req.body ?? {};
+  if (confirm !== FACTORY_RESET_CONFIRM) {
+    return res.status(400).json({ ok: false, output: `Type "${FACTORY_RESET_CONFIRM}" to confirm a factory reset.` });
+  }
+  if (configSaving) return res.status(409).json({ ok: false, output: "A config save is in progress; try again." });
+
+  const removed = [];
+  let archived = null;
+  try {
+    await stopGateway();
+    if (wipeCredentials) {
+      for (const target of [configPath(), CONFIG_ARCHIVE_DIR, CONFIG_HISTORY_DIR, PAIRING_DIR, ...authProfileFiles()]) {
+        if (!fs.existsSync(target)) continue;
+        fs.rmSync(target, { recursive: true, force: true });
+        removed.push(target);
+      }
+    } else {
+      archived = archiveConfig();
+    }
+    if (wipeWorkspace && fs.existsSync(WORKSPACE_DIR)) {
+      for (const name of fs.readdirSync(WORKSPACE_DIR)) fs.rmSync(path.join(WORKSPACE_DIR, name), { recursive: true, force: true });
+      removed.push(WORKSPACE_DIR);
+    }
+  } catch (err) {
+    return res.status(500).json({ ok: false, archived, removed, output: `Factory reset failed: ${String(err.message ?? err)}` });
+  }
+
+  log.warn("reset", `factory reset (credentials ${wipeCredentials ? "wiped" : "kept"}, workspace ${wipeWorkspace ? "wiped" : "kept"})`);
+  const lines = ["Factory reset done. The gateway is stopped; run the installer to set up again."];
+  if (archived) lines.push(`Config archived as ${archived}.`);
+  for (const p of removed) lines.push(`Removed ${p}`);
+  return res.json({ ok: true, archived, removed, output: lines.join("\n") });
+});
+
+function sendExport(res, passphrase) {
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  res.setHeader("content-type", passphrase ? "application/octet-stream" : "application/gzip");
+  res.setHeader(
+    "content-disposition",
+    `attachment; filename="render-openclaw-backup-${stamp}.tar.gz${passphrase ? ".enc" : ""}"`,
+  );
+
+  const tarStream = createBackupTarStream();
+  const stream = passphrase ? encryptBackupStream(tarStream, passphrase) : tarStream;
+
+  stream.on("error", (err) => {
+    log.error("export", "export failed", err);
+    if (!res.headersSent) res.status(500);
+    res.end(String(err));
+  });
+
+  stream.pipe(res);
+}
+
+app.get("/install/export", requireInstallAuth, async (_req, res) => {
+  sendExport(res, null);
+});
+
+// Encrypted export. POST so the passphrase never lands in a URL (history, access logs).
+app.post(
+  "/install/export",
+  express.urlencoded({ extended: false, limit: "16kb" }),
+  requireInstallAuth,
+  async (req, res) => {
+    const passphrase = typeof req.body?.passphrase === "string" ? req.body.passphrase : "";
+    if (!passphrase) return sendExport(res, null);
+    if (passphrase.length < BACKUP_MIN_PASSPHRASE) {
+      return res.status(400).type("text/plain").send(`Passphrase must be at least ${BACKUP_MIN_PASSPHRASE} characters.`);
+    }
+    sendExport(res, passphrase);
+  },
+);
 
+app.get("/install/api/backups", requireInstallAuth, (_req, res) => {
   res.json({
-    configured: isConfigured(),
-    gatewayTarget: GATEWAY_TARGET,
-    openclawVersion: openclawVersion,
-    openclawMissing: openclawMissing,
-    channelsAddHelp: channelsHelpText,
-    authGroups,
-    warnings,
+    ok: true,
+    dir: BACKUP_DIR,
+    schedule: backupSchedule ? BACKUP_SCHEDULE : null,
+    nextRunAt: nextBackupAt(),
+    retention: { keepLast: BACKUP_KEEP_LAST, keepDaily: BACKUP_KEEP_DAILY, keepWeekly: BACKUP_KEEP_WEEKLY },
+    running: Boolean(backupState.running),
+    lastRun: backupState.lastRun,
+    backups: listBackups(),
   });
 });
 
-app.post("/install/api/run", requireInstallAuth, async (req, res) => {
+app.post("/install/api/backups", requireInstallAuth, async (_req, res) => {
   try {
-    if (isConfigured()) {
-      await ensureGatewayRunning();
-      return res.json({ ok: true, output: "Already installed.\nUse Reset install if you want to rerun onboarding.\n" });
+    const backup = await writeBackupSnapshot("manual");
+    return res.json({ ok: true, backup });
+  } catch (err) {
+    log.error("backup", "manual backup failed", err);
+    return res.status(500).json({ ok: false, output: `Backup failed: ${String(err)}` });
+  }
+});
+
+app.get("/install/api/backups/:name/download", requireInstallAuth, (req, res) => {
+  const file = backupPath(req.params.name);
+  if (!file || !fs.existsSync(file)) return res.status(404).json({ ok: false, error: "Backup not found" });
+  res.setHeader("content-type", "application/gzip");
+  res.setHeader("content-disposition", `attachment; filename="${req.params.name}"`);
+  fs.createReadStream(file)
+    .on("error", (err) => {
+      log.error("backup", `download of ${req.params.name} failed`, err);
+      res.destroy(err);
+    })
+    .pipe(res);
+});
+
+app.delete("/install/api/backups/:name", requireInstallAuth, (req, res) => {
+  const file = backupPath(req.params.name);
+  if (!file || !fs.existsSync(file)) return res.status(404).json({ ok: false, error: "Backup not found" });
+  try {
+    fs.rmSync(file);
+    return res.json({ ok: true });
+  } catch (err) {
+    return res.status(500).json({ ok: false, output: String(err) });
+  }
+});
+
+app.post("/install/api/backups/:name/restore", requireInstallAuth, async (req, res) => {
+  const file = backupPath(req.params.name);
+  if (!file || !fs.existsSync(file)) return res.status(404).json({ ok: false, error: "Backup not found" });
+  try {
+    await restoreBackupFromFile(file);
+    return res.json({ ok: true, output: `OK - restored ${req.params.name} into /data (.openclaw + workspace).` });
+  } catch (err) {
+    log.error("backup", "restore failed", err);
+    return res.status(500).json({ ok: false, output: `Restore failed: ${String(err)}` });
+  }
+});
+
+const IMPORT_TMP_DIR = path.join(os.tmpdir(), "render-openclaw");
+const IMPORT_MAX_BYTES = 250 * 1024 * 1024;
+// Uploaded-but-unconfirmed imports are discarded after this long.
+const IMPORT_STAGE_TTL_MS = 30 * 60 * 1000;
+const IMPORT_PREVIEW_MAX_FILES = 2000;
+const CONFIG_TAR_PATHS = [".openclaw/openclaw.json", ".moltbot/moltbot.json", ".moltbot/openclaw.json"];
+
+// id -> { file, createdAt, inspection }
+const stagedImports = new Map();
+
+// Streams the uploaded backup (multipart, any file field; conventionally "backup") to a private temp
+// file. Resolves with { file, fields } once the file is fully on disk.
+function receiveBackupUpload(req) {
+  return new Promise((resolve, reject) => {
+    let bb;
+    try {
+      bb = Busboy({ headers: req.headers, limits: { files: 1, fileSize: IMPORT_MAX_BYTES } });
+    } catch (err) {
+      return reject(httpError(400, `Invalid upload: ${String(err)}`));
     }
 
-    fs.mkdirSync(STATE_DIR, { recursive: true });
-    fs.mkdirSync(WORKSPACE_DIR, { recursive: true });
-
-    const payload = req.body || {};
-    const onboardArgs = buildOnboardArgs(payload);
-    const onboard = await runCmd(OPENCLAW_NODE, openclawArgs(onboardArgs));
-
-    let extra = "";
-    const ok = onboard.code === 0 && isConfigured();
-
-    // Optional channel setup (only after successful onboarding, and only if the installed CLI supports it).
-    if (ok) {
-      // Ensure gateway token is written into config so the browser UI can authenticate reliably.
-      // (We also enforce loopback bind since the wrapper proxies externally.)
-      // Newer Moltbot builds may refuse to start unless gateway.mode is explicit.
-      await runCmd(OPENCLAW_NODE, openclawArgs(["config", "set", "gateway.mode", "local"]));
-      await runCmd(OPENCLAW_NODE, openclawArgs(["config", "set", "gateway.auth.mode", "token"]));
-      await runCmd(OPENCLAW_NODE, openclawArgs(["config", "set", "gateway.auth.token", GATEWAY_TOKEN]));
-      await runCmd(OPENCLAW_NODE, openclawArgs(["config", "set", "gateway.bind", "loopback"]));
-      await runCmd(OPENCLAW_NODE, openclawArgs(["config", "set", "gateway.port", String(INTERNAL_GATEWAY_PORT)]));
-      await runCmd(OPENCLAW_NODE, openclawArgs(["config", "set", "gateway.controlUi.basePath", "/openclaw"]));
-
-      const channelsHelp = await runCmd(OPENCLAW_NODE, openclawArgs(["channels", "add", "--help"]));
-      const helpText = channelsHelp.output || "";
-      const supports = (name) => helpText.includes(name);
-
-      if (payload.telegramToken?.trim()) {
-        if (!supports("telegram")) {
-          extra += "\n[telegram] skipped (this openclaw build does not list telegram in `channels add --help`)\n";
-        } else {
-          const token = payload.telegramToken.trim();
-          const cfgObj = {
-            enabled: true,
-            dmPolicy: "pairing",
-            botToken: token,
-            groupPolicy: "allowlist",
-            streamMode: "partial",
-          };
-          const set = await runCmd(
-            OPENCLAW_NODE,
-            openclawArgs(["config", "set", "--json", "channels.telegram", JSON.stringify(cfgObj)]),
-          );
-          const get = await runCmd(OPENCLAW_NODE, openclawArgs(["config", "get", "channels.telegram"]));
-          extra += `\n[telegram config] exit=${set.code}\n${set.output || "(no output)"}`;
-          extra += `\n[telegram verify] exit=${get.code}\n${get.output || "(no output)"}`;
-        }
-      }
+    fs.mkdirSync(IMPORT_TMP_DIR, { recursive: true });
+    const tmpFile = path.join(IMPORT_TMP_DIR, `backup-${Date.now()}-${crypto.randomBytes(6).toString("hex")}.tar.gz`);
+    const fields = {};
+    let fileDone = null;
 
-      if (payload.discordToken?.trim()) {
-        if (!supports("discord")) {
-          extra += "\n[discord] skipped (this openclaw build does not list discord in `channels add --help`)\n";
-        } else {
-          const token = payload.discordToken.trim();
-          const cfgObj = {
-            enabled: true,
-            token,
-            groupPolicy: "allowlist",
-            dm: { policy: "pairing" },
-          };
-          const set = await runCmd(
-            OPENCLAW_NODE,
-            openclawArgs(["config", "set", "--json", "channels.discord", JSON.stringify(cfgObj)]),
-          );
-          const get = await runCmd(OPENCLAW_NODE, openclawArgs(["config", "get", "channels.discord"]));
-          extra += `\n[discord config] exit=${set.code}\n${set.output || "(no output)"}`;
-          extra += `\n[discord verify] exit=${get.code}\n${get.output || "(no output)"}`;
-        }
+    bb.on("field", (name, value) => {
+      fields[name] = value;
+    });
+
+    bb.on("file", (_name, file) => {
+      if (fileDone) return void file.resume();
+      fileDone = new Promise((res, rej) => {
+        const out = fs.createWriteStream(tmpFile, { mode: 0o600 });
+        file.on("limit", () => rej(httpError(413, `Upload exceeds ${IMPORT_MAX_BYTES} bytes`)));
+        out.on("error", (e) => {
+          try {
+            file.unpipe(out);
+            file.resume();
+          } catch {
+            // ignore
+          }
+          rej(httpError(500, `Upload failed: ${String(e)}`));
+        });
+        out.on("finish", res);
+        file.pipe(out);
+      });
+    });
+
+    bb.on("error", (err) => reject(httpError(400, `Upload failed: ${String(err)}`)));
+
+    bb.on("finish", () => {
+      if (!fileDone) return reject(httpError(400, "No file uploaded. Use form field name 'backup'."));
+      fileDone.then(
+        () => resolve({ file: tmpFile, fields }),
+        (err) => {
+          fs.rmSync(tmpFile, { force: true });
+          reject(err);
+        },
+      );
+    });
+
+    req.pipe(bb);
+  });
+}
+
+// Lists a backup archive without extracting it: what would be restored, what would be overwritten,
+// and whether the OpenClaw config inside parses.
+async function inspectBackupArchive(file) {
+  const files = [];
+  const skipped = [];
+  const overwrites = [];
+  let totalSize = 0;
+  let fileCount = 0;
+  let configEntry = null;
+  const configChunks = [];
+
+  await tar.t({
+    file,
+    onReadEntry: (entry) => {
+      const p = entry.path.replace(/\/$/, "");
+      if (!canRestoreFromTarPath(p)) {
+        if (skipped.length < IMPORT_PREVIEW_MAX_FILES) skipped.push(p);
+        return;
+      }
+      if (entry.type === "Directory") return;
+      fileCount += 1;
+      totalSize += entry.size || 0;
+      if (files.length < IMPORT_PREVIEW_MAX_FILES) files.push({ path: p, size: entry.size || 0, type: entry.type });
+      try {
+        if (fs.statSync(path.join(DATA_MOUNT, p)).isFile()) overwrites.push(p);
+      } catch {
+        // new file
       }
+      if (CONFIG_TAR_PATHS.includes(p)) {
+        configEntry = p;
+        entry.on("data", (c) => configChunks.push(c));
+      }
+    },
+  });
+
+  const config = { present: Boolean(configEntry), path: configEntry, valid: false, error: null };
+  if (configEntry) {
+    try {
+      JSON.parse(Buffer.concat(configChunks).toString("utf8"));
+      config.valid = true;
+    } catch (err) {
+      config.error = String(err);
+    }
+  }
+
+  return {
+    fileCount,
+    totalSize,
+    files,
+    truncated: fileCount > files.length,
+    overwrites: overwrites.slice(0, IMPORT_PREVIEW_MAX_FILES),
+    overwriteCount: overwrites.length,
+    skipped,
+    config,
+  };
+}
+
+function discardStagedImport(id) {
+  const staged = stagedImports.get(id);
+  if (!staged) return;
+  stagedImports.delete(id);
+  fs.rmSync(staged.file, { force: true });
+}
+
+function pruneStagedImports() {
+  for (const [id, staged] of stagedImports) {
+    if (Date.now() - staged.createdAt > IMPORT_STAGE_TTL_MS) discardStagedImport(id);
+  }
+}
+
+// Snapshot current state, then restore. Returns the name of the rollback snapshot.
+async function importWithRollback(file) {
+  const snapshot = await writeBackupSnapshot("pre-import");
+  applyBackupRetention();
+  await restoreBackupFromFile(file);
+  return snapshot.name;
+}
+
+function sendImportError(res, err) {
+  log.error("import", "import failed", err);
+  const status = err.status ?? 500;
+  return res.status(status).json({ ok: false, output: status === 500 ? `Import failed: ${String(err)}` : err.message });
+}
+
+// One-shot import (kept for scripts). Still takes a pre-import snapshot so it can be rolled back.
+app.post("/install/api/import", requireInstallAuth, async (req, res) => {
+  if (!HAS_RENDER_DISK) {
+    return res.status(400).type("text/plain").send("Import requires a persistent disk mounted at /data.");
+  }
+
+  let upload;
+  try {
+    upload = await receiveBackupUpload(req);
+  } catch (err) {
+    return res.status(err.status ?? 500).type("text/plain").send(err.message);
+  }
+
+  let file = upload.file;
+  try {
+    file = await plainBackupFile(upload.file, upload.fields.passphrase);
+    const rollback = await importWithRollback(file);
+    return res
+      .type("text/plain")
+      .send(`OK - imported backup into /data (.openclaw + workspace).\nRollback snapshot: ${rollback}`);
+  } catch (err) {
+    log.error("import", "import failed", err);
+    if (err.status) return res.status(err.status).type("text/plain").send(err.message);
+    return res.status(500).type("text/plain").send(`Import failed: ${String(err)}`);
+  } finally {
+    fs.rmSync(file, { force: true });
+  }
+});
+
+// Decrypts (if needed) and inspects a downloaded/uploaded archive, then stages it for confirmation.
+// Takes ownership of `file`. Resolves with the JSON body for the client; failures throw an httpError
+// whose extra fields (needsPassphrase, inspection) are passed through.
+async function stageBackupForImport(file, passphrase) {
+  let plain;
+  let encrypted = false;
+  try {
+    encrypted = isEncryptedBackup(file);
+    plain = await plainBackupFile(file, passphrase);
+  } catch (err) {
+    fs.rmSync(file, { force: true });
+    throw err;
+  }
+
+  let inspection;
+  try {
+    inspection = await inspectBackupArchive(plain);
+  } catch (err) {
+    fs.rmSync(plain, { force: true });
+    throw httpError(400, `Not a readable .tar.gz backup: ${String(err)}`);
+  }
+  inspection.encrypted = encrypted;
+  if (!inspection.fileCount) {
+    fs.rmSync(plain, { force: true });
+    throw Object.assign(
+      httpError(400, "Archive contains nothing to restore (expected .openclaw/ and/or workspace/ at the top level)."),
+      { inspection },
+    );
+  }
+
+  const id = crypto.randomBytes(12).toString("hex");
+  const createdAt = Date.now();
+  stagedImports.set(id, { file: plain, createdAt, inspection });
+  return { ok: true, id, expiresAt: new Date(createdAt + IMPORT_STAGE_TTL_MS).toISOString(), inspection };
+}
 
-      if (payload.slackBotToken?.trim() || payload.slackAppToken?.trim()) {
-        if (!supports("slack")) {
-          extra += "\n[slack] skipped (this openclaw build does not list slack in `channels add --help`)\n";
-        } else {
-          const cfgObj = {
-            enabled: true,
-            botToken: payload.slackBotToken?.trim() || undefined,
-            appToken: payload.slackAppToken?.trim() || undefined,
-          };
-          const set = await runCmd(
-            OPENCLAW_NODE,
-            openclawArgs(["config", "set", "--json", "channels.slack", JSON.stringify(cfgObj)]),
-          );
-          const get = await runCmd(OPENCLAW_NODE, openclawArgs(["config", "get", "channels.slack"]));
-          extra += `\n[slack config] exit=${set.code}\n${set.output || "(no output)"}`;
-          extra += `\n[slack verify] exit=${get.code}\n${get.output || "(no output)"}`;
-        }
-      }
+function sendStageError(res, err) {
+  if (!err.status) return sendImportError(res, err);
+  return res.status(err.status).json({
+    ok: false,
+    output: err.message,
+    ...(err.needsPassphrase ? { needsPassphrase: true } : {}),
+    ...(err.inspection ? { inspection: err.inspection } : {}),
+  });
+}
 
-      await restartGateway();
-    }
+// Phase 1: upload + inspect. Nothing under /data changes until the import is confirmed.
+app.post("/install/api/import/inspect", requireInstallAuth, async (req, res) => {
+  if (!HAS_RENDER_DISK) {
+    return res.status(400).json({ ok: false, output: "Import requires a persistent disk mounted at /data." });
+  }
+  pruneStagedImports();
 
-    return res.status(ok ? 200 : 500).json({
-      ok,
-      output: `${onboard.output}${extra}`,
-    });
+  try {
+    const upload = await receiveBackupUpload(req);
+    return res.json(await stageBackupForImport(upload.file, upload.fields.passphrase));
   } catch (err) {
-    console.error("[/install/api/run] error:", err);
-    return res.status(500).json({ ok: false, output: `Internal error: ${String(err)}` });
+    return sendStageError(res, err);
   }
 });
 
-app.post("/install/api/doctor", requireInstallAuth, async (_req, res) => {
-  if (!isConfigured()) {
-    return res.status(400).json({ ok: false, output: "Not installed. Run the installer first." });
+app.get("/install/api/offsite", requireInstallAuth, async (_req, res) => {
+  const info = {
+    ok: true,
+    configured: s3Configured(),
+    bucket: S3_BUCKET,
+    prefix: S3_PREFIX,
+    endpoint: S3_ENDPOINT,
+    encrypted: Boolean(S3_BACKUP_PASSPHRASE),
+    uploadScheduled: S3_UPLOAD_SCHEDULED,
+    lastUpload: offsiteState.lastUpload,
+    objects: [],
+  };
+  if (!info.configured) return res.json(info);
+  try {
+    info.objects = await listOffsiteBackups();
+    return res.json(info);
+  } catch (err) {
+    return res.status(err.status ?? 500).json({ ...info, ok: false, output: String(err.message ?? err) });
   }
-  const r = await runCmd(OPENCLAW_NODE, openclawArgs(["doctor", "--non-interactive"]));
-  return res.status(r.code === 0 ? 200 : 200).json({ ok: r.code === 0, output: r.output || "" });
 });
 
-app.post("/install/api/pairing/approve", requireInstallAuth, async (req, res) => {
-  const { channel, code } = req.body || {};
-  if (!channel || !code) return res.status(400).json({ ok: false, error: "Missing channel or code" });
-  const r = await runCmd(OPENCLAW_NODE, openclawArgs(["pairing", "approve", String(channel), String(code)]));
-  return res.status(r.code === 0 ? 200 : 500).json({ ok: r.code === 0, output: r.output });
+// Upload a local snapshot by name, or write a fresh manual snapshot and upload that.
+app.post("/install/api/offsite/upload", requireInstallAuth, async (req, res) => {
+  if (!s3Configured()) return res.status(400).json({ ok: false, output: "Offsite storage is not configured (S3_* env vars)." });
+  try {
+    const name = req.body?.name || (await writeBackupSnapshot("manual")).name;
+    const uploaded = await uploadBackupOffsite(name);
+    return res.json({ ok: true, name, ...uploaded });
+  } catch (err) {
+    log.error("offsite", "upload failed", err);
+    return res.status(err.status ?? 500).json({ ok: false, output: `Upload failed: ${String(err.message ?? err)}` });
+  }
 });
 
-app.post("/install/api/reset", requireInstallAuth, async (_req, res) => {
+// Download an offsite archive and stage it exactly like an uploaded import (inspect, then confirm
+// through /install/api/import/<id>/confirm).
+app.post("/install/api/offsite/restore", requireInstallAuth, async (req, res) => {
+  if (!HAS_RENDER_DISK) {
+    return res.status(400).json({ ok: false, output: "Import requires a persistent disk mounted at /data." });
+  }
+  if (!s3Configured()) return res.status(400).json({ ok: false, output: "Offsite storage is not configured (S3_* env vars)." });
+  pruneStagedImports();
   try {
-    fs.rmSync(configPath(), { force: true });
-    res.type("text/plain").send("OK - deleted config file. You can rerun install now.");
+    const file = await downloadOffsiteBackup(req.body?.key);
+    return res.json(await stageBackupForImport(file, req.body?.passphrase || S3_BACKUP_PASSPHRASE));
   } catch (err) {
-    res.status(500).type("text/plain").send(String(err));
+    return sendStageError(res, err);
   }
 });
 
-app.get("/install/export", requireInstallAuth, async (_req, res) => {
-  fs.mkdirSync(STATE_DIR, { recursive: true });
-  fs.mkdirSync(WORKSPACE_DIR, { recursive: true });
-
-  res.setHeader("content-type", "application/gzip");
-  res.setHeader(
-    "content-disposition",
-    `attachment; filename="render-openclaw-backup-${new Date().toISOString().replace(/[:.]/g, "-")}.tar.gz"`,
-  );
-
-  // Prefer exporting from /data so archives are easy to restore on Render.
-  const stateAbs = path.resolve(STATE_DIR);
-  const workspaceAbs = path.resolve(WORKSPACE_DIR);
-
-  const underData = (p) => p === DATA_MOUNT || p.startsWith(DATA_MOUNT + path.sep);
-  let cwd = "/";
-  let paths = [stateAbs, workspaceAbs].map((p) => p.replace(/^\//, ""));
+// Phase 2: confirm a staged import.
+app.post("/install/api/import/:id/confirm", requireInstallAuth, async (req, res) => {
+  pruneStagedImports();
+  const staged = stagedImports.get(req.params.id);
+  if (!staged) return res.status(404).json({ ok: false, output: "Staged import not found (expired or already used)." });
+  stagedImports.delete(req.params.id);
 
-  if (underData(stateAbs) && underData(workspaceAbs)) {
-    cwd = DATA_MOUNT;
-    paths = [path.relative(DATA_MOUNT, stateAbs) || ".", path.relative(DATA_MOUNT, workspaceAbs) || "."];
+  try {
+    const rollback = await importWithRollback(staged.file);
+    return res.json({ ok: true, rollback, output: `OK - imported backup into /data (.openclaw + workspace).` });
+  } catch (err) {
+    return sendImportError(res, err);
+  } finally {
+    fs.rmSync(staged.file, { force: true });
   }
+});
 
-  const stream = tar.c(
-    {
-      gzip: true,
-      portable: true,
-      noMtime: true,
-      cwd,
-      onwarn: () => {},
-    },
-    paths,
-  );
-
-  stream.on("error", (err) => {
-    console.error("[export]", err);
-    if (!res.headersSent) res.status(500);
-    res.end(String(err));
-  });
-
-  stream.pipe(res);
+app.delete("/install/api/import/:id", requireInstallAuth, (req, res) => {
+  if (!stagedImports.has(req.params.id)) return res.status(404).json({ ok: false, output: "Staged import not found." });
+  discardStagedImport(req.params.id);
+  return res.json({ ok: true });
 });
 
-app.post("/install/api/import", requireInstallAuth, async (req, res) => {
-  if (!HAS_RENDER_DISK) {
-    return res.status(400).type("text/plain").send("Import requires a persistent disk mounted at /data.");
+// Undo an import by restoring its pre-import snapshot (the most recent one unless `name` is given).
+app.post("/install/api/import/rollback", requireInstallAuth, async (req, res) => {
+  const name = req.body?.name || listBackups().find((b) => b.kind === "pre-import")?.name;
+  const file = name ? backupPath(name) : null;
+  if (!file || !fs.existsSync(file) || parseBackupName(name).kind !== "pre-import") {
+    return res.status(404).json({ ok: false, output: "No pre-import snapshot to roll back to." });
+  }
+  try {
+    await restoreBackupFromFile(file, { replace: true });
+    return res.json({ ok: true, restored: name, output: `OK - rolled back to ${name}.` });
+  } catch (err) {
+    log.error("import", "rollback failed", err);
+    return res.status(500).json({ ok: false, output: `Rollback failed: ${String(err)}` });
   }
-
-  fs.mkdirSync(STATE_DIR, { recursive: true });
-  fs.mkdirSync(WORKSPACE_DIR, { recursive: true });
-
-  const bb = Busboy({ headers: req.headers, limits: { files: 1, fileSize: 250 * 1024 * 1024 } });
-
-  const tmpDir = path.join(os.tmpdir(), "render-openclaw");
-  fs.mkdirSync(tmpDir, { recursive: true });
-  const tmpFile = path.join(tmpDir, `backup-${Date.now()}-${crypto.randomBytes(6).toString("hex")}.tar.gz`);
-
-  let sawFile = false;
-  let writeError = null;
-
-  bb.on("file", (_name, file, info) => {
-    const filename = info?.filename || "backup.tar.gz";
-    if (!filename) return;
-    sawFile = true;
-    const out = fs.createWriteStream(tmpFile, { mode: 0o600 });
-    file.pipe(out);
-    out.on("error", (e) => {
-      writeError = e;
-      try {
-        file.unpipe(out);
-        file.resume();
-      } catch {
-        // ignore
-      }
-    });
-  });
-
-  bb.on("error", (err) => {
-    writeError = err;
-  });
-
-  bb.on("finish", async () => {
-    try {
-      if (!sawFile) return res.status(400).type("text/plain").send("No file uploaded. Use form field name 'backup'.");
-      if (writeError) return res.status(500).type("text/plain").send(`Upload failed: ${String(writeError)}`);
-
-      await tar.x({
-        file: tmpFile,
-        cwd: DATA_MOUNT,
-        strict: true,
-        onwarn: () => {},
-        filter: (p) => canRestoreFromTarPath(p),
-      });
-
-      // Apply immediately.
-      if (isConfigured()) await restartGateway();
-      return res.type("text/plain").send("OK - imported backup into /data (.openclaw + workspace).");
-    } catch (err) {
-      console.error("[import]", err);
-      return res.status(500).type("text/plain").send(`Import failed: ${String(err)}`);
-    } finally {
-      try {
-        fs.rmSync(tmpFile, { force: true });
-      } catch {
-        // ignore
-      }
-    }
-  });
-
-  req.pipe(bb);
 });
 
 function landingHtml() {
@@ -948,7 +4704,7 @@ function landingHtml() {
     <p>
       ${
         installed
-          ? `<a class="button" href="/openclaw?token=${GATEWAY_TOKEN}" rel="noreferrer">Open Control UI</a>`
+          ? `<a class="button" href="/openclaw" rel="noreferrer">Open Control UI</a>`
           : `<a class="button" href="/install">Open Installer</a>`
       }
     </p>
@@ -961,6 +4717,122 @@ function landingHtml() {
 </html>`;
 }
 
+// Served (503) to browser navigations while the gateway is starting, backing off or restarting. It polls
+// /readyz and reloads into the dashboard once the gateway answers. Gateway output is only shown to
+// browsers with an installer session, via the same /install/api/logs endpoint the installer uses.
+const STARTING_PAGE_POLL_MS = 2000;
+const STARTING_PAGE_LOG_LINES = 15;
+
+function startingHtml(req) {
+  return `<!doctype html>
+<html>
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <title>OpenClaw is starting</title>
+  <style>
+    :root {
+      --bg-deep: #050810;
+      --bg-elevated: #111827;
+      --coral-bright: #ff4d4d;
+      --cyan-bright: #00e5cc;
+      --text-primary: #f0f4ff;
+      --text-muted: #5a6480;
+      --border-subtle: rgba(136, 146, 176, 0.15);
+    }
+    body { font-family: ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial; margin: 2rem auto; max-width: 1100px; padding: 0 1.25rem; background: var(--bg-deep); color: var(--text-primary); }
+    .card { border: 1px solid var(--border-subtle); border-radius: 12px; padding: 1.25rem; margin: 1rem 0; background: rgba(10, 15, 26, 0.6); }
+    .brandbar { display:flex; align-items:center; gap: 1rem; margin-bottom: 1rem; }
+    .brand { display:flex; align-items:center; gap: 0.75rem; text-decoration:none; color: inherit; }
+    .brand img { height: 32px; width: auto; display:block; }
+    .muted { color: var(--text-muted); }
+    .status { color: var(--coral-bright); font-size: 1.1rem; }
+    a { color: var(--cyan-bright); }
+    pre { background: var(--bg-elevated); padding: 0.75rem; border-radius: 8px; overflow-x: auto; font-size: 0.8rem; white-space: pre-wrap; word-break: break-word; }
+  </style>
+</head>
+<body>
+  <div class="brandbar">
+    <a class="brand" href="https://render.com" target="_blank" rel="noreferrer">
+      ${RENDER_LOGO_URL ? `<img src="${RENDER_LOGO_URL}" alt="Render" />` : "<strong>Render</strong>"}
+    </a>
+  </div>
+  <h1>🦞 OpenClaw is starting</h1>
+  <div class="card">
+    <p class="status" id="status">Waiting for the gateway…</p>
+    <p class="muted">Elapsed: <strong id="elapsed">0s</strong>. This page opens <code>${escapeHtml(req.path)}</code> as soon as the gateway is ready.</p>
+  </div>
+  <div class="card">
+    <p class="muted" id="logsHint"><a href="/install/login?next=${encodeURIComponent(req.originalUrl)}">Log in to the installer</a> to see gateway output here.</p>
+    <pre id="logs" hidden></pre>
+  </div>
+  <script>
+  (function () {
+    var since = ${gatewayWaitingSince()};
+    var statusEl = document.getElementById("status");
+    var elapsedEl = document.getElementById("elapsed");
+    var logsEl = document.getElementById("logs");
+    var logsHint = document.getElementById("logsHint");
+
+    function formatElapsed(ms) {
+      var s = Math.max(0, Math.floor(ms / 1000));
+      return s < 60 ? s + "s" : Math.floor(s / 60) + "m " + (s % 60) + "s";
+    }
+
+    function describe(body) {
+      if (body.shuttingDown) return "The service is restarting…";
+      var g = body.gateway || {};
+      if (g.state === "starting") return "Starting the gateway…";
+      if (g.state === "backoff") {
+        return "The gateway exited; restarting" + (g.nextRestartAt ? " at " + new Date(g.nextRestartAt).toLocaleTimeString() : "") + "…";
+      }
+      if (g.state === "crashloop") return "The gateway keeps crashing. Restart it from /install.";
+      if (g.state === "running") return "Waiting for the gateway to answer…";
+      return "Waiting for the gateway…";
+    }
+
+    function poll() {
+      fetch("/readyz", { cache: "no-store" })
+        .then(function (res) {
+          return res.json();
+        })
+        .then(function (body) {
+          if (body.ready) return location.reload();
+          statusEl.textContent = describe(body);
+        })
+        .catch(function () {
+          statusEl.textContent = "Waiting for the service…";
+        });
+
+      fetch("/install/api/logs?tail=${STARTING_PAGE_LOG_LINES}", { cache: "no-store" })
+        .then(function (res) {
+          return res.ok ? res.json() : null;
+        })
+        .then(function (body) {
+          if (!body) return;
+          logsHint.hidden = true;
+          logsEl.hidden = false;
+          logsEl.textContent = (body.entries || [])
+            .map(function (e) {
+              return e.ts + " " + e.line;
+            })
+            .join("\\n") || "(no output yet)";
+        })
+        .catch(function () {});
+    }
+
+    setInterval(function () {
+      elapsedEl.textContent = formatElapsed(Date.now() - since);
+    }, 1000);
+    elapsedEl.textContent = formatElapsed(Date.now() - since);
+    poll();
+    setInterval(poll, ${STARTING_PAGE_POLL_MS});
+  })();
+  </script>
+</body>
+</html>`;
+}
+
 // Proxy everything else to the gateway if installed; otherwise show a landing page.
 // IMPORTANT: Do not forward proxy headers to the internal gateway.
 // The gateway is loopback-only and already protected by token auth; forwarding headers can make
@@ -987,13 +4859,59 @@ function stripProxyHeaders(req) {
   }
 }
 
+// The wrapper's session cookies are ours alone; the gateway gets the token instead (see below).
+function stripSessionCookies(headers) {
+  if (!headers.cookie) return;
+  const kept = String(headers.cookie)
+    .split(";")
+    .filter((part) => {
+      const name = part.split("=")[0].trim();
+      return name !== INSTALL_SESSION_COOKIE && name !== DASHBOARD_SESSION_COOKIE;
+    });
+  if (kept.length) headers.cookie = kept.join(";").trim();
+  else delete headers.cookie;
+}
+
+// Requests from a logged-in dashboard session are authenticated to the gateway by the wrapper. Clients
+// that bring their own credentials (API callers with a bearer token) keep them.
+function injectGatewayAuth(headers) {
+  if (!headers.authorization) headers.authorization = `Bearer ${gatewayToken}`;
+}
+
+// The Control UI authenticates in its first WebSocket frame ({ type: "req", method: "connect",
+// params: { auth } }). Without a token in the URL it has none to send, so the wrapper fills it in.
+function withDashboardConnectAuth(text) {
+  if (!text.includes('"connect"')) return text;
+  let frame;
+  try {
+    frame = JSON.parse(text);
+  } catch {
+    return text;
+  }
+  if (frame?.type !== "req" || frame.method !== "connect" || !frame.params || typeof frame.params !== "object") return text;
+  frame.params.auth = { ...frame.params.auth, token: gatewayToken };
+  return JSON.stringify(frame);
+}
+
 const proxy = httpProxy.createProxyServer({ target: GATEWAY_TARGET, ws: true, xfwd: false });
-proxy.on("error", (err, _req, _res) => console.error("[proxy]", err));
+proxy.on("error", (err, req, _res) => {
+  metricInc("openclaw_proxy_errors_total", { kind: "http" });
+  log.error("proxy", String(err.message ?? err), { requestId: req?.id, code: err.code });
+});
 
 // WebSocket connections can be long-lived. Some hosting stacks may drop "idle" TCP connections.
 // Keep sockets alive and disable timeouts to reduce unexpected disconnects.
 const WS_KEEPALIVE_MS = Number.parseInt(process.env.WS_KEEPALIVE_MS ?? "30000", 10);
 const WS_PING_INTERVAL_MS = Number.parseInt(process.env.WS_PING_INTERVAL_MS ?? "25000", 10);
+// Client frames held while the gateway socket is still connecting, and the per-direction send buffer
+// above which the bridge stops reading from the other side.
+const WS_QUEUE_MAX_FRAMES = Number.parseInt(process.env.WS_QUEUE_MAX_FRAMES ?? "256", 10);
+const WS_QUEUE_MAX_BYTES = Number.parseInt(process.env.WS_QUEUE_MAX_BYTES ?? String(1024 * 1024), 10);
+const WS_BACKPRESSURE_BYTES = Number.parseInt(process.env.WS_BACKPRESSURE_BYTES ?? String(1024 * 1024), 10);
+const WS_UPSTREAM_HANDSHAKE_TIMEOUT_MS = Number.parseInt(process.env.WS_UPSTREAM_HANDSHAKE_TIMEOUT_MS ?? "10000", 10);
+// Resilient mode keeps client sockets open across gateway restarts and reconnects them upstream.
+const WS_RESILIENT = ["1", "true"].includes((process.env.WS_RESILIENT ?? "").trim().toLowerCase());
+const WS_RECONNECT_DEADLINE_MS = Number.parseInt(process.env.WS_RECONNECT_DEADLINE_MS ?? "30000", 10);
 
 function hardenSocketForWs(sock) {
   try {
@@ -1035,95 +4953,220 @@ function buildUpstreamWsHeaders(req) {
   delete headers["sec-websocket-version"];
   delete headers["sec-websocket-extensions"];
 
+  stripSessionCookies(headers);
+  if (req.dashboardSession) injectGatewayAuth(headers);
+
   // Ensure the internal gateway sees an internal host.
   headers.host = `${INTERNAL_GATEWAY_HOST}:${INTERNAL_GATEWAY_PORT}`;
   return headers;
 }
 
-function startWsPing(ws) {
-  if (!WS_PING_INTERVAL_MS || WS_PING_INTERVAL_MS <= 0) return null;
-  const t = setInterval(() => {
-    if (ws.readyState !== WebSocket.OPEN) return;
-    try {
-      ws.ping();
-    } catch {
-      // ignore
-    }
-  }, WS_PING_INTERVAL_MS);
-  // Don't keep the process alive just for the ping timer.
-  t.unref?.();
-  return t;
-}
-
-function safeClearInterval(t) {
-  if (!t) return;
-  try {
-    clearInterval(t);
-  } catch {
-    // ignore
-  }
-}
-
 function isHtmlRequest(req) {
   const accept = String(req.headers.accept || "").toLowerCase();
   // Browsers typically send Accept including text/html for navigations.
   return accept.includes("text/html") || accept.includes("application/xhtml+xml") || accept === "";
 }
 
+function isDashboardPath(p) {
+  return p === "/" || p === "/openclaw" || p.startsWith("/openclaw/");
+}
+
+// Where "Open Control UI" links point.
+function dashboardUrl() {
+  return DASHBOARD_URL_TOKEN ? `/openclaw?token=${gatewayToken}` : "/openclaw";
+}
+
+// Same URL without a `token` query parameter, so it drops out of the address bar and history.
+function withoutTokenParam(originalUrl) {
+  const u = new URL(`http://_/${originalUrl.replace(/^\//, "")}`);
+  u.searchParams.delete("token");
+  return u.pathname + u.search;
+}
+
 function buildTokenizedDashboardUrl(req) {
   const u = new URL(`http://_/${req.originalUrl.replace(/^\//, "")}`);
   // Always send users to the dashboard route.
   u.pathname = "/openclaw";
-  u.searchParams.set("token", GATEWAY_TOKEN);
+  u.searchParams.set("token", gatewayToken);
   return u.pathname + u.search;
 }
 
 app.use(async (req, res) => {
   if (!isConfigured()) {
     // Allow installer routes; everything else shows a landing page.
-    if (req.path.startsWith("/install") || req.path === "/healthz") return res.status(404).type("text/plain").send("Not Found");
+    if (req.path.startsWith("/install") || ["/healthz", "/readyz", "/metrics"].includes(req.path)) {
+      return res.status(404).type("text/plain").send("Not Found");
+    }
     return res.status(200).type("html").send(landingHtml());
   }
 
-  try {
-    await ensureGatewayRunning();
-  } catch (err) {
-    return res.status(503).type("text/plain").send(`Gateway not ready: ${String(err)}`);
-  }
-
   // Render (and other CDNs/proxies) add X-Forwarded-* headers. Do NOT send them to the internal
   // gateway; it runs loopback-only and should treat clients as local.
   stripProxyHeaders(req);
 
-  // If user hits the UI without the right token, redirect to the correct tokenized URL.
-  // This prevents "token_mismatch" loops caused by stale/wrong tokens in the browser.
-  if ((req.path === "/" || req.path === "/openclaw") && isHtmlRequest(req)) {
-    const provided = typeof req.query.token === "string" ? req.query.token.trim() : "";
-    if (!provided || provided !== GATEWAY_TOKEN) {
-      return res.redirect(302, buildTokenizedDashboardUrl(req));
+  const dashboardSession = readSession(req, DASHBOARD_SESSION_COOKIE);
+  const dashboardAllowed = Boolean(dashboardSession && roleAtLeast(dashboardSession.role, "operator"));
+  stripSessionCookies(req.headers);
+  const navigation = isSafeMethod(req.method) && isHtmlRequest(req);
+
+  if (isDashboardPath(req.path) && navigation) {
+    // Old bookmarks and shared links may still carry the token; drop it rather than honour it.
+    if (!DASHBOARD_URL_TOKEN && "token" in req.query) return res.redirect(302, withoutTokenParam(req.originalUrl));
+    const next = req.path === "/" ? "/openclaw" : withoutTokenParam(req.originalUrl);
+    // Both modes need a dashboard session (operator and up) before the dashboard, or a URL with the token in
+    // it, is handed out.
+    if (!dashboardSession) return res.redirect(302, `/install/login?next=${encodeURIComponent(next)}`);
+    if (!dashboardAllowed) {
+      return res
+        .status(403)
+        .type("text/plain")
+        .send(`Your account (${dashboardSession.role}) can't open the dashboard; ask an admin for the operator role.`);
+    }
+    if (DASHBOARD_URL_TOKEN) {
+      // If user hits the UI without the right token, redirect to the correct tokenized URL.
+      // This prevents "token_mismatch" loops caused by stale/wrong tokens in the browser.
+      const provided = typeof req.query.token === "string" ? req.query.token.trim() : "";
+      if ((req.path === "/" || req.path === "/openclaw") && provided !== gatewayToken) {
+        return res.redirect(302, buildTokenizedDashboardUrl(req));
+      }
+    } else if (req.path === "/") {
+      return res.redirect(302, next);
     }
   }
+  // The cookie is SameSite=Lax, so a link on another site still sends it with a top-level GET. Such a
+  // request is proxied, but without the token: it must not reach the gateway authenticated.
+  if (dashboardAllowed && !isCrossSiteRequest(req)) injectGatewayAuth(req.headers);
+
+  // Don't hold requests open while the gateway boots: browsers get a page that waits for it, API
+  // clients an immediate 503 with Retry-After.
+  if (gatewayNotReady()) {
+    kickGatewayStart();
+    res.set("retry-after", String(gatewayRetryAfterSeconds()));
+    res.set("cache-control", "no-store");
+    if (navigation) return res.status(503).type("html").send(startingHtml(req));
+    return res.status(503).type("text/plain").send(`Gateway not ready: ${gatewayStatus().state}`);
+  }
+
+  try {
+    await ensureGatewayRunning();
+  } catch (err) {
+    res.set("retry-after", String(gatewayRetryAfterSeconds()));
+    return res.status(503).type("text/plain").send(`Gateway not ready: ${String(err)}`);
+  }
+
+  req.url = withCurrentGatewayToken(req.url);
+  if (req.headers.authorization) req.headers.authorization = withCurrentGatewayToken(req.headers.authorization);
 
   return proxy.web(req, res, { target: GATEWAY_TARGET });
 });
 
 const server = app.listen(PORT, "0.0.0.0", () => {
-  console.log(`[wrapper] listening on :${PORT}`);
-  console.log(`[wrapper] state dir: ${STATE_DIR}`);
-  console.log(`[wrapper] workspace dir: ${WORKSPACE_DIR}`);
-  console.log(`[wrapper] gateway token: ${GATEWAY_TOKEN ? "(set)" : "(missing)"}`);
-  console.log(`[wrapper] gateway target: ${GATEWAY_TARGET}`);
-  if (!SETUP_PASSWORD) console.warn("[wrapper] WARNING: RENDER_SETUP_PASSWORD is not set; /install will error.");
+  log.info("wrapper", `listening on :${PORT}`);
+  log.info("wrapper", `state dir: ${STATE_DIR}`);
+  log.info("wrapper", `workspace dir: ${WORKSPACE_DIR}`);
+  log.info("wrapper", `gateway token: ${gatewayToken ? "(set)" : "(missing)"}`);
+  log.info("wrapper", `gateway target: ${GATEWAY_TARGET}`);
+  if (!SETUP_PASSWORD) log.warn("wrapper", "RENDER_SETUP_PASSWORD is not set; /install will error.");
+
+  // Reading the config registers its secrets for redaction before the gateway prints anything.
+  if (isConfigured()) {
+    try {
+      readConfigFile();
+    } catch {
+      // not plain JSON; pattern-based redaction still applies
+    }
+  }
+
+  startBackupScheduler();
+
+  // Bring the gateway up at boot so channel bots are online without waiting for a browser visit.
+  if (isConfigured()) {
+    ensureGatewayRunning().catch((err) => log.error("gateway", `boot start failed: ${String(err)}`));
+  }
 });
 
 const wsServer = new WebSocketServer({ noServer: true });
 
-server.on("upgrade", async (req, socket, head) => {
+// Live client<->gateway WebSocket bridges; each entry exposes close(code, reason).
+const activeWsBridges = new Set();
+
+server.on("upgrade", (req, socket, head) => {
+  req.id = requestIdFor(req);
+  req.headers[REQUEST_ID_HEADER] = req.id;
+  requestContext.run({ requestId: req.id }, () => handleUpgrade(req, socket, head));
+});
+
+// Built from the original upgrade request each time, so a reconnect picks up a rotated token.
+function openUpstreamWs(req, protocols) {
+  const upstreamUrl = `ws://${INTERNAL_GATEWAY_HOST}:${INTERNAL_GATEWAY_PORT}${withCurrentGatewayToken(req.url || "/")}`;
+  const upstreamHeaders = buildUpstreamWsHeaders(req);
+  if (upstreamHeaders.authorization) upstreamHeaders.authorization = withCurrentGatewayToken(upstreamHeaders.authorization);
+  const upstreamWs = new WebSocket(upstreamUrl, protocols, {
+    headers: upstreamHeaders,
+    perMessageDeflate: false,
+    handshakeTimeout: WS_UPSTREAM_HANDSHAKE_TIMEOUT_MS,
+  });
+  upstreamWs.on("open", () => {
+    // ws exposes the underlying net.Socket as `_socket` (best-effort).
+    hardenSocketForWs(upstreamWs._socket);
+  });
+  return upstreamWs;
+}
+
+// Resilient mode: waits for the supervisor (or an operator) to bring the gateway back, then opens a new
+// upstream socket once it passes the ready probe. Never starts the gateway itself, so crash backoff and
+// crash-loop detection still apply.
+async function reconnectUpstreamWs(req, protocols, deadline) {
+  while (!shuttingDown && Date.now() < deadline) {
+    if (gatewayStarting) await Promise.race([gatewayStarting.catch(() => {}), sleep(deadline - Date.now())]);
+    const proc = gatewayProc;
+    if (proc && !proc.stopRequested) {
+      const ready = await waitForGatewayReady({
+        timeoutMs: deadline - Date.now(),
+        isAlive: () => gatewayProc === proc && !proc.stopRequested,
+      });
+      if (ready && !shuttingDown) {
+        log.info("ws-proxy", "reconnecting client to restarted gateway", { requestId: req.id });
+        return openUpstreamWs(req, protocols);
+      }
+    }
+    await sleep(GATEWAY_READY_POLL_MS);
+  }
+  throw new Error("Gateway did not come back before the reconnect deadline");
+}
+
+// Answers an upgrade we can't serve with a plain HTTP response, so clients see why (and when to retry).
+function rejectUpgrade(socket, message) {
+  const body = `Gateway not ready: ${message}`;
+  try {
+    socket.end(
+      "HTTP/1.1 503 Service Unavailable\r\n" +
+        `Retry-After: ${gatewayRetryAfterSeconds()}\r\n` +
+        "Content-Type: text/plain; charset=utf-8\r\n" +
+        `Content-Length: ${Buffer.byteLength(body)}\r\n` +
+        "Connection: close\r\n\r\n" +
+        body,
+    );
+  } catch {
+    socket.destroy();
+  }
+}
+
+async function handleUpgrade(req, socket, head) {
   if (!isConfigured()) return void socket.destroy();
+  // Cookie-authenticated dashboard sockets (operator and up) get the gateway token injected; cross-site
+  // pages don't.
+  const session = isCrossOriginRequest(req) ? null : readSession(req, DASHBOARD_SESSION_COOKIE);
+  req.dashboardSession = Boolean(session && roleAtLeast(session.role, "operator"));
+  if (shuttingDown) return void rejectUpgrade(socket, "Wrapper is shutting down");
+  if (gatewayNotReady()) {
+    kickGatewayStart();
+    return void rejectUpgrade(socket, gatewayStatus().state);
+  }
   try {
     await ensureGatewayRunning();
-  } catch {
-    return void socket.destroy();
+  } catch (err) {
+    return void rejectUpgrade(socket, String(err.message ?? err));
   }
   hardenSocketForWs(socket);
 
@@ -1131,78 +5174,86 @@ server.on("upgrade", async (req, socket, head) => {
   // terminating idle connections (which shows up as code 1006 in browsers).
   wsServer.handleUpgrade(req, socket, head, (clientWs) => {
     const protocols = parseWsProtocols(req);
-    const upstreamUrl = `ws://${INTERNAL_GATEWAY_HOST}:${INTERNAL_GATEWAY_PORT}${req.url || "/"}`;
-    const upstreamWs = new WebSocket(upstreamUrl, protocols, {
-      headers: buildUpstreamWsHeaders(req),
-      perMessageDeflate: false,
+    const upstreamWs = openUpstreamWs(req, protocols);
+
+    const bridge = bridgeWebSockets(clientWs, upstreamWs, {
+      maxQueuedFrames: WS_QUEUE_MAX_FRAMES,
+      maxQueuedBytes: WS_QUEUE_MAX_BYTES,
+      highWaterMark: WS_BACKPRESSURE_BYTES,
+      pingIntervalMs: WS_PING_INTERVAL_MS,
+      // Control UI sends its token inside the connect frame: fill it in for dashboard sessions, and
+      // translate a grace-period token there too.
+      transformClientMessage: (data, isBinary) => {
+        if (isBinary) return data;
+        if (req.dashboardSession) return withDashboardConnectAuth(data.toString("utf8"));
+        return previousGatewayToken ? withCurrentGatewayToken(data.toString("utf8")) : data;
+      },
+      onMessage: (direction, bytes) => {
+        metricInc("openclaw_ws_messages_total", { direction });
+        metricInc("openclaw_ws_bytes_total", { direction }, bytes);
+      },
+      onClose: (side, code) => metricInc("openclaw_ws_closes_total", { side, code }),
+      onError: (err) => {
+        metricInc("openclaw_proxy_errors_total", { kind: "ws" });
+        log.error("ws-proxy", String(err.message ?? err), { requestId: req.id, code: err.code });
+      },
+      onEnd: () => activeWsBridges.delete(bridge),
+      ...(WS_RESILIENT && {
+        reconnectDeadlineMs: WS_RECONNECT_DEADLINE_MS,
+        reconnect: (deadline) => reconnectUpstreamWs(req, protocols, deadline),
+        statusFrame: (state) => JSON.stringify({ type: "event", event: "wrapper.gateway", payload: { state } }),
+        // Resume the gateway session by replaying the client's connect frame (through
+        // transformClientMessage above, so it carries the current token).
+        sessionFrame: connectFrameId,
+        matchSessionReply: connectReplyVerdict,
+      }),
     });
+    activeWsBridges.add(bridge);
+    metricInc("openclaw_ws_connections_total");
+  });
+}
 
-    // Best-effort hardening for both sides.
-    clientWs.on("error", () => {});
-    upstreamWs.on("error", (err) => console.error("[ws-proxy]", err));
-
-    const clientPing = startWsPing(clientWs);
-    const upstreamPing = startWsPing(upstreamWs);
-
-    const shutdown = (who, code, reason) => {
-      safeClearInterval(clientPing);
-      safeClearInterval(upstreamPing);
-
-      try {
-        if (who !== "client" && clientWs.readyState === WebSocket.OPEN) clientWs.close(code, reason);
-      } catch {
-        try {
-          clientWs.terminate();
-        } catch {
-          // ignore
-        }
-      }
-
-      try {
-        if (who !== "upstream" && upstreamWs.readyState === WebSocket.OPEN) upstreamWs.close(code, reason);
-      } catch {
-        try {
-          upstreamWs.terminate();
-        } catch {
-          // ignore
-        }
-      }
-    };
-
-    clientWs.on("close", (code, reason) => shutdown("client", code, reason));
-    upstreamWs.on("close", (code, reason) => shutdown("upstream", code, reason));
+// Graceful shutdown (SIGTERM on redeploy, SIGINT locally): stop accepting connections, close bridged
+// WebSockets with 1001, give in-flight requests until the drain deadline, then stop the gateway (SIGKILL
+// if it ignores SIGTERM) so it can flush state to /data before the wrapper exits.
+const SHUTDOWN_DRAIN_MS = Number.parseInt(process.env.SHUTDOWN_DRAIN_MS ?? "15000", 10);
 
-    clientWs.on("message", (data, isBinary) => {
-      if (upstreamWs.readyState !== WebSocket.OPEN) return;
-      try {
-        upstreamWs.send(data, { binary: isBinary });
-      } catch {
-        // ignore
-      }
-    });
+async function waitUntil(check, deadline) {
+  while (!check() && Date.now() < deadline) await sleep(100);
+  return check();
+}
 
-    upstreamWs.on("message", (data, isBinary) => {
-      if (clientWs.readyState !== WebSocket.OPEN) return;
-      try {
-        clientWs.send(data, { binary: isBinary });
-      } catch {
-        // ignore
-      }
-    });
+async function shutdown(signal) {
+  if (shuttingDown) {
+    log.warn("wrapper", `${signal} received again; exiting now`);
+    process.exit(1);
+  }
+  shuttingDown = true;
+  log.info("wrapper", `${signal} received; draining for up to ${SHUTDOWN_DRAIN_MS}ms`);
+  clearGatewayRestartTimer();
 
-    upstreamWs.on("open", () => {
-      // ws exposes the underlying net.Socket as `_socket` (best-effort).
-      hardenSocketForWs(upstreamWs._socket);
-    });
+  let httpClosed = false;
+  server.close(() => {
+    httpClosed = true;
   });
-});
-
-process.on("SIGTERM", () => {
-  try {
-    if (gatewayProc) gatewayProc.kill("SIGTERM");
-  } catch {
-    // ignore
+  server.closeIdleConnections?.();
+  for (const end of openEventStreams) end();
+  for (const bridge of activeWsBridges) bridge.close(1001, "Server shutting down");
+
+  const drained = await waitUntil(() => httpClosed && wsServer.clients.size === 0, Date.now() + SHUTDOWN_DRAIN_MS);
+  if (!drained) {
+    log.warn("wrapper", "drain deadline reached; closing remaining connections", { websockets: wsServer.clients.size });
+    for (const ws of wsServer.clients) ws.terminate();
+    server.closeAllConnections?.();
   }
+
+  await stopGateway();
+  // Flush the gateway's last lines to the mirror file before exiting.
+  await new Promise((resolve) => (gatewayLogFile.stream ? gatewayLogFile.stream.end(resolve) : resolve()));
+  log.info("wrapper", "shutdown complete");
   process.exit(0);
-});
+}
+
+process.on("SIGTERM", () => void shutdown("SIGTERM"));
+process.on("SIGINT", () => void shutdown("SIGINT"));
 
@@ -0,0 +1,387 @@
+// Client <-> gateway WebSocket bridge used by the wrapper's upgrade handler.
+//
+// - Client frames that arrive while the upstream socket is still connecting are held in a bounded
+//   queue and flushed in order once it opens (the Control UI sends its connect/auth frame right away).
+// - Close codes are mapped so each side gets a code it can act on, including when the gateway can't
+//   be reached at all.
+// - Each direction pauses its source while the destination's bufferedAmount is above the high-water
+//   mark, so a slow reader can't make the wrapper buffer without limit.
+// - Optionally (resilient mode) the client stays open while the gateway restarts: it is sent a status
+//   frame, its frames are queued, and the upstream socket is reopened through the caller's
+//   reconnect() hook until one opens or the deadline passes. The gateway session is resumed by
+//   replaying the client's last connect frame on the new socket; the gateway's reply to it is
+//   swallowed, since the client already has its session.
+import WebSocket from "ws";
+
+export const BRIDGE_DEFAULTS = {
+  maxQueuedFrames: 256,
+  maxQueuedBytes: 1024 * 1024,
+  highWaterMark: 1024 * 1024,
+  pingIntervalMs: 25000,
+  reconnectDeadlineMs: 30000,
+};
+
+// Close codes sent by the bridge itself.
+export const CLOSE_GATEWAY_UNAVAILABLE = 1014; // "Bad Gateway": upstream could not be reached
+export const CLOSE_GATEWAY_REJECTED = 1008; // upstream refused the handshake (401/403)
+export const CLOSE_GATEWAY_LOST = 1011; // upstream dropped without a close frame
+export const CLOSE_CLIENT_GONE = 1001; // client dropped without a close frame
+export const CLOSE_QUEUE_OVERFLOW = 1013; // too much sent before upstream opened
+
+// Upstream closes that look like a restart rather than the gateway ending the session on purpose.
+export const RECONNECTABLE_CLOSE_CODES = new Set([1001, 1006, 1011, 1012, 1013, 1014]);
+
+const RECONNECT_MIN_DELAY_MS = 250;
+const RECONNECT_MAX_DELAY_MS = 2000;
+
+// Close frame reasons are limited to 123 bytes of UTF-8.
+const MAX_REASON_BYTES = 123;
+
+// Codes that may appear in a close frame (RFC 6455 section 7.4). 1005 and 1006 only ever describe a
+// close locally, and 1004 and 1015 are reserved.
+export function isSendableCloseCode(code) {
+  if (!Number.isInteger(code)) return false;
+  if (code >= 3000 && code <= 4999) return true;
+  return code >= 1000 && code <= 1014 && code !== 1004 && code !== 1005 && code !== 1006;
+}
+
+function truncateReason(reason) {
+  const s = String(reason ?? "");
+  if (Buffer.byteLength(s) <= MAX_REASON_BYTES) return s;
+  let out = "";
+  for (const ch of s) {
+    if (Buffer.byteLength(out + ch) > MAX_REASON_BYTES) break;
+    out += ch;
+  }
+  return out;
+}
+
+// Maps the close one side reported (`from` is "client" or "gateway") to what the other side is sent.
+// `code: undefined` means a close frame without a status, which the peer sees as 1005.
+export function mapCloseCode(code, reason, from) {
+  if (isSendableCloseCode(code)) return { code, reason: truncateReason(reason) };
+  if (code === 1005) return { code: undefined, reason: "" };
+  return from === "gateway"
+    ? { code: CLOSE_GATEWAY_LOST, reason: "Gateway connection lost" }
+    : { code: CLOSE_CLIENT_GONE, reason: "Client went away" };
+}
+
+// Maps a failed upstream handshake to the close sent to the client.
+export function mapConnectFailure(status) {
+  if (status === 401 || status === 403) return { code: CLOSE_GATEWAY_REJECTED, reason: "Gateway rejected the connection" };
+  return { code: CLOSE_GATEWAY_UNAVAILABLE, reason: "Gateway unavailable" };
+}
+
+function closeSocket(ws, { code, reason }) {
+  try {
+    if (ws.readyState === WebSocket.CONNECTING) ws.terminate();
+    else if (ws.readyState === WebSocket.OPEN) ws.close(code, code === undefined ? undefined : reason);
+  } catch {
+    try {
+      ws.terminate();
+    } catch {
+      // ignore
+    }
+  }
+}
+
+function frameBytes(data) {
+  if (typeof data === "string") return Buffer.byteLength(data);
+  if (Array.isArray(data)) return data.reduce((n, b) => n + b.length, 0);
+  return data.length ?? data.byteLength ?? 0;
+}
+
+function startPing(ws, intervalMs) {
+  if (!intervalMs || intervalMs <= 0) return null;
+  const t = setInterval(() => {
+    if (ws.readyState !== WebSocket.OPEN) return;
+    try {
+      ws.ping();
+    } catch {
+      // ignore
+    }
+  }, intervalMs);
+  // Don't keep the process alive just for the ping timer.
+  t.unref?.();
+  return t;
+}
+
+function parseTextFrame(data, isBinary) {
+  if (isBinary) return null;
+  const text = typeof data === "string" ? data : Buffer.from(data).toString("utf8");
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+// Gateway protocol hooks for resilient mode. The Control UI opens its session with a
+// {"type":"req","method":"connect",...} frame and gets a {"type":"res"} frame with the same id back.
+// Returns the request id of a client connect frame, or null for any other frame.
+export function connectFrameId(data, isBinary) {
+  if (isBinary || !String(data).includes('"connect"')) return null;
+  const frame = parseTextFrame(data, isBinary);
+  if (frame?.type !== "req" || frame.method !== "connect" || frame.id === undefined) return null;
+  return frame.id;
+}
+
+// true/false when `data` is the gateway accepting/refusing the connect request `id`, undefined otherwise.
+export function connectReplyVerdict(data, isBinary, id) {
+  const frame = parseTextFrame(data, isBinary);
+  if (frame?.type !== "res" || frame.id !== id) return undefined;
+  return frame.ok !== false;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Resolves true once `ws` opens, false if it closes first.
+function openOrClose(ws) {
+  if (ws.readyState === WebSocket.OPEN) return Promise.resolve(true);
+  if (ws.readyState !== WebSocket.CONNECTING) return Promise.resolve(false);
+  return new Promise((resolve) => {
+    ws.once("open", () => resolve(true));
+    ws.once("close", () => resolve(false));
+  });
+}
+
+// Wires `clientWs` (accepted by the wrapper) to `upstreamWs` (connecting to the gateway). Options
+// override BRIDGE_DEFAULTS and may add hooks:
+//   transformClientMessage(data, isBinary) -> data   rewrite client frames before they are sent
+//   onMessage(direction, bytes)                       "client_to_gateway" | "gateway_to_client"
+//   onClose(side, code)                               close code each side reported
+//   onError(err)                                      upstream socket errors
+//   onEnd()                                           once, when the bridge is torn down
+//   reconnect(deadline) -> Promise<WebSocket>        resilient mode: open a new upstream socket
+//   statusFrame(state) -> string | null              frame sent to the client on "reconnecting" and
+//                                                     "reconnected"
+//   sessionFrame(data, isBinary) -> key | null       resilient mode: marks the client frame that opens
+//                                                     its session (kept and replayed after a reconnect)
+//   matchSessionReply(data, isBinary, key)           resilient mode: true/false when a gateway frame
+//     -> boolean | undefined                          accepts/refuses the replayed session frame
+// Returns { close(code, reason), queued } where close() ends both sides with the given code.
+export function bridgeWebSockets(clientWs, upstreamWs, options = {}) {
+  const opts = { ...BRIDGE_DEFAULTS, ...options };
+  const lowWaterMark = Math.floor(opts.highWaterMark / 4);
+  let upstream = null;
+  let upstreamPing = null;
+  let queue = [];
+  let queuedBytes = 0;
+  let upstreamOpened = false;
+  let upstreamStatus = null;
+  let reconnecting = false;
+  let reconnectDeadline = 0;
+  // Last session frame the client sent (untransformed), and the pending replay of it after a reconnect.
+  let session = null;
+  let resuming = null;
+  let ended = false;
+  const clientPing = startPing(clientWs, opts.pingIntervalMs);
+
+  const end = () => {
+    if (ended) return;
+    ended = true;
+    queue = [];
+    queuedBytes = 0;
+    if (resuming) clearTimeout(resuming.timer);
+    resuming = null;
+    for (const t of [clientPing, upstreamPing]) if (t) clearInterval(t);
+    opts.onEnd?.();
+  };
+
+  const forward = (source, dest, data, isBinary) => {
+    try {
+      dest.send(data, { binary: isBinary }, () => {
+        if (source.isPaused && dest.bufferedAmount <= lowWaterMark) source.resume();
+      });
+    } catch {
+      return;
+    }
+    if (!source.isPaused && dest.bufferedAmount > opts.highWaterMark) source.pause();
+  };
+
+  const flushQueue = () => {
+    const pending = queue;
+    queue = [];
+    queuedBytes = 0;
+    for (const { data, isBinary } of pending) forward(clientWs, upstream, data, isBinary);
+  };
+
+  const transform = (data, isBinary) =>
+    opts.transformClientMessage ? opts.transformClientMessage(data, isBinary) : data;
+
+  const finishReconnect = () => {
+    if (reconnecting) {
+      reconnecting = false;
+      sendStatus("reconnected");
+    }
+    flushQueue();
+  };
+
+  // Replays the client's session frame on a fresh upstream socket. Client frames stay queued until the
+  // gateway answers it, so nothing reaches the new session before it is authenticated.
+  const resumeSession = (ws) => {
+    const timer = setTimeout(
+      () => {
+        if (ended || ws !== upstream) return;
+        closeSocket(clientWs, { code: CLOSE_GATEWAY_UNAVAILABLE, reason: "Gateway did not resume the session" });
+        closeSocket(ws, {});
+        end();
+      },
+      Math.max(0, reconnectDeadline - Date.now()),
+    );
+    timer.unref?.();
+    resuming = { key: session.key, timer };
+    forward(clientWs, ws, transform(session.data, session.isBinary), session.isBinary);
+  };
+
+  const sendStatus = (state) => {
+    const frame = opts.statusFrame?.(state);
+    if (frame == null || clientWs.readyState !== WebSocket.OPEN) return;
+    try {
+      clientWs.send(frame);
+    } catch {
+      // ignore
+    }
+  };
+
+  const canReconnect = (code) =>
+    typeof opts.reconnect === "function" &&
+    upstreamOpened &&
+    RECONNECTABLE_CLOSE_CODES.has(code) &&
+    clientWs.readyState === WebSocket.OPEN;
+
+  // Listeners are bound per upstream socket; events from a socket that has been replaced are ignored.
+  const attachUpstream = (ws) => {
+    upstream = ws;
+    upstreamStatus = null;
+    if (upstreamPing) clearInterval(upstreamPing);
+    upstreamPing = startPing(ws, opts.pingIntervalMs);
+
+    ws.on("error", (err) => {
+      // Errors we caused by terminating a still-connecting socket are not worth reporting.
+      if (!ended && ws === upstream) opts.onError?.(err);
+    });
+
+    // Record the status of a refused handshake so the client can be told why.
+    ws.on("unexpected-response", (_req, res) => {
+      if (ws === upstream) upstreamStatus = res.statusCode;
+      ws.terminate();
+    });
+
+    ws.on("open", () => {
+      if (ended || ws !== upstream) return;
+      upstreamOpened = true;
+      if (reconnecting && session) return resumeSession(ws);
+      finishReconnect();
+    });
+
+    ws.on("message", (data, isBinary) => {
+      if (ws !== upstream) return;
+      opts.onMessage?.("gateway_to_client", frameBytes(data));
+      if (ended) return;
+      if (resuming) {
+        const verdict = opts.matchSessionReply?.(data, isBinary, resuming.key);
+        // Anything before the reply belongs to the handshake the client already went through.
+        if (verdict === undefined) return;
+        clearTimeout(resuming.timer);
+        resuming = null;
+        if (verdict) return finishReconnect();
+        closeSocket(clientWs, { code: CLOSE_GATEWAY_REJECTED, reason: "Gateway refused to resume the session" });
+        closeSocket(ws, {});
+        return end();
+      }
+      if (clientWs.readyState !== WebSocket.OPEN) return;
+      forward(ws, clientWs, data, isBinary);
+    });
+
+    ws.on("close", (code, reason) => {
+      if (ws !== upstream) return;
+      opts.onClose?.("gateway", code);
+      if (resuming) {
+        // Dropped again before the session was resumed: start over like any other drop.
+        clearTimeout(resuming.timer);
+        resuming = null;
+        reconnecting = false;
+      }
+      // Failed attempts while reconnecting are retried by reconnectUpstream().
+      if (ended || reconnecting) return;
+      if (canReconnect(code)) {
+        reconnectUpstream();
+        return;
+      }
+      closeSocket(clientWs, upstreamOpened ? mapCloseCode(code, reason, "gateway") : mapConnectFailure(upstreamStatus));
+      end();
+    });
+  };
+
+  // Keeps the client open while new upstream sockets are tried, until one opens or the deadline passes.
+  const reconnectUpstream = async () => {
+    reconnecting = true;
+    sendStatus("reconnecting");
+    const deadline = Date.now() + opts.reconnectDeadlineMs;
+    reconnectDeadline = deadline;
+    let delay = RECONNECT_MIN_DELAY_MS;
+    while (!ended && Date.now() < deadline) {
+      try {
+        const ws = await opts.reconnect(deadline);
+        if (ended) {
+          closeSocket(ws, {});
+          return;
+        }
+        attachUpstream(ws);
+        if (await openOrClose(ws)) return;
+      } catch {
+        // retried below until the deadline
+      }
+      await sleep(Math.min(delay, Math.max(0, deadline - Date.now())));
+      delay = Math.min(delay * 2, RECONNECT_MAX_DELAY_MS);
+    }
+    if (ended) return;
+    closeSocket(clientWs, { code: CLOSE_GATEWAY_UNAVAILABLE, reason: "Gateway did not come back" });
+    if (upstream) closeSocket(upstream, {});
+    end();
+  };
+
+  clientWs.on("error", () => {});
+
+  clientWs.on("message", (data, isBinary) => {
+    opts.onMessage?.("client_to_gateway", frameBytes(data));
+    if (ended) return;
+    const key = opts.reconnect ? opts.sessionFrame?.(data, isBinary) : null;
+    if (key != null) session = { key, data, isBinary };
+    const out = transform(data, isBinary);
+    if (!reconnecting && upstream.readyState === WebSocket.OPEN) return forward(clientWs, upstream, out, isBinary);
+    if (!reconnecting && upstream.readyState !== WebSocket.CONNECTING) return;
+
+    queue.push({ data: out, isBinary });
+    queuedBytes += frameBytes(out);
+    if (queue.length > opts.maxQueuedFrames || queuedBytes > opts.maxQueuedBytes) {
+      closeSocket(clientWs, { code: CLOSE_QUEUE_OVERFLOW, reason: "Gateway not ready" });
+      closeSocket(upstream, {});
+      end();
+    }
+  });
+
+  clientWs.on("close", (code, reason) => {
+    opts.onClose?.("client", code);
+    if (!ended) closeSocket(upstream, mapCloseCode(code, reason, "client"));
+    end();
+  });
+
+  attachUpstream(upstreamWs);
+
+  return {
+    close(code, reason) {
+      if (ended) return;
+      const frame = { code, reason: truncateReason(reason) };
+      closeSocket(clientWs, frame);
+      closeSocket(upstream, frame);
+      end();
+    },
+    get queued() {
+      return queue.length;
+    },
+  };
+}
@@ -0,0 +1,96 @@
+import assert from "node:assert/strict";
+import childProcess from "node:child_process";
+import { once } from "node:events";
+import fs from "node:fs";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, test } from "node:test";
+import { setTimeout as sleep } from "node:timers/promises";
+import { fileURLToPath } from "node:url";
+
+import WebSocket from "ws";
+
+const SERVER_ENTRY = fileURLToPath(new URL("../src/server.js", import.meta.url));
+
+async function unusedPort() {
+  const server = http.createServer();
+  const port = await new Promise((resolve) => server.listen(0, "127.0.0.1", () => resolve(server.address().port)));
+  await new Promise((r) => server.close(r));
+  return port;
+}
+
+// Runs the real wrapper against a stand-in gateway that never starts listening, so it stays "starting".
+describe("while the gateway boots", { timeout: 30_000 }, () => {
+  let dir;
+  let wrapper;
+  let baseUrl;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "openclaw-starting-"));
+    const stateDir = path.join(dir, "state");
+    fs.mkdirSync(stateDir);
+    fs.writeFileSync(path.join(stateDir, "openclaw.json"), "{}\n");
+    const fakeGateway = path.join(dir, "gateway.js");
+    fs.writeFileSync(fakeGateway, "setInterval(() => {}, 1000);\n");
+
+    const port = await unusedPort();
+    baseUrl = `http://127.0.0.1:${port}`;
+    wrapper = childProcess.spawn(process.execPath, [SERVER_ENTRY], {
+      stdio: "ignore",
+      env: {
+        ...process.env,
+        PORT: String(port),
+        INTERNAL_GATEWAY_PORT: String(await unusedPort()),
+        OPENCLAW_STATE_DIR: stateDir,
+        OPENCLAW_WORKSPACE_DIR: path.join(dir, "workspace"),
+        OPENCLAW_ENTRY: fakeGateway,
+        RENDER_SETUP_PASSWORD: "test-password",
+        BACKUP_SCHEDULE: "off",
+        BACKUP_DIR: path.join(dir, "backups"),
+        GATEWAY_READY_TIMEOUT_MS: "60000",
+        SHUTDOWN_DRAIN_MS: "1000",
+      },
+    });
+
+    const deadline = Date.now() + 10_000;
+    for (;;) {
+      try {
+        if ((await fetch(`${baseUrl}/healthz`)).ok) break;
+      } catch {
+        // not listening yet
+      }
+      if (Date.now() > deadline) throw new Error("wrapper did not start listening");
+      await sleep(100);
+    }
+  });
+
+  after(async () => {
+    if (wrapper && wrapper.exitCode === null) {
+      const exited = once(wrapper, "exit");
+      wrapper.kill("SIGTERM");
+      await Promise.race([exited, sleep(5000, null, { ref: false }).then(() => wrapper.kill("SIGKILL"))]);
+    }
+    if (dir) fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("API requests get an immediate 503 with Retry-After", async () => {
+    const start = Date.now();
+    const res = await fetch(`${baseUrl}/api/status`, { headers: { accept: "application/json" } });
+    await res.body?.cancel();
+    assert.equal(res.status, 503);
+    assert.match(res.headers.get("retry-after") ?? "", /^\d+$/);
+    assert.ok(Date.now() - start < 2000, `took ${Date.now() - start}ms`);
+  });
+
+  test("WebSocket upgrades are refused right away with 503 and Retry-After", async () => {
+    const start = Date.now();
+    const ws = new WebSocket(`${baseUrl.replace("http", "ws")}/`);
+    ws.on("error", () => {});
+    const [, res] = await once(ws, "unexpected-response");
+    ws.terminate();
+    assert.equal(res.statusCode, 503);
+    assert.match(res.headers["retry-after"] ?? "", /^\d+$/);
+    assert.ok(Date.now() - start < 2000, `took ${Date.now() - start}ms`);
+  });
+});
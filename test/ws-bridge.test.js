@@ -0,0 +1,340 @@
+import assert from "node:assert/strict";
+import { EventEmitter, once } from "node:events";
+import http from "node:http";
+import { after, describe, test } from "node:test";
+
+import WebSocket, { WebSocketServer } from "ws";
+
+import {
+  CLOSE_CLIENT_GONE,
+  CLOSE_GATEWAY_LOST,
+  CLOSE_GATEWAY_REJECTED,
+  CLOSE_GATEWAY_UNAVAILABLE,
+  CLOSE_QUEUE_OVERFLOW,
+  bridgeWebSockets,
+  connectFrameId,
+  connectReplyVerdict,
+  mapCloseCode,
+} from "../src/ws-bridge.js";
+
+const servers = [];
+// Suites that talk over real sockets fail after this long instead of hanging `npm test`.
+const SUITE_TIMEOUT = { timeout: 10_000 };
+
+after(() => {
+  for (const s of servers) s.closeAllConnections?.();
+  return Promise.all(servers.map((s) => new Promise((r) => s.close(r))));
+});
+
+function listen(server) {
+  servers.push(server);
+  return new Promise((resolve) => server.listen(0, "127.0.0.1", () => resolve(server.address().port)));
+}
+
+// Stand-in for the gateway. `delayMs` holds the handshake open; `rejectStatus` refuses it.
+async function startStubGateway({ delayMs = 0, rejectStatus = null, onConnection = () => {} } = {}) {
+  const server = http.createServer();
+  const wss = new WebSocketServer({ noServer: true });
+  const received = [];
+  server.on("upgrade", (req, socket, head) => {
+    setTimeout(() => {
+      if (rejectStatus) {
+        socket.end(`HTTP/1.1 ${rejectStatus} Rejected\r\nContent-Length: 0\r\nConnection: close\r\n\r\n`);
+        return;
+      }
+      wss.handleUpgrade(req, socket, head, (ws) => {
+        ws.on("message", (data) => received.push(String(data)));
+        onConnection(ws);
+      });
+    }, delayMs);
+  });
+  return { port: await listen(server), received };
+}
+
+// Stand-in for the wrapper: accepts a client and bridges it to the gateway on `gatewayPort`.
+async function startBridge(gatewayPort, options = {}) {
+  const server = http.createServer();
+  const wss = new WebSocketServer({ server });
+  wss.on("connection", (clientWs) => {
+    const upstreamWs = new WebSocket(`ws://127.0.0.1:${gatewayPort}`);
+    bridgeWebSockets(clientWs, upstreamWs, { pingIntervalMs: 0, ...options });
+  });
+  return listen(server);
+}
+
+async function connect(port) {
+  const ws = new WebSocket(`ws://127.0.0.1:${port}`);
+  await once(ws, "open");
+  return ws;
+}
+
+async function closeEvent(ws) {
+  const [code, reason] = await once(ws, "close");
+  return { code, reason: String(reason) };
+}
+
+// Polls `check` until it is truthy; fails the test instead of hanging when it never gets there.
+async function waitFor(check, { timeoutMs = 5000, label = "condition" } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error(`timed out after ${timeoutMs}ms waiting for ${label}`);
+    await new Promise((r) => setTimeout(r, 20));
+  }
+}
+
+async function unusedPort() {
+  const server = http.createServer();
+  const port = await new Promise((resolve) => server.listen(0, "127.0.0.1", () => resolve(server.address().port)));
+  await new Promise((r) => server.close(r));
+  return port;
+}
+
+describe("bridgeWebSockets", SUITE_TIMEOUT, () => {
+  test("queues client frames until the gateway socket opens, then flushes them in order", async () => {
+    let gatewayWs;
+    const gateway = await startStubGateway({ delayMs: 200, onConnection: (ws) => (gatewayWs = ws) });
+    const client = await connect(await startBridge(gateway.port));
+    client.send("connect");
+    client.send("auth");
+    client.send("hello");
+
+    const reply = new Promise((resolve) => client.once("message", (d) => resolve(String(d))));
+    await waitFor(() => gateway.received.length >= 3, { label: "queued frames" });
+    assert.deepEqual(gateway.received, ["connect", "auth", "hello"]);
+
+    gatewayWs.send("welcome");
+    assert.equal(await reply, "welcome");
+    client.close();
+  });
+
+  test("forwards gateway close codes and reasons to the client", async () => {
+    const gateway = await startStubGateway({ onConnection: (ws) => setTimeout(() => ws.close(4001, "session expired"), 50) });
+    const client = await connect(await startBridge(gateway.port));
+    assert.deepEqual(await closeEvent(client), { code: 4001, reason: "session expired" });
+  });
+
+  test("forwards client close codes and reasons to the gateway", async () => {
+    let gatewayClosed;
+    const gateway = await startStubGateway({ onConnection: (ws) => (gatewayClosed = closeEvent(ws)) });
+    const client = await connect(await startBridge(gateway.port));
+    await waitFor(() => gatewayClosed, { label: "gateway connection" });
+    client.close(1000, "bye");
+    assert.deepEqual(await gatewayClosed, { code: 1000, reason: "bye" });
+  });
+
+  test("closes the client with 1011 when the gateway drops without a close frame", async () => {
+    const gateway = await startStubGateway({ onConnection: (ws) => setTimeout(() => ws.terminate(), 50) });
+    const client = await connect(await startBridge(gateway.port));
+    assert.equal((await closeEvent(client)).code, CLOSE_GATEWAY_LOST);
+  });
+
+  test("closes the client with 1014 when the gateway is unreachable", async () => {
+    const client = await connect(await startBridge(await unusedPort()));
+    assert.equal((await closeEvent(client)).code, CLOSE_GATEWAY_UNAVAILABLE);
+  });
+
+  test("closes the client with 1008 when the gateway rejects the handshake", async () => {
+    const gateway = await startStubGateway({ rejectStatus: 401 });
+    const client = await connect(await startBridge(gateway.port));
+    assert.equal((await closeEvent(client)).code, CLOSE_GATEWAY_REJECTED);
+  });
+
+  test("closes the client with 1013 when the pre-open queue overflows", async () => {
+    const gateway = await startStubGateway({ delayMs: 500 });
+    const client = await connect(await startBridge(gateway.port, { maxQueuedFrames: 2 }));
+    for (let i = 0; i < 5; i++) client.send(`frame ${i}`);
+    assert.equal((await closeEvent(client)).code, CLOSE_QUEUE_OVERFLOW);
+  });
+
+  test("close() ends both sides with the given code", async () => {
+    let bridge;
+    let gatewayClosed;
+    const gateway = await startStubGateway({ onConnection: (ws) => (gatewayClosed = closeEvent(ws)) });
+    const server = http.createServer();
+    new WebSocketServer({ server }).on("connection", (clientWs) => {
+      bridge = bridgeWebSockets(clientWs, new WebSocket(`ws://127.0.0.1:${gateway.port}`), { pingIntervalMs: 0 });
+    });
+    const client = await connect(await listen(server));
+    await waitFor(() => gatewayClosed, { label: "gateway connection" });
+    const clientClosed = closeEvent(client);
+    bridge.close(1001, "Server shutting down");
+    assert.deepEqual(await clientClosed, { code: 1001, reason: "Server shutting down" });
+    assert.deepEqual(await gatewayClosed, { code: 1001, reason: "Server shutting down" });
+  });
+});
+
+describe("resilient mode", SUITE_TIMEOUT, () => {
+  const statusFrame = (state) => JSON.stringify({ status: state });
+
+  // Each test gets its own wrapper whose reconnect() dials whatever port `target.port` holds.
+  async function startResilientBridge(target, options = {}) {
+    const server = http.createServer();
+    new WebSocketServer({ server }).on("connection", (clientWs) => {
+      bridgeWebSockets(clientWs, new WebSocket(`ws://127.0.0.1:${target.port}`), {
+        pingIntervalMs: 0,
+        statusFrame,
+        reconnect: async () => new WebSocket(`ws://127.0.0.1:${target.port}`),
+        ...options,
+      });
+    });
+    return listen(server);
+  }
+
+  test("keeps the client open across a gateway restart and flushes frames sent meanwhile", async () => {
+    let gatewayWs;
+    const first = await startStubGateway({ onConnection: (ws) => (gatewayWs = ws) });
+    const target = { port: first.port };
+    const client = await connect(await startResilientBridge(target));
+    const messages = [];
+    client.on("message", (d) => messages.push(String(d)));
+    await waitFor(() => gatewayWs, { label: "gateway connection" });
+
+    target.port = await unusedPort();
+    gatewayWs.close(1012, "restarting");
+    await waitFor(() => messages.length, { label: "reconnecting status" });
+    client.send("while down");
+
+    const second = await startStubGateway();
+    target.port = second.port;
+    await waitFor(() => second.received.length, { label: "flushed frame" });
+    assert.deepEqual(second.received, ["while down"]);
+    assert.deepEqual(messages, [statusFrame("reconnecting"), statusFrame("reconnected")]);
+    assert.equal(client.readyState, WebSocket.OPEN);
+    client.close();
+  });
+
+  test("resumes an authenticated session on the restarted gateway", async () => {
+    // Answers requests only after a connect frame with the right token, like the real gateway.
+    const gatewaySockets = [];
+    const authedGateway = () =>
+      startStubGateway({
+        onConnection: (ws) => {
+          gatewaySockets.push(ws);
+          let authed = false;
+          ws.send(JSON.stringify({ type: "event", event: "connect.challenge" }));
+          ws.on("message", (d) => {
+            const frame = JSON.parse(String(d));
+            if (frame.method === "connect") {
+              authed = frame.params.auth.token === "current";
+              ws.send(JSON.stringify({ type: "res", id: frame.id, ok: authed }));
+            } else if (!authed) {
+              ws.close(1008, "unauthorized");
+            } else {
+              ws.send(JSON.stringify({ type: "res", id: frame.id, ok: true, payload: frame.method }));
+            }
+          });
+        },
+      });
+    const first = await authedGateway();
+    const target = { port: first.port };
+    const client = await connect(
+      await startResilientBridge(target, {
+        sessionFrame: connectFrameId,
+        matchSessionReply: connectReplyVerdict,
+        // Stands in for the wrapper filling in the gateway token.
+        transformClientMessage: (data) => String(data).replace('"token":""', '"token":"current"'),
+      }),
+    );
+    const messages = [];
+    client.on("message", (d) => messages.push(JSON.parse(String(d))));
+    client.send(JSON.stringify({ type: "req", id: "c1", method: "connect", params: { auth: { token: "" } } }));
+    await waitFor(() => messages.some((m) => m.id === "c1"), { label: "connect reply" });
+
+    const second = await authedGateway();
+    target.port = second.port;
+    gatewaySockets[0].close(1012, "restarting");
+    await waitFor(() => messages.some((m) => m.status === "reconnected"), { label: "reconnected status" });
+    client.send(JSON.stringify({ type: "req", id: "r1", method: "status", params: {} }));
+    await waitFor(() => messages.some((m) => m.id === "r1"), { label: "post-restart reply" });
+
+    assert.deepEqual(
+      messages.filter((m) => m.type === "res").map((m) => [m.id, m.ok]),
+      [
+        ["c1", true],
+        ["r1", true],
+      ],
+    );
+    assert.equal(messages.filter((m) => m.event === "connect.challenge").length, 1);
+    assert.equal(JSON.parse(second.received[0]).params.auth.token, "current");
+    client.close();
+  });
+
+  test("closes the client with 1014 when the gateway does not come back before the deadline", async () => {
+    const gateway = await startStubGateway({ onConnection: (ws) => setTimeout(() => ws.terminate(), 50) });
+    const target = { port: gateway.port };
+    const client = await connect(await startResilientBridge(target, { reconnectDeadlineMs: 600 }));
+    target.port = await unusedPort();
+    assert.equal((await closeEvent(client)).code, CLOSE_GATEWAY_UNAVAILABLE);
+  });
+
+  test("does not reconnect when the gateway ends the session on purpose", async () => {
+    let attempts = 0;
+    const gateway = await startStubGateway({ onConnection: (ws) => setTimeout(() => ws.close(4001, "session expired"), 50) });
+    const reconnect = async () => {
+      attempts++;
+      throw new Error("should not be called");
+    };
+    const client = await connect(await startResilientBridge({ port: gateway.port }, { reconnect }));
+    assert.equal((await closeEvent(client)).code, 4001);
+    assert.equal(attempts, 0);
+  });
+});
+
+describe("backpressure", () => {
+  function fakeSocket() {
+    const ws = new EventEmitter();
+    Object.assign(ws, {
+      readyState: WebSocket.OPEN,
+      bufferedAmount: 0,
+      isPaused: false,
+      sent: [],
+      pause() {
+        ws.isPaused = true;
+      },
+      resume() {
+        ws.isPaused = false;
+      },
+      send(data, _opts, cb) {
+        ws.sent.push({ data, cb });
+      },
+      terminate() {},
+      close() {},
+      ping() {},
+    });
+    return ws;
+  }
+
+  test("pauses the source above the high-water mark and resumes once the destination drains", () => {
+    const client = fakeSocket();
+    const upstream = fakeSocket();
+    bridgeWebSockets(client, upstream, { highWaterMark: 1000, pingIntervalMs: 0 });
+
+    client.bufferedAmount = 5000;
+    upstream.emit("message", Buffer.alloc(5000), true);
+    assert.equal(upstream.isPaused, true);
+
+    client.bufferedAmount = 100;
+    client.sent[0].cb();
+    assert.equal(upstream.isPaused, false);
+  });
+});
+
+describe("mapCloseCode", () => {
+  test("passes sendable codes through with the reason", () => {
+    assert.deepEqual(mapCloseCode(1000, "done", "client"), { code: 1000, reason: "done" });
+    assert.deepEqual(mapCloseCode(4403, "forbidden", "gateway"), { code: 4403, reason: "forbidden" });
+  });
+
+  test("replaces codes that cannot be sent in a close frame", () => {
+    assert.deepEqual(mapCloseCode(1005, "", "gateway"), { code: undefined, reason: "" });
+    assert.equal(mapCloseCode(1006, "", "gateway").code, CLOSE_GATEWAY_LOST);
+    assert.equal(mapCloseCode(1006, "", "client").code, CLOSE_CLIENT_GONE);
+    assert.equal(mapCloseCode(1015, "", "client").code, CLOSE_CLIENT_GONE);
+  });
+
+  test("truncates reasons to 123 bytes without splitting characters", () => {
+    const { reason } = mapCloseCode(1000, "é".repeat(100), "client");
+    assert.ok(Buffer.byteLength(reason) <= 123);
+    assert.equal(reason, "é".repeat(61));
+  });
+});